@@ -1,125 +1,168 @@
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const logger = require('./utils/logger');
 const dbManager = require('./utils/database');
 const syncService = require('./services/syncService');
 const licenseService = require('./services/licenseService');
+const tableKeyRegistry = require('./services/tableKeyRegistry');
+const syncLedger = require('./services/syncLedger');
+const orderedApplyQueue = require('./services/orderedApplyQueue');
+const fullSyncSessions = require('./services/fullSyncSessionStore');
+const ddlTranslator = require('./services/ddlTranslator');
+const schemaMigrationLog = require('./services/schemaMigrationLog');
+const schemaDriftService = require('./services/schemaDriftService');
+const unknownColumnPolicy = require('./services/unknownColumnPolicy');
+const deadLetterStore = require('./services/deadLetterStore');
+const storeProvisioner = require('./services/storeProvisioner');
+const indexReconciler = require('./services/indexReconciler');
+const schemaCache = require('./services/schemaCache');
 const redisClient = require('./utils/redisClient');
+const { parseRecordXml } = require('./utils/xmlRecordParser');
+const changeEvent = require('./utils/changeEvent');
 
 // Load environment variables
 require('dotenv').config();
 
 // SQL Server to MySQL DDL conversion function
+// Returns { status: 'ok'|'skipped'|'unsupported', statements, warnings, reason } from the DDL translator
 async function convertSqlServerDDLToMySQL(sqlCommand, tableName, operation) {
+    const translation = ddlTranslator.translate(sqlCommand);
+
+    if (translation.status === 'unsupported') {
+        logger.warn(`Cannot translate ${operation} for ${tableName}: ${translation.reason}`);
+    } else if (translation.status === 'skipped') {
+        logger.info(`Skipping ${operation} for ${tableName}: ${translation.reason}`);
+    }
+    translation.warnings.forEach(warning => logger.warn(`DDL translation for ${tableName}: ${warning}`));
+
+    return translation;
+}
+
+// Execute translated DDL statements in order and record the outcome in the store's schema history
+// Throws the execution error after recording it as failed
+async function applyTranslatedDDL(database, translation, migration) {
+    const executed = [];
     try {
-        if (!sqlCommand || typeof sqlCommand !== 'string') {
-            return null;
+        for (const statement of translation.statements) {
+            executed.push(statement);
+            await dbManager.executeQuery(database, statement);
         }
+    } catch (error) {
+        // The last executed statement is the one that failed
+        await schemaMigrationLog.record(database, { ...migration, statements: executed, status: 'failed', error: error.message });
+        throw error;
+    } finally {
+        // Statements before a failure may have changed the schema too; a RENAME can touch other tables
+        schemaCache.invalidate(database);
+    }
+    await schemaMigrationLog.record(database, { ...migration, statements: executed, status: 'applied' });
+    return executed;
+}
 
-        const upperSql = sqlCommand.toUpperCase().trim();
-        
-        if (operation === 'DDL_ALTER_TABLE') {
-            // Convert ALTER TABLE statements
-            let mysqlDDL = sqlCommand
-                // Replace SQL Server specific data types FIRST
-                .replace(/\[dbo\]\./gi, '')
-                .replace(/\[NVARCHAR\]\((\d+)\)/gi, 'VARCHAR($1)')  // 处理 [NVARCHAR](2) 格式
-                .replace(/NVARCHAR\(MAX\)/gi, 'TEXT')
-                .replace(/NVARCHAR\((\d+)\)/gi, 'VARCHAR($1)')
-                .replace(/NTEXT/gi, 'TEXT')
-                .replace(/BIT/gi, 'BOOLEAN')
-                .replace(/DATETIME2/gi, 'DATETIME')
-                .replace(/UNIQUEIDENTIFIER/gi, 'VARCHAR(36)')
-                .replace(/BIGINT\s+IDENTITY\(1,1\)/gi, 'BIGINT AUTO_INCREMENT')
-                .replace(/INT\s+IDENTITY\(1,1\)/gi, 'INT AUTO_INCREMENT')
-                .replace(/GETDATE\(\)/gi, 'NOW()')
-                .replace(/NEWID\(\)/gi, 'UUID()');
-
-          
-
-            // Convert common ALTER TABLE operations
-            if (upperSql.includes('ADD COLUMN') || upperSql.includes('ADD ')) {
-                // Fix ADD COLUMN syntax for MySQL - AFTER data type conversion
-            
-                
-                // 先处理带长度和NULL约束的
-                const before1 = mysqlDDL;
-                mysqlDDL = mysqlDDL.replace(/Add\s+\[([^\]]+)\]\s+([A-Z]+)\((\d+)\)\s+(NULL|NOT NULL)/gi, 'ADD COLUMN `$1` $2($3) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci $4');
-                if (before1 !== mysqlDDL) {
-                    logger.info(`Matched pattern 1 (with length and NULL): ${mysqlDDL}`);
-                    return mysqlDDL;
-                }
-                
-                // 再处理带长度无NULL约束的
-                const before2 = mysqlDDL;
-                mysqlDDL = mysqlDDL.replace(/Add\s+\[([^\]]+)\]\s+([A-Z]+)\((\d+)\)/gi, 'ADD COLUMN `$1` $2($3) CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci');
-                if (before2 !== mysqlDDL) {
-                    logger.info(`Matched pattern 2 (with length, no NULL): ${mysqlDDL}`);
-                    return mysqlDDL;
-                }
-                
-                // 处理无长度有NULL约束的
-                const before3 = mysqlDDL;
-                mysqlDDL = mysqlDDL.replace(/Add\s+\[([^\]]+)\]\s+([A-Z]+)\s+(NULL|NOT NULL)/gi, 'ADD COLUMN `$1` $2 CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci $3');
-                if (before3 !== mysqlDDL) {
-                    logger.info(`Matched pattern 3 (no length, with NULL): ${mysqlDDL}`);
-                    return mysqlDDL;
-                }
-                
-                // 处理无长度无NULL约束的
-                const before4 = mysqlDDL;
-                mysqlDDL = mysqlDDL.replace(/Add\s+\[([^\]]+)\]\s+([A-Z]+)/gi, 'ADD COLUMN `$1` $2 CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci');
-                if (before4 !== mysqlDDL) {
-                    logger.info(`Matched pattern 4 (no length, no NULL): ${mysqlDDL}`);
-                    return mysqlDDL;
-                }
-                
-                logger.info(`No ADD COLUMN patterns matched, returning original: ${mysqlDDL}`);
-                return mysqlDDL;
-            } else if (upperSql.includes('DROP COLUMN')) {
-                // 处理DROP COLUMN，移除dbo.前缀
-                mysqlDDL = mysqlDDL.replace(/dbo\./gi, '');
-                mysqlDDL = mysqlDDL.replace(/DROP\s+\[([^\]]+)\]/gi, 'DROP COLUMN `$1`');
-                mysqlDDL = mysqlDDL.replace(/DROP\s+COLUMN\s+([^\s]+)/gi, 'DROP COLUMN `$1`');
-                return mysqlDDL;
-            } else if (upperSql.includes('MODIFY') || upperSql.includes('ALTER COLUMN')) {
-                mysqlDDL = mysqlDDL.replace(/ALTER COLUMN/gi, 'MODIFY COLUMN');
-                return mysqlDDL;
-            } else if (upperSql.includes('SET (LOCK_ESCALATION') || upperSql.includes('SET (LOCK ESCALATION')) {
-                // SQL Server specific: ALTER TABLE ... SET (LOCK ESCALATION = TABLE)
-                // MySQL doesn't support this, so we'll skip it (return null to indicate no-op)
-                logger.info(`Skipping SQL Server specific LOCK ESCALATION statement: ${sqlCommand}`);
-                return null;
-            }
-            
-            return mysqlDDL;
-            
-        } else if (operation === 'DDL_DROP_TABLE') {
-            // Convert DROP TABLE statements
-            return sqlCommand
-                .replace(/\[dbo\]\./gi, '')
-                .replace(/\[([^\]]+)\]/g, '`$1`');
+// Schema requests awaiting a table_schema_response, keyed by requestId
+const pendingSchemaRequests = new Map();
+
+// Ask the client for a table schema and wait for the matching table_schema_response
+function requestClientTableSchema(socket, tableName, syncId = null) {
+    return new Promise((resolve, reject) => {
+        const requestId = crypto.randomUUID();
+        const timer = setTimeout(() => {
+            pendingSchemaRequests.delete(requestId);
+            reject(new Error(`Timed out waiting for ${tableName} schema from client ${socket.id}`));
+        }, unknownColumnPolicy.schemaTimeoutMs);
+
+        pendingSchemaRequests.set(requestId, { socketId: socket.id, tableName, syncId, resolve, reject, timer });
+        socket.emit('request_table_schema', { tableName, purpose: 'evolve', requestId, originalSyncId: syncId });
+    });
+}
+
+// Find the schema request a table_schema_response answers: by requestId, or for clients that do not echo it,
+// by the socket, tableName and originalSyncId they echo for table creation requests
+function findPendingSchemaRequest(socket, data) {
+    if (!data) {
+        return null;
+    }
+    if (data.requestId) {
+        const pending = pendingSchemaRequests.get(data.requestId);
+        return pending && pending.socketId === socket.id ? { requestId: data.requestId, pending } : null;
+    }
+    for (const [requestId, pending] of pendingSchemaRequests) {
+        if (pending.socketId === socket.id && pending.tableName === data.tableName &&
+            (!data.originalSyncId || !pending.syncId || data.originalSyncId === pending.syncId)) {
+            return { requestId, pending };
         }
-        
-        // Default: try basic conversion
-        return sqlCommand
-            .replace(/\[dbo\]\./gi, '')
-            .replace(/\[([^\]]+)\]/g, '`$1`');
-            
+    }
+    return null;
+}
+
+// Add columns the client has but the MySQL table lacks, using the client's schema for their definitions
+async function addClientColumns(socket, database, tableName, columnNames, syncId = null) {
+    const schema = await requestClientTableSchema(socket, tableName, syncId);
+    const columns = unknownColumnPolicy.pickColumns(schema, columnNames);
+    const sqlCommand = unknownColumnPolicy.buildAddColumnsTSql(tableName, columns);
+
+    const translation = await convertSqlServerDDLToMySQL(sqlCommand, tableName, 'ADD_COLUMN');
+    const migration = {
+        source: 'auto_evolve',
+        syncId,
+        storeId: socket.storeId,
+        appId: socket.appId,
+        clientId: socket.id,
+        tableName,
+        operation: 'ADD_COLUMN',
+        originalSql: sqlCommand,
+        warnings: translation.warnings
+    };
+
+    if (translation.status !== 'ok') {
+        await schemaMigrationLog.record(database, { ...migration, status: translation.status, error: translation.reason });
+        throw new Error(`Cannot add column(s) ${columnNames.join(', ')} to ${tableName}: ${translation.reason}`);
+    }
+    return applyTranslatedDDL(database, translation, migration);
+}
+
+// Create a table from a client-sent schema and record the DDL in the store's schema history
+async function createTableAndRecord(socket, database, source, { tableName, schema, databaseType = null, syncId = null }) {
+    const migration = {
+        source,
+        syncId,
+        storeId: socket.storeId,
+        appId: socket.appId,
+        clientId: socket.id,
+        tableName,
+        operation: 'CREATE_TABLE',
+        originalSql: JSON.stringify(schema)
+    };
+
+    try {
+        // Provisioning already created the table with its key columns only; complete it instead
+        if (await storeProvisioner.isBaselineTable(database, tableName)) {
+            migration.operation = 'COMPLETE_BASELINE_TABLE';
+            const result = await storeProvisioner.completeBaselineTable(database, tableName, schema);
+            await schemaMigrationLog.record(database, { ...migration, statements: result.statements, status: 'applied', warnings: result.warnings });
+            return result;
+        }
+
+        const result = await syncService.createTableWithSchema(database, tableName, schema, databaseType);
+        await schemaMigrationLog.record(database, { ...migration, statements: result.statements, status: 'applied', warnings: result.warnings });
+        return result;
     } catch (error) {
-        logger.error(`Error converting DDL: ${error.message}`);
-        return null;
+        await schemaMigrationLog.record(database, { ...migration, statements: error.statements || [], status: 'failed', error: error.message });
+        throw error;
     }
 }
 
 // Process Advanced Online Report sync data (with appId/storeId instead of MachineName)
-async function processAdvancedSyncData(data) {
+// Failed records are kept in the store's dead-letter table unless deadLetter is false (admin replays)
+async function processAdvancedSyncData(data, socket = null, { deadLetter = true } = {}) {
+    const { appId, storeId, syncId } = data;
+    let database = null;
+    let result;
     try {
-        const { appId, storeId, tableName, operation, recordData, timestamp, syncId, businessType, recordIdx } = data;
-        
         // Get database configuration for this app from license service
-        const database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
+        database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
         if (!database) {
             return {
                 success: false,
@@ -127,12 +170,67 @@ async function processAdvancedSyncData(data) {
             };
         }
 
-        // Convert recordData (XML) to usable format
+        // 同一个syncId只应用一次（客户端重连后重发的记录直接返回原结果）
+        result = await syncLedger.execute(
+            { database, scope: `${storeId}:${appId}`, syncId },
+            () => applyAdvancedSyncRecord(database, data, null, socket)
+        );
+        
+    } catch (error) {
+        logger.error('Error processing advanced sync data:', error);
+        result = {
+            success: false,
+            error: error.message,
+            ...(error.retryable ? { retryable: true } : {})
+        };
+    }
+
+    if (!result.success && database && deadLetter && deadLetterStore.shouldRecord(result)) {
+        await deadLetterStore.record(database, {
+            source: 'advanced',
+            scope: `${storeId}:${appId}`,
+            storeId,
+            appId,
+            syncId,
+            tableName: data.changeEvent ? data.changeEvent.table : data.tableName,
+            operation: data.changeEvent ? data.changeEvent.op : data.operation,
+            payload: data,
+            error: result.error
+        });
+    }
+    return result;
+}
+
+// Apply a dead-lettered record again through the normal apply path (admin replay)
+// Sequence ordering is skipped: the record's place in the stream has long passed
+async function replaySyncRecord(payload) {
+    if (payload.appId && payload.storeId) {
+        return processAdvancedSyncData(payload, null, { deadLetter: false });
+    }
+    if (payload.MachineName) {
+        try {
+            return await syncService.processSyncData(payload, { deadLetter: false });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    return { success: false, error: 'Record has neither appId/storeId nor MachineName' };
+}
+
+// Parse and apply one Advanced Online Report record against its store database
+// socket (optional) lets the auto_evolve unknown column policy ask the client for missing column definitions
+async function applyAdvancedSyncRecord(database, data, connection = null, socket = null) {
+    try {
+        const { recordData, businessType, recordIdx } = data;
+        let { tableName, operation } = data;
+
+        // Convert the JSON change event or recordData (XML) to usable format
         let parsedData;
         try {
-            if (typeof recordData === 'string' && recordData.trim().startsWith('<')) {
-                // Parse XML data (similar to legacy sync)
-                parsedData = await parseXMLData(recordData);
+            if (data.changeEvent) {
+                ({ tableName, operation, data: parsedData } = changeEvent.toSyncRecord(data.changeEvent, data.tableName));
+            } else if (typeof recordData === 'string' && recordData.trim().startsWith('<')) {
+                parsedData = await parseRecordXml(recordData);
             } else {
                 parsedData = recordData || {};
             }
@@ -147,8 +245,24 @@ async function processAdvancedSyncData(data) {
             parsedData.Idx = parsedData.Idx !== undefined ? parsedData.Idx : recordIdx;
         }
 
-       
-        const result = await executeAdvancedSyncOperation(database, tableName, operation, parsedData, businessType);
+        let result;
+        try {
+            result = await executeAdvancedSyncOperation(database, tableName, operation, parsedData, businessType, connection);
+        } catch (error) {
+            if (!unknownColumnPolicy.isUnknownColumnError(error)) {
+                throw error;
+            }
+            // The client may send a new column before its DDL arrives; apply the table's policy and retry once
+            parsedData = await unknownColumnPolicy.resolve({
+                database,
+                tableName,
+                data: parsedData,
+                businessType,
+                inTransaction: !!connection,
+                addColumns: socket ? (columns) => addClientColumns(socket, database, tableName, columns, data.syncId) : null
+            });
+            result = await executeAdvancedSyncOperation(database, tableName, operation, parsedData, businessType, connection);
+        }
         
         return {
             success: true,
@@ -165,14 +279,215 @@ async function processAdvancedSyncData(data) {
     }
 }
 
+// Apply an atomic sync_data_batch: the records of each store database run in one transaction
+// on a single connection, and the whole group is rolled back if any record fails
+async function applyAtomicSyncBatch(records) {
+    const results = records.map(record => ({
+        syncId: record.syncId || record.SyncId || null,
+        success: false,
+        duplicate: false,
+        error: null
+    }));
+
+    // Resolve every record first so nothing is applied when part of the batch is unusable
+    const groups = new Map(); // database -> [{ index, record, scope }]
+    const rejected = [];
+    for (const [index, record] of records.entries()) {
+        if (!record.appId || !record.storeId) {
+            rejected.push({ index, error: 'Atomic batches only support Advanced Online Report records (appId/storeId)' });
+            continue;
+        }
+        if (record.changeEvent) {
+            const { error } = changeEvent.validateChangeEvent(record.changeEvent, record.tableName);
+            if (error) {
+                rejected.push({ index, error: error.message });
+                continue;
+            }
+        }
+        const database = await licenseService.getDatabaseByStoreAndApp(record.storeId, record.appId);
+        if (!database) {
+            rejected.push({ index, error: `No database configuration found for Store ${record.storeId}, App ${record.appId}` });
+            continue;
+        }
+        if (!groups.has(database)) {
+            groups.set(database, []);
+        }
+        groups.get(database).push({ index, record, scope: `${record.storeId}:${record.appId}` });
+    }
+
+    if (rejected.length > 0) {
+        for (const result of results) {
+            result.error = 'Batch not applied: one or more records are invalid';
+        }
+        for (const { index, error } of rejected) {
+            results[index].error = error;
+        }
+        return { success: false, results };
+    }
+
+    let batchSuccess = true;
+    for (const [database, entries] of groups) {
+        // Records already in the sync ledger are not applied again
+        const toApply = [];
+        let ledgerError = null;
+        for (const entry of entries) {
+            let stored = null;
+            try {
+                stored = entry.record.syncId
+                    ? await syncLedger.lookup(database, entry.scope, entry.record.syncId)
+                    : null;
+            } catch (error) {
+                ledgerError = error;
+                break;
+            }
+            if (stored) {
+                Object.assign(results[entry.index], { success: true, duplicate: true, error: null });
+            } else {
+                toApply.push(entry);
+            }
+        }
+        if (ledgerError) {
+            // Without the ledger the group cannot be checked for records already applied; nothing of it is applied
+            batchSuccess = false;
+            for (const entry of entries) {
+                Object.assign(results[entry.index], { success: false, duplicate: false, retryable: true, error: ledgerError.message });
+            }
+            continue;
+        }
+        if (toApply.length === 0) {
+            continue;
+        }
+
+        const connection = await dbManager.getConnection(database);
+        const applied = [];
+        let failure = null;
+        try {
+            await connection.beginTransaction();
+
+            for (const entry of toApply) {
+                const result = await applyAdvancedSyncRecord(database, entry.record, connection);
+                if (!result.success) {
+                    failure = { entry, error: result.error || 'Unknown error', retryable: !!result.retryable };
+                    break;
+                }
+                applied.push({ entry, result });
+            }
+
+            if (failure) {
+                await connection.rollback();
+            } else {
+                // With the MySQL ledger the syncIds commit in the same transaction as their changes
+                for (const { entry, result } of applied) {
+                    if (entry.record.syncId) {
+                        entry.ledgerRecorded = await syncLedger.recordInTransaction(connection, entry.scope, entry.record.syncId, result);
+                    }
+                }
+                await connection.commit();
+            }
+        } catch (error) {
+            failure = failure || { entry: null, error: error.message, retryable: !deadLetterStore.shouldRecord(error) };
+            try {
+                await connection.rollback();
+            } catch (rollbackError) {
+                logger.error(`Atomic batch rollback failed for ${database}: ${rollbackError.message}`);
+            }
+        } finally {
+            connection.release();
+        }
+
+        if (failure) {
+            batchSuccess = false;
+            const failedSyncId = failure.entry ? failure.entry.record.syncId : null;
+            logger.error(`Atomic batch rolled back for ${database}: ${failure.error}`);
+            for (const entry of toApply) {
+                results[entry.index].error = entry === failure.entry
+                    ? failure.error
+                    : `Rolled back: record ${failedSyncId || 'in batch'} failed (${failure.error})`;
+                if (failure.retryable) {
+                    results[entry.index].retryable = true;
+                    continue;
+                }
+                // Every record of the rolled-back group is kept, so it can be replayed once the failing one is fixed
+                await deadLetterStore.record(database, {
+                    source: 'advanced',
+                    scope: entry.scope,
+                    storeId: entry.record.storeId,
+                    appId: entry.record.appId,
+                    syncId: entry.record.syncId,
+                    tableName: entry.record.changeEvent ? entry.record.changeEvent.table : entry.record.tableName,
+                    operation: entry.record.changeEvent ? entry.record.changeEvent.op : entry.record.operation,
+                    payload: entry.record,
+                    error: `Atomic batch record ${entry.index + 1} of ${records.length}: ${results[entry.index].error}`
+                });
+            }
+            continue;
+        }
+
+        for (const { entry, result } of applied) {
+            results[entry.index].success = true;
+            if (entry.record.syncId && !entry.ledgerRecorded) {
+                await syncLedger.record(database, entry.scope, entry.record.syncId, result);
+            }
+        }
+        if (applied.some(({ entry }) => entry.ledgerRecorded)) {
+            await syncLedger.purgeExpired(database).catch(error => logger.warn(`Sync ledger purge failed for ${database}: ${error.message}`));
+        }
+    }
+
+    return { success: batchSuccess, results };
+}
+
+// Build the WHERE fields/values for UPDATE and DELETE from the table key registry
+// UPDATE matches on old_ values when the client sent them, DELETE uses the row values
+function buildKeyCondition(tableName, operation, parsedData, businessType) {
+    const useOldValues = operation === 'UPDATE';
+
+    if (!tableKeyRegistry.hasTable(tableName)) {
+        // 未注册的表尝试使用id字段
+        const hasId = useOldValues ? (parsedData.id || parsedData.old_id) : ('id' in parsedData);
+        if (!hasId) {
+            throw new Error(`No primary key found for ${operation} operation on ${tableName}`);
+        }
+        return {
+            fields: ['id'],
+            values: [useOldValues ? (parsedData.old_id || parsedData.id) : parsedData.id]
+        };
+    }
+
+    const fields = tableKeyRegistry.getWhereFields(tableName, businessType, parsedData);
+    if (!fields) {
+        throw new Error(`No WHERE condition defined for ${operation} operation on ${tableName} with businessType=${businessType}`);
+    }
+
+    const typeLabel = businessType ? ` (${businessType})` : '';
+    const values = fields.map(field => {
+        if (useOldValues) {
+            if (!(field in parsedData) && !(`old_${field}` in parsedData)) {
+                throw new Error(`No ${field} or old_${field} found for UPDATE operation on ${tableName}${typeLabel}`);
+            }
+            return parsedData[`old_${field}`] || parsedData[field];
+        }
+        if (!(field in parsedData)) {
+            throw new Error(`No ${field} found for ${operation} operation on ${tableName}${typeLabel}`);
+        }
+        return parsedData[field];
+    });
+
+    return { fields, values };
+}
+
 // Execute sync operation for Advanced Online Report
-async function executeAdvancedSyncOperation(database, tableName, operation, data, businessType) {
+// When a connection is passed (atomic batches) the statement runs on it, inside the caller's transaction
+async function executeAdvancedSyncOperation(database, tableName, operation, data, businessType, connection = null) {
+    const runQuery = (sql, params) => connection
+        ? dbManager.executeOnConnection(connection, sql, params)
+        : dbManager.executeQuery(database, sql, params);
+
     try {
         // 如果data是XML字符串，需要解析为对象
         let parsedData;
         if (typeof data === 'string' && data.trim().startsWith('<')) {
-            // 简单的XML解析 - 提取数据
-            parsedData = await parseXMLToObject(data);
+            parsedData = await parseRecordXml(data);
         } else {
             parsedData = data;
         }
@@ -200,7 +515,7 @@ async function executeAdvancedSyncOperation(database, tableName, operation, data
                 const insertSql = `INSERT INTO ${tableName} (${insertColumns}) VALUES (${insertPlaceholders}) ON DUPLICATE KEY UPDATE ${updateColumns}`;
        
                 
-                return await dbManager.executeQuery(database, insertSql, insertValues);
+                return await runQuery(insertSql, insertValues);
             case 'UPDATE':
                 if (parsedData.Idx !== undefined && parsedData.Idx !== null) {
                     const idxValue = parsedData.Idx;
@@ -229,182 +544,10 @@ async function executeAdvancedSyncOperation(database, tableName, operation, data
                     `;
 
                     const updateParams = [...Object.values(filteredUpdateData), idxValue];
-                    return await dbManager.executeQuery(database, updateSqlByIdx, updateParams);
-                }
-                // 根据业务类型和表名确定主键字段（支持联合主键）
-                let whereFields = [];
-                let whereValues = [];
-                
-              
-                
-                if (tableName === 'SalesDetail') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: SalesDetail表使用OrderNo + ItemCode作为联合WHERE条件
-                        if (!('OrderNo' in parsedData) && !('old_OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo or old_OrderNo found for UPDATE operation on SalesDetail (Hospitality)');
-                        }
-                        if (!('ItemCode' in parsedData) && !('old_ItemCode' in parsedData)) {
-                            throw new Error('No ItemCode or old_ItemCode found for UPDATE operation on SalesDetail (Hospitality)');
-                        }
-                        whereFields = ['OrderNo', 'ItemCode'];
-                        whereValues = [
-                            parsedData.old_OrderNo || parsedData.OrderNo,
-                            parsedData.old_ItemCode || parsedData.ItemCode
-                        ];
-                    } else if (businessType === 'retail') {
-                        // Retail: SalesDetail表使用InvoiceNo + StockId作为联合WHERE条件
-                        if (!('InvoiceNo' in parsedData) && !('old_InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo or old_InvoiceNo found for UPDATE operation on SalesDetail (Retail)');
-                        }
-                        if (!('StockId' in parsedData) && !('old_StockId' in parsedData)) {
-                            throw new Error('No StockId or old_StockId found for UPDATE operation on SalesDetail (Retail)');
-                        }
-                        whereFields = ['InvoiceNo', 'StockId'];
-                        whereValues = [
-                            parsedData.old_InvoiceNo || parsedData.InvoiceNo,
-                            parsedData.old_StockId || parsedData.StockId
-                        ];
-                    }
-                } else if (tableName === 'Sales') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: Sales表使用OrderNo作为WHERE条件
-                        if (!('OrderNo' in parsedData) && !('old_OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo or old_OrderNo found for UPDATE operation on Sales (Hospitality)');
-                        }
-                        whereFields = ['OrderNo'];
-                        whereValues = [parsedData.old_OrderNo || parsedData.OrderNo];
-                    } else if (businessType === 'retail') {
-                        // Retail: Sales表使用InvoiceNo作为WHERE条件
-                        if (!('InvoiceNo' in parsedData) && !('old_InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo or old_InvoiceNo found for UPDATE operation on Sales (Retail)');
-                        }
-                        whereFields = ['InvoiceNo'];
-                        whereValues = [parsedData.old_InvoiceNo || parsedData.InvoiceNo];
-                    } else {
-                        // 默认情况：尝试使用InvoiceNo，如果没有则使用OrderNo
-                        if (('InvoiceNo' in parsedData) || ('old_InvoiceNo' in parsedData)) {
-                            whereFields = ['InvoiceNo'];
-                            whereValues = [parsedData.old_InvoiceNo || parsedData.InvoiceNo];
-                        } else if (('OrderNo' in parsedData) || ('old_OrderNo' in parsedData)) {
-                            whereFields = ['OrderNo'];
-                            whereValues = [parsedData.old_OrderNo || parsedData.OrderNo];
-                        } else {
-                            throw new Error('No InvoiceNo or OrderNo found for UPDATE operation on Sales');
-                        }
-                    }
-                } 
-                else if (tableName === 'StockItems') {
-                    if (businessType === 'retail') {
-                        // Retail: StockItems表使用StockId作为WHERE条件
-                        if (!('StockId' in parsedData) && !('old_StockId' in parsedData)) {
-                            throw new Error('No StockId or old_StockId found for UPDATE operation on StockItems (Retail)');
-                        }
-                        whereFields = ['StockId'];
-                        whereValues = [parsedData.old_StockId || parsedData.StockId];
-                    }
-                } else if (tableName === 'MenuItem') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: MenuItem表使用ItemCode作为WHERE条件
-                        if (!('ItemCode' in parsedData) && !('old_ItemCode' in parsedData)) {
-                            throw new Error('No ItemCode or old_ItemCode found for UPDATE operation on MenuItem (Hospitality)');
-                        }
-                        whereFields = ['ItemCode'];
-                        whereValues = [parsedData.old_ItemCode || parsedData.ItemCode];
-                    }
-                }
-                else if (tableName === 'SubMenuLinkDetail') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: SubMenuLinkDetail表使用ItemCode作为WHERE条件
-                        if (!('ItemCode' in parsedData) && !('old_ItemCode' in parsedData)) {
-                            throw new Error('No ItemCode or old_ItemCode found for UPDATE operation on SubMenuLinkDetail (Hospitality)');
-                        }
-                        whereFields = ['ItemCode'];
-                        whereValues = [parsedData.old_ItemCode || parsedData.ItemCode];
-                    }
-                }
-                else if (tableName === 'PaymentReceived') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: PaymentReceived表使用OrderNo + Id作为联合WHERE条件
-                        if (!('OrderNo' in parsedData) && !('old_OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo or old_OrderNo found for UPDATE operation on PaymentReceived (Hospitality)');
-                        }
-                        if (!('Id' in parsedData) && !('old_Id' in parsedData)) {
-                            throw new Error('No Id or old_Id found for UPDATE operation on PaymentReceived (Hospitality)');
-                        }
-                        whereFields = ['OrderNo', 'Id'];
-                        whereValues = [
-                            parsedData.old_OrderNo || parsedData.OrderNo,
-                            parsedData.old_Id || parsedData.Id
-                        ];
-                    } else if (businessType === 'retail') {
-                        // Retail: PaymentReceived表使用InvoiceNo + Id作为联合WHERE条件
-                        if (!('InvoiceNo' in parsedData) && !('old_InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo or old_InvoiceNo found for UPDATE operation on PaymentReceived (Retail)');
-                        }
-                        if (!('Id' in parsedData) && !('old_Id' in parsedData)) {
-                            throw new Error('No Id or old_Id found for UPDATE operation on PaymentReceived (Retail)');
-                        }
-                        whereFields = ['InvoiceNo', 'Id'];
-                        whereValues = [
-                            parsedData.old_InvoiceNo || parsedData.InvoiceNo,
-                            parsedData.old_Id || parsedData.Id
-                        ];
-                    }
-                }
-                else if (tableName === 'Payment') {
-                    // Payment表使用Payment字段作为主键（零售和酒店通用）
-                    if (!('Payment' in parsedData) && !('old_Payment' in parsedData)) {
-                        throw new Error('No Payment or old_Payment found for UPDATE operation on Payment');
-                    }
-                    whereFields = ['Payment'];
-                    whereValues = [parsedData.old_Payment || parsedData.Payment];
-                }
-                else if (tableName === 'WorkStationId') {
-                    // WorkStationId表使用WorkStationId字段作为主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('WorkStationId' in parsedData) && !('old_WorkStationId' in parsedData)) {
-                            throw new Error('No WorkStationId or old_WorkStationId found for UPDATE operation on WorkStationId (Retail)');
-                        }
-                        whereFields = ['WorkStationId'];
-                        whereValues = [parsedData.old_WorkStationId || parsedData.WorkStationId];
-                    }
-                } else if (tableName === 'Vendor') {
-                    // Vendor表使用VendorId字段作为主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('VendorId' in parsedData) && !('old_VendorId' in parsedData)) {
-                            throw new Error('No VendorId or old_VendorId found for UPDATE operation on Vendor (Retail)');
-                        }
-                        whereFields = ['VendorId'];
-                        whereValues = [parsedData.old_VendorId || parsedData.VendorId];
-                    }
-                } else if (tableName === 'StockRelatedVendor') {
-                    // StockRelatedVendor表使用StockId + VendorId作为联合主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('StockId' in parsedData) && !('old_StockId' in parsedData)) {
-                            throw new Error('No StockId or old_StockId found for UPDATE operation on StockRelatedVendor (Retail)');
-                        }
-                        if (!('VendorId' in parsedData) && !('old_VendorId' in parsedData)) {
-                            throw new Error('No VendorId or old_VendorId found for UPDATE operation on StockRelatedVendor (Retail)');
-                        }
-                        whereFields = ['StockId', 'VendorId'];
-                        whereValues = [
-                            parsedData.old_StockId || parsedData.StockId,
-                            parsedData.old_VendorId || parsedData.VendorId
-                        ];
-                    }
-                }
-                
-              
-              
-                else {
-                    // 其他表尝试使用id字段
-                    if (parsedData.id || parsedData.old_id) {
-                        whereFields = ['id'];
-                        whereValues = [parsedData.old_id || parsedData.id];
-                    } else {
-                        throw new Error(`No primary key found for UPDATE operation on ${tableName}`);
-                    }
+                    return await runQuery(updateSqlByIdx, updateParams);
                 }
+                // 根据业务类型和表名从表主键注册表确定WHERE字段（支持联合主键）
+                const { fields: whereFields, values: whereValues } = buildKeyCondition(tableName, 'UPDATE', parsedData, businessType);
                 
                 // 构建SET子句，用反引号包裹列名以避免保留字冲突
                 const setClause = Object.keys(parsedData)
@@ -421,10 +564,6 @@ async function executeAdvancedSyncOperation(database, tableName, operation, data
                     .map(key => parsedData[key]);
                 
                 // 构建WHERE子句（支持联合条件）
-                if (whereFields.length === 0) {
-                    throw new Error(`No WHERE condition defined for UPDATE operation on ${tableName} with businessType=${businessType}`);
-                }
-                
                 const whereClause = whereFields
                     .map(field => `\`${field}\` = ?`)
                     .join(' AND ');
@@ -432,154 +571,26 @@ async function executeAdvancedSyncOperation(database, tableName, operation, data
                 const sql = `UPDATE ${tableName} SET ${setClause} WHERE ${whereClause}`;
               
                 
-                return await dbManager.executeQuery(database, sql, [...updateValues, ...whereValues]);
+                return await runQuery(sql, [...updateValues, ...whereValues]);
             case 'DELETE':
                 if (parsedData.Idx !== undefined && parsedData.Idx !== null) {
                     const deleteSqlByIdx = `
                         DELETE FROM ${tableName}
                         WHERE \`Idx\` = ?
                     `;
-                    return await dbManager.executeQuery(database, deleteSqlByIdx, [parsedData.Idx]);
-                }
-                // 根据业务类型和表名确定主键字段（支持联合主键）
-                let deleteFields = [];
-                let deleteValues = [];
-                
-              
-                
-                if (tableName === 'SalesDetail') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: SalesDetail表使用OrderNo + ItemCode作为联合WHERE条件
-                        if (!('OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo found for DELETE operation on SalesDetail (Hospitality)');
-                        }
-                        if (!('ItemCode' in parsedData)) {
-                            throw new Error('No ItemCode found for DELETE operation on SalesDetail (Hospitality)');
-                        }
-                        deleteFields = ['OrderNo', 'ItemCode'];
-                        deleteValues = [parsedData.OrderNo, parsedData.ItemCode];
-                    } else if (businessType === 'retail') {
-                        // Retail: SalesDetail表使用InvoiceNo + StockId作为联合WHERE条件
-                        if (!('InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo found for DELETE operation on SalesDetail (Retail)');
-                        }
-                        if (!('StockId' in parsedData)) {
-                            throw new Error('No StockId found for DELETE operation on SalesDetail (Retail)');
-                        }
-                        deleteFields = ['InvoiceNo', 'StockId'];
-                        deleteValues = [parsedData.InvoiceNo, parsedData.StockId];
-                    }
-                } else if (tableName === 'Sales') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: Sales表使用OrderNo作为WHERE条件
-                        if (!('OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo found for DELETE operation on Sales (Hospitality)');
-                        }
-                        deleteFields = ['OrderNo'];
-                        deleteValues = [parsedData.OrderNo];
-                    } else if (businessType === 'retail') {
-                        // Retail: Sales表使用InvoiceNo作为WHERE条件
-                        if (!('InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo found for DELETE operation on Sales (Retail)');
-                        }
-                        deleteFields = ['InvoiceNo'];
-                        deleteValues = [parsedData.InvoiceNo];
-                    }
-                } else if (tableName === 'MenuItem') {
-                    // MenuItem表使用ItemCode作为主键
-                    if (!('ItemCode' in parsedData)) {
-                        throw new Error('No ItemCode found for DELETE operation on MenuItem');
-                    }
-                    deleteFields = ['ItemCode'];
-                    deleteValues = [parsedData.ItemCode];
-                } else if (tableName === 'StockItems') {
-                    // StockItems表使用StockId作为主键
-                    if (!('StockId' in parsedData)) {
-                        throw new Error('No StockId found for DELETE operation on StockItems');
-                    }
-                    deleteFields = ['StockId'];
-                    deleteValues = [parsedData.StockId];
-                } else if (tableName === 'PaymentReceived') {
-                    if (businessType === 'hospitality') {
-                        // Hospitality: PaymentReceived表使用OrderNo + Id作为联合WHERE条件
-                        if (!('OrderNo' in parsedData)) {
-                            throw new Error('No OrderNo found for DELETE operation on PaymentReceived (Hospitality)');
-                        }
-                        if (!('Id' in parsedData)) {
-                            throw new Error('No Id found for DELETE operation on PaymentReceived (Hospitality)');
-                        }
-                        deleteFields = ['OrderNo', 'Id'];
-                        deleteValues = [parsedData.OrderNo, parsedData.Id];
-                    } else if (businessType === 'retail') {
-                        // Retail: PaymentReceived表使用InvoiceNo + Id作为联合WHERE条件
-                        if (!('InvoiceNo' in parsedData)) {
-                            throw new Error('No InvoiceNo found for DELETE operation on PaymentReceived (Retail)');
-                        }
-                        if (!('Id' in parsedData)) {
-                            throw new Error('No Id found for DELETE operation on PaymentReceived (Retail)');
-                        }
-                        deleteFields = ['InvoiceNo', 'Id'];
-                        deleteValues = [parsedData.InvoiceNo, parsedData.Id];
-                    }
-                } else if (tableName === 'Payment') {
-                    // Payment表使用Payment字段作为主键（零售和酒店通用）
-                    if (!('Payment' in parsedData)) {
-                        throw new Error('No Payment found for DELETE operation on Payment');
-                    }
-                    deleteFields = ['Payment'];
-                    deleteValues = [parsedData.Payment];
-                } else if (tableName === 'WorkStationId') {
-                    // WorkStationId表使用WorkStationId字段作为主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('WorkStationId' in parsedData)) {
-                            throw new Error('No WorkStationId found for DELETE operation on WorkStationId (Retail)');
-                        }
-                        deleteFields = ['WorkStationId'];
-                        deleteValues = [parsedData.WorkStationId];
-                    }
-                } else if (tableName === 'Vendor') {
-                    // Vendor表使用VendorId字段作为主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('VendorId' in parsedData)) {
-                            throw new Error('No VendorId found for DELETE operation on Vendor (Retail)');
-                        }
-                        deleteFields = ['VendorId'];
-                        deleteValues = [parsedData.VendorId];
-                    }
-                } else if (tableName === 'StockRelatedVendor') {
-                    // StockRelatedVendor表使用StockId + VendorId作为联合主键（仅零售系统）
-                    if (businessType === 'retail') {
-                        if (!('StockId' in parsedData)) {
-                            throw new Error('No StockId found for DELETE operation on StockRelatedVendor (Retail)');
-                        }
-                        if (!('VendorId' in parsedData)) {
-                            throw new Error('No VendorId found for DELETE operation on StockRelatedVendor (Retail)');
-                        }
-                        deleteFields = ['StockId', 'VendorId'];
-                        deleteValues = [parsedData.StockId, parsedData.VendorId];
-                    }
-                } else {
-                    // 其他表尝试使用id字段
-                    if ('id' in parsedData) {
-                        deleteFields = ['id'];
-                        deleteValues = [parsedData.id];
-                    } else {
-                        throw new Error(`No primary key found for DELETE operation on ${tableName}`);
-                    }
+                    return await runQuery(deleteSqlByIdx, [parsedData.Idx]);
                 }
+                // 根据业务类型和表名从表主键注册表确定WHERE字段（支持联合主键）
+                const { fields: deleteFields, values: deleteValues } = buildKeyCondition(tableName, 'DELETE', parsedData, businessType);
                 
                 // 构建WHERE子句（支持联合条件）
-                if (deleteFields.length === 0) {
-                    throw new Error(`No WHERE condition defined for DELETE operation on ${tableName} with businessType=${businessType}`);
-                }
-                
                 const deleteWhereClause = deleteFields
                     .map(field => `\`${field}\` = ?`)
                     .join(' AND ');
                 
                 const deleteSql = `DELETE FROM ${tableName} WHERE ${deleteWhereClause}`;
               
-                return await dbManager.executeQuery(database, deleteSql, deleteValues);
+                return await runQuery(deleteSql, deleteValues);
             default:
                 throw new Error(`Unsupported operation: ${operation}`);
         }
@@ -589,79 +600,8 @@ async function executeAdvancedSyncOperation(database, tableName, operation, data
     }
 }
 
-// Parse XML data to object
-async function parseXMLToObject(xmlString) {
-    try {
-        // 简单的XML解析 - 提取标签内容
-        const result = {};
-        
-        // 检查是否有新旧数据对比（UPDATE操作）
-        if (xmlString.includes('<new>') && xmlString.includes('<old>')) {
-            // 提取new部分的数据
-            const newMatch = xmlString.match(/<new>(.*?)<\/new>/s);
-            if (newMatch) {
-                const newData = newMatch[1];
-                const tagRegex = /<([^>]+)>([^<]*)<\/\1>/g;
-                let match;
-                
-                while ((match = tagRegex.exec(newData)) !== null) {
-                    const tagName = match[1];
-                    const tagValue = match[2].trim();
-                    
-                    if (tagValue && tagValue !== '') {
-                        result[tagName] = tagValue;
-                    }
-                }
-            }
-            
-            // 提取old部分的数据（用于WHERE条件）
-            const oldMatch = xmlString.match(/<old>(.*?)<\/old>/s);
-            if (oldMatch) {
-                const oldData = oldMatch[1];
-                const tagRegex = /<([^>]+)>([^<]*)<\/\1>/g;
-                let match;
-                
-                while ((match = tagRegex.exec(oldData)) !== null) {
-                    const tagName = match[1];
-                    const tagValue = match[2].trim();
-                    
-                    if (tagValue && tagValue !== '') {
-                        result[`old_${tagName}`] = tagValue;
-                    }
-                }
-            }
-        } else {
-            // 普通XML解析
-            const tagRegex = /<([^>]+)>([^<]*)<\/\1>/g;
-            let match;
-            
-            while ((match = tagRegex.exec(xmlString)) !== null) {
-                const tagName = match[1];
-                const tagValue = match[2].trim();
-                
-                if (tagValue && tagValue !== '') {
-                    result[tagName] = tagValue;
-                }
-            }
-        }
-        
-     
-        return result;
-        
-    } catch (error) {
-        logger.error(`Error parsing XML: ${error.message}`);
-        throw new Error(`Failed to parse XML data: ${error.message}`);
-    }
-}
-
-// Parse XML data (placeholder - you may need to implement based on your XML format)
-async function parseXMLData(xmlString) {
-    // This is a simplified parser - you may need a proper XML parser
-    // For now, just return the XML string as is
-    return xmlString;
-}
-
 const app = express();
+app.locals.replaySyncRecord = replaySyncRecord;
 const server = http.createServer(app);
 
 // Socket.io configuration with defaults
@@ -701,6 +641,13 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 const updateRoutes = require('./routes/updateRoutes');
 app.use('/api/updates', updateRoutes);
+// The admin API replays, discards, moves and provisions stores, so it is not served without a password
+if (process.env.ADMIN_PASSWORD) {
+    const adminRoutes = require('./routes/adminRoutes');
+    app.use('/api/admin', adminRoutes);
+} else {
+    logger.warn('ADMIN_PASSWORD is not set, the admin API (/api/admin) is disabled');
+}
 
 // Basic health check endpoint
 app.get('/health', (req, res) => {
@@ -716,11 +663,16 @@ app.get('/status', async (req, res) => {
     try {
         const dbConfig = require('./config/database.json');
         const appCount = Object.keys(dbConfig.machineMapping).length;
+        // Per-pool details are on /api/admin/database/pools
+        const { pools, ...databasePools } = dbManager.getPoolStats();
         
         res.json({
             status: 'running',
             connectedClients: io.sockets.sockets.size,
             configuredApps: appCount,
+            databaseRetries: dbManager.getRetryStats(),
+            databasePools,
+            schemaCache: schemaCache.getStats(),
             uptime: process.uptime(),
             timestamp: new Date().toISOString()
         });
@@ -730,7 +682,6 @@ app.get('/status', async (req, res) => {
 });
 
 // Socket.io connection handling
-const clientFullSyncStatus = new Map(); // Track full sync status for each client
 const advancedReportOnlineCounts = new Map(); // Track active advanced report connections per store/app
 
 io.on('connection', (socket) => {
@@ -739,7 +690,7 @@ io.on('connection', (socket) => {
     // Handle client identification with license validation
     socket.on('identify', async (data) => {
         try {
-            const { storeId, appId, serviceType } = data;
+            const { storeId, appId, serviceType, businessType } = data;
             
             logger.info(`Client identification attempt: ${socket.id} with AppId: ${appId}, ServiceType: ${serviceType}`);
             
@@ -780,6 +731,13 @@ io.on('connection', (socket) => {
                 
                 // License is valid, store license info in socket
                 socket.licenseInfo = licenseValidation.storeInfo;
+
+                // 新店首次连接时创建报表库和基础表；失败不影响连接，下次连接或管理接口可重试
+                try {
+                    await storeProvisioner.ensureProvisioned(storeId, appId, { businessType });
+                } catch (provisionError) {
+                    logger.error(`Provisioning failed for Store ${storeId}: ${provisionError.message}`);
+                }
                 
                 try {
                     const redisKey = `advancedreport:online:${storeId}:${appId}`;
@@ -802,10 +760,7 @@ io.on('connection', (socket) => {
             socket.storeId = storeId;
             socket.appId = appId;
             socket.serviceType = serviceType;
-        
-        // Initialize full sync status
-        clientFullSyncStatus.set(socket.id, false);
-        
+
 
             socket.emit('identified', { 
                 success: true, 
@@ -830,8 +785,21 @@ io.on('connection', (socket) => {
             
             // Check if this is from Advanced Online Report (has appId and storeId)
             if (data.appId && data.storeId) {
-                // Process Advanced Online Report sync data
-                const result = await processAdvancedSyncData(data);
+                // Process Advanced Online Report sync data, in sequence order per store
+                const result = await orderedApplyQueue.submit(
+                    `${data.storeId}:${data.appId}`,
+                    data.sequence,
+                    () => processAdvancedSyncData(data, socket),
+                    {
+                        onGap: (gap) => socket.emit('sync_gap', {
+                            storeId: data.storeId,
+                            appId: data.appId,
+                            ...gap,
+                            timestamp: new Date().toISOString()
+                        }),
+                        socketId: socket.id
+                    }
+                );
                 
                 // Send response back to client
                 if (result.success) {
@@ -839,6 +807,7 @@ io.on('connection', (socket) => {
                         syncId: data.syncId,
                         success: true,
                         result: result.result,
+                        duplicate: !!result.duplicate,
                         timestamp: new Date().toISOString()
                     });
                     
@@ -861,6 +830,7 @@ io.on('connection', (socket) => {
                         syncId: data.SyncId,
                         success: true,
                         result: result.result,
+                        duplicate: !!result.duplicate,
                         timestamp: new Date().toISOString()
                     });
                  
@@ -899,6 +869,26 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Reset the expected sync sequence for this store (client renumbered its outbox)
+    socket.on('sync_sequence_reset', async (data) => {
+        try {
+            const appId = data?.appId || socket.appId;
+            const storeId = data?.storeId || socket.storeId;
+            const nextSequence = Number(data?.nextSequence);
+
+            if (!appId || !storeId || !Number.isInteger(nextSequence)) {
+                socket.emit('sync_sequence_reset_response', { success: false, error: 'Missing appId, storeId or nextSequence' });
+                return;
+            }
+
+            await orderedApplyQueue.reset(`${storeId}:${appId}`, nextSequence);
+            socket.emit('sync_sequence_reset_response', { success: true, nextSequence });
+        } catch (error) {
+            logger.error(`sync_sequence_reset error: ${error.message}`);
+            socket.emit('sync_sequence_reset_response', { success: false, error: error.message });
+        }
+    });
+
     socket.on('sync_data_batch', async (payload) => {
         const batchId = payload?.batchId;
         const records = Array.isArray(payload?.records) ? payload.records : [];
@@ -912,15 +902,43 @@ io.on('connection', (socket) => {
             return;
         }
 
+        // All-or-nothing mode: one transaction per store database
+        if (payload.atomic === true) {
+            try {
+                const { success, results } = await applyAtomicSyncBatch(records);
+                socket.emit('sync_batch_response', {
+                    batchId,
+                    atomic: true,
+                    success,
+                    results
+                });
+            } catch (err) {
+                logger.error(`Atomic batch ${batchId} failed: ${err.message}`);
+                socket.emit('sync_batch_response', {
+                    batchId,
+                    atomic: true,
+                    success: false,
+                    results: records.map(record => ({
+                        syncId: record.syncId || record.SyncId || null,
+                        success: false,
+                        error: err.message
+                    })),
+                    error: err.message
+                });
+            }
+            return;
+        }
+
         const results = [];
 
         for (const record of records) {
             try {
                 if (record.appId && record.storeId) {
-                    const result = await processAdvancedSyncData(record);
+                    const result = await processAdvancedSyncData(record, socket);
                     results.push({
                         syncId: record.syncId,
                         success: result.success,
+                        duplicate: !!result.duplicate,
                         error: result.success ? null : result.error || result.message || 'Unknown error'
                     });
                 } else if (record.MachineName) {
@@ -928,6 +946,7 @@ io.on('connection', (socket) => {
                     results.push({
                         syncId: record.SyncId,
                         success: result.success,
+                        duplicate: !!result.duplicate,
                         error: result.success ? null : result.error || 'Unknown error'
                     });
                 } else {
@@ -984,7 +1003,10 @@ io.on('connection', (socket) => {
             const tablesResult = await dbManager.executeQuery(database, listSql, [schemaName]);
 
             const tableRows = Array.isArray(tablesResult?.rows) ? tablesResult.rows : tablesResult;
-            const tableNames = (tableRows || []).map(r => r.TABLE_NAME || r.table_name).filter(Boolean);
+            // The server's own _-prefixed tables (_sync_ledger, _sync_dead_letters, _schema_migrations,
+            // _csv_import_reports) are kept: they are not report data and their services cache that they exist
+            const tableNames = (tableRows || []).map(r => r.TABLE_NAME || r.table_name)
+                .filter(name => name && !name.startsWith('_'));
 
             // Disable foreign key checks to allow dropping in any order
             await dbManager.executeQuery(database, 'SET FOREIGN_KEY_CHECKS=0');
@@ -992,12 +1014,14 @@ io.on('connection', (socket) => {
             for (const t of tableNames) {
                 try {
                     await dbManager.executeQuery(database, `DROP TABLE \`${t}\``);
+                    schemaCache.invalidate(database, t);
                     dropped++;
                 } catch (err) {
                     logger.warn(`Failed to drop table ${t}: ${err.message}`);
                 }
             }
             await dbManager.executeQuery(database, 'SET FOREIGN_KEY_CHECKS=1');
+            schemaCache.invalidate(database);
 
             socket.emit('reset_advanced_report_response', { success: true, droppedTables: dropped });
            
@@ -1009,6 +1033,20 @@ io.on('connection', (socket) => {
 
     // Handle table schema response from client
     socket.on('table_schema_response', async (data) => {
+        // Answer to a schema request made while resolving unknown columns: no table to create
+        const match = findPendingSchemaRequest(socket, data);
+        if (match) {
+            const { requestId, pending } = match;
+            clearTimeout(pending.timer);
+            pendingSchemaRequests.delete(requestId);
+            if (data.error) {
+                pending.reject(new Error(`Client could not provide ${pending.tableName} schema: ${data.error}`));
+            } else {
+                pending.resolve(data.schema);
+            }
+            return;
+        }
+
         try {
             const { tableName, schema, originalSyncId } = data;
             
@@ -1034,7 +1072,7 @@ io.on('connection', (socket) => {
             }
             
             // Create table with provided schema
-            await syncService.createTableWithSchema(database, tableName, schema);
+            await createTableAndRecord(socket, database, 'table_schema_response', { tableName, schema, syncId: originalSyncId });
             
             // Request full data sync for the newly created table
            
@@ -1083,30 +1121,36 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Insert batch data
-            let successCount = 0;
-            let errorCount = 0;
+            // Track this full sync in a persisted session so a reconnecting client can resume
+            const batchIndex = currentBatch !== undefined && currentBatch !== null && Number.isInteger(Number(currentBatch))
+                ? Number(currentBatch)
+                : null;
+            let session = await fullSyncSessions.getOrStart(socket.storeId, socket.appId, tableName, {
+                originalSyncId,
+                currentBatch: batchIndex,
+                totalBatches,
+                totalRows
+            });
+            
             let insertCount = 0;
             let updateCount = 0;
             let skipCount = 0;
+            let errorCount = 0;
+            let warningCount = 0;
+            let warnings = [];
+            const alreadyReceived = fullSyncSessions.hasBatch(session, batchIndex);
             
-            for (const row of tableData) {
-                try {
-                    const result = await syncService.handleInsert(database, tableName, row, true); // Pass isFullSync=true
-                    successCount++;
-                    
-                    if (result.operation === 'INSERT') {
-                        insertCount++;
-                    } else if (result.operation === 'UPDATE') {
-                        updateCount++;
-                    } else if (result.operation === 'SKIP') {
-                        skipCount++;
-                    }
-                } catch (error) {
-                    logger.error(`Failed to insert row in ${tableName}: ${error.message}`);
-                    errorCount++;
-                }
+            if (alreadyReceived) {
+                // Resent after a reconnect: already applied and counted
+                logger.info(`Full sync ${batchInfo} for ${tableName} already received, skipping`);
+            } else {
+                // Insert batch data with multi-row statements; rows that already exist are skipped
+                ({ insertCount, updateCount, skipCount, errorCount, warningCount, warnings } = await syncService.bulkInsert(
+                    database, tableName, tableData, { mode: 'ignore', batchSize: fullSyncConfig.batchSize }
+                ));
+                session = await fullSyncSessions.recordBatch(session, batchIndex, { insertCount, updateCount, skipCount, errorCount, warningCount }, { totalBatches, totalRows });
             }
+            const successCount = insertCount + updateCount + skipCount;
             
             // Send batch progress update
             socket.emit('full_data_sync_progress', {
@@ -1118,19 +1162,26 @@ io.on('connection', (socket) => {
                 batchInsertCount: insertCount,
                 batchUpdateCount: updateCount,
                 batchSkipCount: skipCount,
+                batchWarningCount: warningCount,
+                batchWarnings: warnings,
+                alreadyReceived: alreadyReceived,
+                session: fullSyncSessions.toSummary(session),
                 originalSyncId: originalSyncId
             });
             
             
             // If this is the last batch, send completion notification
             if (isLastBatch) {
-                // Calculate total stats (this is simplified - in production you'd track cumulative stats)
+                session = await fullSyncSessions.complete(session);
+                const summary = fullSyncSessions.toSummary(session);
+                
                 socket.emit('full_data_sync_complete', {
                     tableName: tableName,
                     success: true,
-                    message: `Full data sync completed: ${totalRows} total rows processed`,
+                    message: `Full data sync completed: ${summary.processedRows} rows processed (${summary.insertCount} inserted, ${summary.skipCount} skipped, ${summary.errorCount} failed)`,
                     originalSyncId: originalSyncId,
-                    totalRows: totalRows
+                    totalRows: totalRows,
+                    session: summary
                 });
                 
                 // Also send success response for the original sync request
@@ -1141,7 +1192,7 @@ io.on('connection', (socket) => {
                     timestamp: new Date().toISOString()
                 });
                 
-                logger.info(`Full data sync completed for ${tableName}: ${totalRows} total rows`);
+                logger.info(`Full data sync completed for ${tableName}: ${summary.processedRows} rows in ${summary.batchesReceived} batches`);
             }
             
         } catch (error) {
@@ -1155,6 +1206,43 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Resume an interrupted full data sync: tell the client which batch to send next
+    socket.on('full_sync_resume', async (data) => {
+        try {
+            const tableName = data?.tableName;
+            
+            if (!socket.storeId || !socket.appId || !tableName) {
+                socket.emit('full_sync_resume_response', {
+                    tableName: tableName || null,
+                    found: false,
+                    error: 'Client not properly identified or missing tableName'
+                });
+                return;
+            }
+            
+            const session = await fullSyncSessions.get(socket.storeId, socket.appId, tableName);
+            if (!session) {
+                socket.emit('full_sync_resume_response', { tableName, found: false });
+                return;
+            }
+            
+            socket.emit('full_sync_resume_response', {
+                tableName,
+                found: true,
+                ...fullSyncSessions.toSummary(session)
+            });
+            logger.info(`Full sync resume for ${tableName} (Store ${socket.storeId}): next batch ${session.lastBatchIndex + 1}, status ${session.status}`);
+            
+        } catch (error) {
+            logger.error(`full_sync_resume error: ${error.message}`);
+            socket.emit('full_sync_resume_response', {
+                tableName: data?.tableName || null,
+                found: false,
+                error: error.message
+            });
+        }
+    });
+
     // Handle batch sync data
     socket.on('batch_sync', async (batchData) => {
         try {
@@ -1165,6 +1253,7 @@ io.on('connection', (socket) => {
                 results.push({
                     syncId: data.syncId,
                     success: result.success,
+                    duplicate: !!result.duplicate,
                     error: result.error || null,
                     result: result.result || null
                 });
@@ -1208,27 +1297,49 @@ io.on('connection', (socket) => {
             }
 
             // Convert SQL Server DDL to MySQL DDL
-            const mysqlDDL = await convertSqlServerDDLToMySQL(sqlCommand, tableName, operation);
+            const translation = await convertSqlServerDDLToMySQL(sqlCommand, tableName, operation);
+            const migration = {
+                source: 'sync_ddl_operation',
+                syncId,
+                storeId,
+                appId,
+                clientId: socket.id,
+                tableName,
+                operation,
+                originalSql: sqlCommand,
+                warnings: translation.warnings
+            };
             
-            if (!mysqlDDL) {
-               
+            if (translation.status === 'skipped') {
+                await schemaMigrationLog.record(database, { ...migration, status: 'skipped', error: translation.reason });
                 // Send success response for skipped operations
                 socket.emit('ddl_sync_success', {
                     syncId,
-                    message: 'DDL operation skipped (SQL Server specific)',
-                    skipped: true
+                    message: `DDL operation skipped (${translation.reason})`,
+                    skipped: true,
+                    warnings: translation.warnings
+                });
+                return;
+            }
+            
+            if (translation.status === 'unsupported') {
+                await schemaMigrationLog.record(database, { ...migration, status: 'unsupported', error: translation.reason });
+                socket.emit('ddl_sync_error', {
+                    syncId,
+                    error: `DDL not supported: ${translation.reason}`,
+                    unsupported: true
                 });
                 return;
             }
 
-            // Execute the converted MySQL DDL
-
+            // Execute the converted MySQL DDL, in order
             try {
-                const result = await dbManager.executeQuery(database, mysqlDDL);
+                await applyTranslatedDDL(database, translation, migration);
                 logger.info(`✅ DDL operation completed successfully for ${tableName}: ${operation}`);
                 socket.emit('ddl_sync_success', {
                     syncId,
-                    message: 'DDL operation completed successfully'
+                    message: 'DDL operation completed successfully',
+                    warnings: translation.warnings
                 });
             } catch (ddlError) {
                 logger.error(`❌ DDL operation failed for ${tableName}: ${ddlError.message}`);
@@ -1249,6 +1360,16 @@ io.on('connection', (socket) => {
 
     // Handle client disconnect
     socket.on('disconnect', async (reason) => {
+        orderedApplyQueue.release(socket.id);
+
+        for (const [requestId, pending] of pendingSchemaRequests) {
+            if (pending.socketId === socket.id) {
+                clearTimeout(pending.timer);
+                pendingSchemaRequests.delete(requestId);
+                pending.reject(new Error(`Client ${socket.id} disconnected before sending ${pending.tableName} schema`));
+            }
+        }
+
         if (socket.advancedOnlineMapKey && socket.redisOnlineKey) {
             try {
                 const mapKey = socket.advancedOnlineMapKey;
@@ -1265,9 +1386,6 @@ io.on('connection', (socket) => {
                 logger.error(`Failed to update Redis on disconnect: ${redisError.message}`);
             }
         }
-       
-        // Clean up client data
-        clientFullSyncStatus.delete(socket.id);
     });
 
     // Handle errors
@@ -1300,8 +1418,9 @@ io.on('connection', (socket) => {
             }
             
             
-            // Check if table exists
-            const exists = await dbManager.tableExists(database, tableName);
+            
+            // Check if table exists; a baseline table from provisioning counts as missing until the client's schema completes it
+            const exists = await schemaCache.tableExists(database, tableName) && !(await storeProvisioner.isBaselineTable(database, tableName));
             
             let needsSync = false;
             let rowCount = 0;
@@ -1360,6 +1479,46 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Compare the client's table schema with the report database table
+    socket.on('verify_schema', async (data) => {
+        try {
+            const { tableName, schema, generateAlter, includeDrops } = data || {};
+            
+            if (!socket.storeId || !socket.appId) {
+                socket.emit('verify_schema_response', {
+                    tableName: tableName || null,
+                    success: false,
+                    error: 'Client not properly identified'
+                });
+                return;
+            }
+            
+            const database = await licenseService.getDatabaseByStoreAndApp(socket.storeId, socket.appId);
+            if (!database) {
+                socket.emit('verify_schema_response', {
+                    tableName: tableName || null,
+                    success: false,
+                    error: `No database configuration found for Store ${socket.storeId}`
+                });
+                return;
+            }
+            
+            const diff = await schemaDriftService.verify(database, tableName, schema, {
+                generateAlter: generateAlter === true,
+                includeDrops: includeDrops === true
+            });
+            socket.emit('verify_schema_response', { success: true, ...diff });
+            
+        } catch (error) {
+            logger.error(`verify_schema error: ${error.message}`);
+            socket.emit('verify_schema_response', {
+                tableName: data?.tableName || null,
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
     // Handle table creation from schema requests
     socket.on('create_table_from_schema', async (data) => {
         try {
@@ -1387,12 +1546,13 @@ io.on('connection', (socket) => {
             }
             
             // Create table using the schema
-            await syncService.createTableWithSchema(database, tableName, schema, databaseType);
+            const created = await createTableAndRecord(socket, database, 'create_table_from_schema', { tableName, schema, databaseType });
             
-            // Send success response back to client
+            // Send success response back to client, with the lossy type mappings
             socket.emit('table_created', {
                 tableName: tableName,
-                success: true
+                success: true,
+                warnings: created.warnings
             });
             
             
@@ -1461,30 +1621,11 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Insert batch data
-            let successCount = 0;
-            let errorCount = 0;
-            let insertCount = 0;
-            let updateCount = 0;
-            let skipCount = 0;
-            
-            for (const row of tableData) {
-                try {
-                    const result = await syncService.handleInsert(database, tableName, row, true); // Pass isFullSync=true
-                    successCount++;
-                    
-                    if (result.operation === 'INSERT') {
-                        insertCount++;
-                    } else if (result.operation === 'UPDATE') {
-                        updateCount++;
-                    } else if (result.operation === 'SKIP') {
-                        skipCount++;
-                    }
-                } catch (error) {
-                    logger.error(`Failed to insert row in ${tableName}: ${error.message}`);
-                    errorCount++;
-                }
-            }
+            // Upsert batch data with multi-row statements
+            const { insertCount, updateCount, skipCount, errorCount, warningCount, warnings } = await syncService.bulkInsert(
+                database, tableName, tableData, { mode: 'upsert', batchSize: fullSyncConfig.batchSize }
+            );
+            const successCount = insertCount + updateCount + skipCount;
             
             // Send batch progress update (no originalSyncId needed for initial sync)
             socket.emit('initial_sync_progress', {
@@ -1495,7 +1636,9 @@ io.on('connection', (socket) => {
                 batchErrorCount: errorCount,
                 batchInsertCount: insertCount,
                 batchUpdateCount: updateCount,
-                batchSkipCount: skipCount
+                batchSkipCount: skipCount,
+                batchWarningCount: warningCount,
+                batchWarnings: warnings
             });
             
             
@@ -1552,9 +1695,10 @@ io.on('connection', (socket) => {
                 for (const tableName of tablesToDrop) {
                     try {
                         // Check if table exists before trying to drop
-                        const exists = await dbManager.tableExists(database, tableName);
+                        const exists = await schemaCache.tableExists(database, tableName);
                         if (exists) {
                             await dbManager.executeQuery(database, `DROP TABLE \`${tableName}\``);
+                            schemaCache.invalidate(database, tableName);
                             logger.info(`Dropped table ${tableName} for ${machineName}`);
                         } else {
                             logger.info(`Table ${tableName} does not exist for ${machineName}, skipping`);
@@ -1638,35 +1782,42 @@ io.on('connection', (socket) => {
                 // Create write stream
                 const writeStream = fs.createWriteStream(filePath);
                 
-                // Write chunks sequentially
+                // Write chunks sequentially, waiting for the disk when the stream buffer is full,
+                // and drop each chunk once written so the file is never held in memory twice
                 for (let i = 0; i < totalChunks; i++) {
                     const chunk = uploadInfo.chunks.get(i);
                     if (!chunk) {
                         logger.error(`Missing chunk ${i} for ${fileName}`);
+                        writeStream.destroy();
                         throw new Error(`Missing chunk ${i}`);
                     }
                     
                     // Decode chunk and write to file
                     const chunkBuffer = Buffer.from(chunk, 'base64');
-                    writeStream.write(chunkBuffer);
+                    uploadInfo.chunks.delete(i);
+                    if (!writeStream.write(chunkBuffer)) {
+                        await new Promise((resolve, reject) => {
+                            writeStream.once('drain', resolve);
+                            writeStream.once('error', reject);
+                        });
+                    }
                     logger.debug(`Wrote chunk ${i}, size: ${chunkBuffer.length} bytes`);
                 }
                 
                 // Close stream and wait for completion
                 await new Promise((resolve, reject) => {
+                    writeStream.once('error', reject);
                     writeStream.end(() => {
                         logger.info(`File written successfully: ${filePath}`);
                         resolve();
                     });
-                    writeStream.on('error', reject);
                 });
                 
-                // Verify file size and content
+                // Verify file size against what the client announced
                 const stats = await require('fs').promises.stat(filePath);
-                
-                // Verify file integrity
-                const fileContent = await require('fs').promises.readFile(filePath, 'utf8');
-                const lines = fileContent.split('\n');
+                if (uploadInfo.fileSizeBytes && stats.size !== uploadInfo.fileSizeBytes) {
+                    logger.warn(`File size mismatch for ${fileName}: ${stats.size} bytes written, ${uploadInfo.fileSizeBytes} expected`);
+                }
                 
                 // Clean up chunk storage
                 csvChunkStorage.delete(chunkKey);
@@ -1695,7 +1846,8 @@ io.on('connection', (socket) => {
                                     processedRows: progress.processedRows,
                                     message: progress.message
                                 });
-                            }
+                            },
+                            { expectedRows: uploadInfo.rowCount }
                         );
                         
                         socket.emit('csv_file_import_complete', {
@@ -1706,7 +1858,8 @@ io.on('connection', (socket) => {
                             error: importResult.error,
                             message: importResult.success ? 
                                 `File ${uploadInfo.fileName} processed successfully - ${importResult.processedRows} rows imported` :
-                                `File ${uploadInfo.fileName} processing failed: ${importResult.error}`
+                                `File ${uploadInfo.fileName} processing failed: ${importResult.error}`,
+                            report: importResult.report
                         });
                         
                         
@@ -1761,12 +1914,12 @@ io.on('connection', (socket) => {
                 return;
             }
 
-            // Define tables to clear (include Sales table, PaymentReceived, Payment, WorkStationId, Vendor, and StockRelatedVendor for both retail and hospitality)
-            const tablesToClear = ['SalesDetail', 'StockItems', 'Sales', 'MenuItem', 'SubMenuLinkDetail', 'PaymentReceived', 'Payment', 'WorkStationId', 'Vendor', 'StockRelatedVendor'];
+            // Clear every table registered in the table key registry (retail and hospitality)
+            const tablesToClear = tableKeyRegistry.getTableNames();
 
 
             // Clear each table
-            const connection = await dbManager.getConnection();
+            const connection = await dbManager.getConnection(database);
             try {
                 await connection.beginTransaction();
 
@@ -1784,6 +1937,7 @@ io.on('connection', (socket) => {
                             
                             // Drop the table
                             await connection.execute(`DROP TABLE IF EXISTS \`${database}\`.\`${tableName}\``);
+                            schemaCache.invalidate(database, tableName);
                             
                             // Re-enable foreign key checks
                             await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
@@ -1876,7 +2030,8 @@ io.on('connection', (socket) => {
                             processedRows: progress.processedRows,
                             message: progress.message
                         });
-                    }
+                    },
+                    { expectedRows: rowCount }
                 );
                 
                 // Send completion notification for this file
@@ -1888,7 +2043,8 @@ io.on('connection', (socket) => {
                     error: importResult.error,
                     message: importResult.success ? 
                         `File ${fileName} processed successfully - ${importResult.processedRows} rows imported` :
-                        `File ${fileName} processing failed: ${importResult.error}`
+                        `File ${fileName} processing failed: ${importResult.error}`,
+                    report: importResult.report
                 });
                 
                 
@@ -1916,6 +2072,15 @@ io.on('connection', (socket) => {
     });
 });
 
+// Fail fast if the table key registry or the index profiles are missing or invalid
+try {
+    tableKeyRegistry.validate();
+    indexReconciler.validate();
+} catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+}
+
 // Server startup
 const PORT = parseInt(process.env.PORT) || 3031;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -1935,6 +2100,9 @@ server.listen(PORT, HOST, async () => {
     } catch (error) {
         logger.error('Error initializing license service:', error);
     }
+
+    // Drop cached table metadata when another instance runs DDL (schemaCache.redisInvalidation)
+    await schemaCache.startInvalidationListener();
 });
 
 // Graceful shutdown
@@ -1948,6 +2116,7 @@ process.on('SIGTERM', async () => {
     
     // Close database connections
     await dbManager.closeAll();
+    await schemaCache.close();
     
     // Close license service
     await licenseService.close();
@@ -1968,6 +2137,7 @@ process.on('SIGINT', async () => {
     
     // Close database connections
     await dbManager.closeAll();
+    await schemaCache.close();
     
     // Close license service
     await licenseService.close();
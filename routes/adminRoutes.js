@@ -0,0 +1,544 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const createBasicAuth = require('../utils/basicAuth');
+const licenseService = require('../services/licenseService');
+const schemaMigrationLog = require('../services/schemaMigrationLog');
+const schemaDriftService = require('../services/schemaDriftService');
+const deadLetterStore = require('../services/deadLetterStore');
+const storePlacementRegistry = require('../services/storePlacementRegistry');
+const storeProvisioner = require('../services/storeProvisioner');
+const indexReconciler = require('../services/indexReconciler');
+const importReportStore = require('../services/importReportStore');
+const dbManager = require('../utils/database');
+
+const router = express.Router();
+
+// Mounted by app.js only when ADMIN_PASSWORD is set; there is no default password
+router.use(createBasicAuth({
+    realm: 'SyncDB Admin',
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD
+}));
+
+// Resolve the store database from :storeId/:appId, answering 404 when the pair is not licensed
+async function resolveStoreDatabase(req, res) {
+    const { storeId, appId } = req.params;
+    const database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
+    if (!database) {
+        res.status(404).json({ error: `No database configuration found for Store ${storeId}, App ${appId}` });
+        return null;
+    }
+    return database;
+}
+
+// Check that :storeId/:appId is licensed without resolving its placement, which fails while the store is moving
+async function requireLicensedStore(req, res) {
+    const { storeId, appId } = req.params;
+    const rows = await licenseService.query('SELECT StoreId FROM stores WHERE StoreId = ? AND AdvancedReportAppId = ?', [storeId, appId]);
+    if (rows.length === 0) {
+        res.status(404).json({ error: `No database configuration found for Store ${storeId}, App ${appId}` });
+        return false;
+    }
+    return true;
+}
+
+// MySQL pool usage: connection budget, and per pool its size, active connections, query/error counts and health
+router.get('/database/pools', (req, res) => {
+    res.json(dbManager.getPoolStats());
+});
+
+// Schema change history of a store database, newest first
+// Query: tableName, status, limit (max 500), offset
+router.get('/stores/:storeId/apps/:appId/schema-migrations', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { tableName, status, limit, offset } = req.query;
+        const history = await schemaMigrationLog.list(database, { tableName, status, limit, offset });
+        res.json({
+            storeId: req.params.storeId,
+            appId: req.params.appId,
+            ...history
+        });
+    } catch (error) {
+        logger.error(`Failed to list schema migrations for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Compare a client table schema (request body) with the store's MySQL table
+// Body: { schema, generateAlter, includeDrops }
+router.post('/stores/:storeId/apps/:appId/tables/:tableName/verify-schema', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { schema, generateAlter, includeDrops } = req.body || {};
+        if (!schema) {
+            return res.status(400).json({ error: 'schema is required' });
+        }
+
+        const diff = await schemaDriftService.verify(database, req.params.tableName, schema, {
+            generateAlter: generateAlter === true,
+            includeDrops: includeDrops === true
+        });
+        res.json(diff);
+    } catch (error) {
+        logger.error(`Failed to verify schema of ${req.params.tableName} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Record id from the route (dead letter, import report), answering 400 when it is not a positive integer
+function parseRecordId(req, res, kind = 'dead letter') {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id) || id <= 0 || String(id) !== req.params.id) {
+        res.status(400).json({ error: `Invalid ${kind} id ${req.params.id}` });
+        return null;
+    }
+    return id;
+}
+
+// Replay one pending dead letter through the normal apply path and record the outcome
+async function replayDeadLetter(req, database, entry, editedPayload = null) {
+    const payload = editedPayload || entry.payload;
+    const result = await req.app.locals.replaySyncRecord(payload);
+    await deadLetterStore.markReplayed(database, entry.id, {
+        success: result.success,
+        error: result.success ? null : result.error || 'Unknown error',
+        payload: editedPayload
+    });
+    logger.info(`Replayed dead letter ${entry.id} (${entry.tableName}, syncId ${entry.syncId}): ${result.success ? 'applied' : result.error}`);
+    return {
+        id: entry.id,
+        success: result.success,
+        duplicate: !!result.duplicate,
+        error: result.success ? null : result.error || 'Unknown error'
+    };
+}
+
+// An edited payload must stay with the store (or legacy machine) it was dead-lettered for
+function checkEditedPayload(entry, payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return 'payload must be an object';
+    }
+    if (entry.source === 'legacy') {
+        return payload.MachineName === entry.scope ? null : `payload.MachineName must be ${entry.scope}`;
+    }
+    return String(payload.storeId) === entry.storeId && payload.appId === entry.appId
+        ? null
+        : `payload.storeId/appId must be ${entry.storeId}/${entry.appId}`;
+}
+
+// Failed sync records of a store database, newest first (payloads omitted)
+// Query: status (pending, replayed, discarded), tableName, limit (max 500), offset
+router.get('/stores/:storeId/apps/:appId/dead-letters', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { status, tableName, limit, offset } = req.query;
+        if (status && !deadLetterStore.isValidStatus(status)) {
+            return res.status(400).json({ error: `Invalid status ${status}` });
+        }
+        const deadLetters = await deadLetterStore.list(database, { status, tableName, limit, offset });
+        res.json({
+            storeId: req.params.storeId,
+            appId: req.params.appId,
+            ...deadLetters
+        });
+    } catch (error) {
+        logger.error(`Failed to list dead letters for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Retry pending dead letters, oldest first
+// Body: { ids, tableName, limit (max 500) } - all filters optional
+router.post('/stores/:storeId/apps/:appId/dead-letters/retry', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { ids, tableName, limit } = req.body || {};
+        if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0))) {
+            return res.status(400).json({ error: 'ids must be an array of dead letter ids' });
+        }
+
+        const pendingIds = await deadLetterStore.listPendingIds(database, { ids, tableName, limit });
+        const results = [];
+        for (const id of pendingIds) {
+            const entry = await deadLetterStore.get(database, id);
+            try {
+                results.push(await replayDeadLetter(req, database, entry));
+            } catch (error) {
+                results.push({ id, success: false, duplicate: false, error: error.message });
+            }
+        }
+
+        res.json({
+            retried: results.length,
+            succeeded: results.filter(result => result.success).length,
+            failed: results.filter(result => !result.success).length,
+            results
+        });
+    } catch (error) {
+        logger.error(`Failed to retry dead letters for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One dead letter with its full payload
+router.get('/stores/:storeId/apps/:appId/dead-letters/:id', async (req, res) => {
+    try {
+        const id = parseRecordId(req, res);
+        const database = id && await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const entry = await deadLetterStore.get(database, id);
+        if (!entry) {
+            return res.status(404).json({ error: `Dead letter ${id} not found` });
+        }
+        res.json(entry);
+    } catch (error) {
+        logger.error(`Failed to get dead letter ${req.params.id} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replay a pending dead letter, optionally with an edited payload
+// Body: { payload } - replaces the stored payload when given
+router.post('/stores/:storeId/apps/:appId/dead-letters/:id/replay', async (req, res) => {
+    try {
+        const id = parseRecordId(req, res);
+        const database = id && await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const entry = await deadLetterStore.get(database, id);
+        if (!entry) {
+            return res.status(404).json({ error: `Dead letter ${id} not found` });
+        }
+        if (entry.status !== 'pending') {
+            return res.status(409).json({ error: `Dead letter ${id} is ${entry.status}` });
+        }
+
+        const editedPayload = req.body && req.body.payload !== undefined ? req.body.payload : null;
+        if (editedPayload !== null) {
+            const problem = checkEditedPayload(entry, editedPayload);
+            if (problem) {
+                return res.status(400).json({ error: problem });
+            }
+        }
+
+        res.json(await replayDeadLetter(req, database, entry, editedPayload));
+    } catch (error) {
+        logger.error(`Failed to replay dead letter ${req.params.id} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Discard a pending dead letter; it stays listed with status discarded
+router.delete('/stores/:storeId/apps/:appId/dead-letters/:id', async (req, res) => {
+    try {
+        const id = parseRecordId(req, res);
+        const database = id && await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const discarded = await deadLetterStore.discard(database, id);
+        if (!discarded) {
+            return res.status(404).json({ error: `No pending dead letter ${id}` });
+        }
+        logger.info(`Discarded dead letter ${id} for Store ${req.params.storeId}`);
+        res.json({ id, status: 'discarded' });
+    } catch (error) {
+        logger.error(`Failed to discard dead letter ${req.params.id} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// CSV import reports of a store database, newest first (error lines omitted)
+// Query: tableName, status (completed, failed), limit (max 500), offset
+router.get('/stores/:storeId/apps/:appId/import-reports', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { tableName, status, limit, offset } = req.query;
+        if (status && !importReportStore.isValidStatus(status)) {
+            return res.status(400).json({ error: `Invalid status ${status}` });
+        }
+        const reports = await importReportStore.list(database, { tableName, status, limit, offset });
+        res.json({
+            storeId: req.params.storeId,
+            appId: req.params.appId,
+            ...reports
+        });
+    } catch (error) {
+        logger.error(`Failed to list import reports for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One import report with its summary and sample of offending lines
+router.get('/stores/:storeId/apps/:appId/import-reports/:id', async (req, res) => {
+    try {
+        const id = parseRecordId(req, res, 'import report');
+        const database = id && await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const report = await importReportStore.get(database, id);
+        if (!report) {
+            return res.status(404).json({ error: `Import report ${id} not found` });
+        }
+        res.json(report);
+    } catch (error) {
+        logger.error(`Failed to get import report ${req.params.id} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Every recorded error line of an import report as a CSV download (line, category, level, code, column, message)
+router.get('/stores/:storeId/apps/:appId/import-reports/:id/errors.csv', async (req, res) => {
+    try {
+        const id = parseRecordId(req, res, 'import report');
+        const database = id && await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const report = await importReportStore.get(database, id, { withErrors: true });
+        if (!report) {
+            return res.status(404).json({ error: `Import report ${id} not found` });
+        }
+        const baseName = report.fileName.replace(/\.csv$/i, '').replace(/[^\w.-]/g, '_');
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="import-report-${id}-${baseName}-errors.csv"`);
+        res.send(importReportStore.toErrorFile(report));
+    } catch (error) {
+        logger.error(`Failed to export import report ${req.params.id} for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Provisioning state of a store: database, business type, baseline tables, last error
+router.get('/stores/:storeId/apps/:appId/provisioning', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+        const state = await storeProvisioner.getState(req.params.storeId, req.params.appId);
+        if (!state) {
+            return res.status(404).json({ error: `Store ${req.params.storeId} has not been provisioned` });
+        }
+        res.json(state);
+    } catch (error) {
+        logger.error(`Failed to get provisioning state of Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create the store's database and baseline tables now; safe to repeat
+// Body: { businessType } (optional once recorded)
+router.post('/stores/:storeId/apps/:appId/provision', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { businessType } = req.body || {};
+        if (businessType && !storeProvisioner.isValidBusinessType(businessType)) {
+            return res.status(400).json({ error: `Invalid businessType ${businessType}` });
+        }
+        res.json(await storeProvisioner.provision(req.params.storeId, req.params.appId, { businessType: businessType || null }));
+    } catch (error) {
+        logger.error(`Failed to provision Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Business type for index profiles: from the request, else as recorded by provisioning; answers 400 when unknown
+async function resolveBusinessType(req, res, requested) {
+    const businessType = requested || ((await storeProvisioner.getState(req.params.storeId, req.params.appId)) || {}).businessType;
+    if (!storeProvisioner.isValidBusinessType(businessType)) {
+        res.status(400).json({ error: requested ? `Invalid businessType ${requested}` : 'businessType is required (not recorded for this store)' });
+        return null;
+    }
+    return businessType;
+}
+
+// Index compliance of every licensed store whose business type is known
+router.get('/indexes/compliance', async (req, res) => {
+    try {
+        const stores = await licenseService.getAllAdvancedReportStores();
+        const results = [];
+        for (const store of stores) {
+            const entry = { storeId: store.storeId, appId: store.appId, storeName: store.storeName };
+            try {
+                const database = await licenseService.getDatabaseByStoreAndApp(store.storeId, store.appId);
+                const state = await storeProvisioner.getState(store.storeId, store.appId);
+                entry.businessType = (state && state.businessType) || null;
+                if (!database || !entry.businessType) {
+                    results.push({ ...entry, compliant: null, error: !database ? 'No database configuration' : 'Business type not recorded' });
+                    continue;
+                }
+                const report = await indexReconciler.report(database, entry.businessType);
+                const issues = report.tables.flatMap(table => table.items
+                    .filter(item => item.status !== 'present')
+                    .map(item => ({ tableName: table.tableName, name: item.name, status: item.status })));
+                results.push({ ...entry, compliant: report.compliant, issues });
+            } catch (error) {
+                results.push({ ...entry, compliant: null, error: error.message });
+            }
+        }
+        res.json({
+            stores: results,
+            compliant: results.filter(entry => entry.compliant === true).length,
+            nonCompliant: results.filter(entry => entry.compliant === false).length,
+            unknown: results.filter(entry => entry.compliant === null).length
+        });
+    } catch (error) {
+        logger.error(`Failed to build index compliance report: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Index compliance of one store, per profile table and entry
+// Query: businessType (defaults to the one recorded by provisioning)
+router.get('/stores/:storeId/apps/:appId/indexes', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        const businessType = database && await resolveBusinessType(req, res, req.query.businessType);
+        if (!businessType) {
+            return;
+        }
+        res.json({
+            storeId: req.params.storeId,
+            appId: req.params.appId,
+            ...await indexReconciler.report(database, businessType)
+        });
+    } catch (error) {
+        logger.error(`Failed to report indexes for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add the missing keys and indexes of the store's profile
+// Body: { businessType, tableName } (both optional; all profile tables by default)
+router.post('/stores/:storeId/apps/:appId/indexes/reconcile', async (req, res) => {
+    try {
+        const { businessType: requested, tableName } = req.body || {};
+        const database = await resolveStoreDatabase(req, res);
+        const businessType = database && await resolveBusinessType(req, res, requested);
+        if (!businessType) {
+            return;
+        }
+
+        const tableNames = tableName ? [tableName] : indexReconciler.getProfileTables(businessType);
+        const tables = [];
+        for (const name of tableNames) {
+            tables.push(await indexReconciler.reconcile(database, name, businessType));
+        }
+        res.json({
+            storeId: req.params.storeId,
+            appId: req.params.appId,
+            businessType,
+            compliant: tables.every(table => table.compliant || !table.tableExists),
+            tables
+        });
+    } catch (error) {
+        logger.error(`Failed to reconcile indexes for Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stores placed on a MySQL server other than the default one
+router.get('/placements', async (req, res) => {
+    try {
+        res.json({ placements: await storePlacementRegistry.list() });
+    } catch (error) {
+        logger.error(`Failed to list store placements: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// MySQL server and schema of a store; while it is moving, status moving and movingSince, after a failed move moveError
+router.get('/stores/:storeId/apps/:appId/placement', async (req, res) => {
+    try {
+        if (!(await requireLicensedStore(req, res))) {
+            return;
+        }
+        res.json(await storePlacementRegistry.get(req.params.storeId, req.params.appId));
+    } catch (error) {
+        logger.error(`Failed to get placement of Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start copying a store's schema to another MySQL server and switching its placement there
+// Body: { host, port, credentialsRef, schemaName }; answers 202 at once, the placement shows the outcome
+router.post('/stores/:storeId/apps/:appId/placement/move', async (req, res) => {
+    try {
+        const database = await resolveStoreDatabase(req, res);
+        if (!database) {
+            return;
+        }
+
+        const { host, port, credentialsRef, schemaName } = req.body || {};
+        if (!host) {
+            return res.status(400).json({ error: 'host is required' });
+        }
+        try {
+            // Unknown credentials are a bad request, not a failed move
+            storePlacementRegistry.getCredentials(credentialsRef || 'default');
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const result = await storePlacementRegistry.move(req.params.storeId, req.params.appId, {
+            host,
+            port,
+            credentialsRef: credentialsRef || undefined,
+            schemaName: schemaName || null
+        });
+        res.status(202).json(result);
+    } catch (error) {
+        logger.error(`Failed to move Store ${req.params.storeId}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Put a store whose move never finished (server stopped during the copy) back on its source placement
+router.post('/stores/:storeId/apps/:appId/placement/reset', async (req, res) => {
+    try {
+        if (!(await requireLicensedStore(req, res))) {
+            return;
+        }
+        res.json(await storePlacementRegistry.resetMove(req.params.storeId, req.params.appId));
+    } catch (error) {
+        logger.error(`Failed to reset move of Store ${req.params.storeId}: ${error.message}`);
+        res.status(409).json({ error: error.message });
+    }
+});
+
+module.exports = router;
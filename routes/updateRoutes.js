@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const createBasicAuth = require('../utils/basicAuth');
 
 const router = express.Router();
 
@@ -42,30 +43,12 @@ const upload = multer({
     }
 });
 
-// 基本认证中间件
-const basicAuth = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-        res.set('WWW-Authenticate', 'Basic realm="Update Manager"');
-        return res.status(401).json({ error: '需要认证' });
-    }
-    
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-    
-    // 从配置或环境变量中获取认证信息
-    const validUsername = process.env.UPDATE_ADMIN_USERNAME || 'admin';
-    const validPassword = process.env.UPDATE_ADMIN_PASSWORD || 'updatepassword123';
-    
-    if (username === validUsername && password === validPassword) {
-        next();
-    } else {
-        res.set('WWW-Authenticate', 'Basic realm="Update Manager"');
-        return res.status(401).json({ error: '认证失败' });
-    }
-};
+// 基本认证中间件（从配置或环境变量中获取认证信息）
+const basicAuth = createBasicAuth({
+    realm: 'Update Manager',
+    username: process.env.UPDATE_ADMIN_USERNAME || 'admin',
+    password: process.env.UPDATE_ADMIN_PASSWORD || 'updatepassword123'
+});
 
 // 存储更新信息的文件路径
 const updateInfoPath = path.join(__dirname, '../uploads/updates/update.xml');
@@ -0,0 +1,865 @@
+const { STRING_CHARSET, mapSqlServerType } = require('../utils/sqlServerTypes');
+
+// T-SQL default functions with a MySQL equivalent
+const DEFAULT_FUNCTIONS = {
+    GETDATE: 'CURRENT_TIMESTAMP',
+    SYSDATETIME: 'CURRENT_TIMESTAMP',
+    CURRENT_TIMESTAMP: 'CURRENT_TIMESTAMP',
+    GETUTCDATE: 'UTC_TIMESTAMP()',
+    SYSUTCDATETIME: 'UTC_TIMESTAMP()',
+    NEWID: 'UUID()',
+    NEWSEQUENTIALID: 'UUID()'
+};
+
+// Session and transaction statements that come along with captured DDL but mean nothing to MySQL
+const SKIPPED_STATEMENTS = ['SET', 'BEGIN', 'COMMIT', 'PRINT', 'USE'];
+
+const WORD_PATTERN = /[\p{L}_@#][\p{L}\p{N}_@#$]*/uy;
+const NUMBER_PATTERN = /0x[0-9a-f]*|(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?/iy;
+
+/**
+ * Split T-SQL into tokens: word, ident ([x] or "x"), string, number, punct
+ * Comments and whitespace are dropped
+ */
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = (close, label) => {
+        let value = '';
+        i++;
+        while (true) {
+            if (i >= sql.length) {
+                throw new Error(`Unterminated ${label}`);
+            }
+            if (sql[i] === close) {
+                if (sql[i + 1] === close) {
+                    value += close;
+                    i += 2;
+                    continue;
+                }
+                i++;
+                return value;
+            }
+            value += sql[i++];
+        }
+    };
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end + 1;
+        } else if (ch === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            if (end === -1) {
+                throw new Error('Unterminated comment');
+            }
+            i = end + 2;
+        } else if (ch === '[') {
+            tokens.push({ type: 'ident', value: readQuoted(']', 'bracketed identifier') });
+        } else if (ch === '"') {
+            tokens.push({ type: 'ident', value: readQuoted('"', 'quoted identifier') });
+        } else if (ch === "'" || ((ch === 'N' || ch === 'n') && sql[i + 1] === "'")) {
+            if (ch !== "'") {
+                i++;
+            }
+            tokens.push({ type: 'string', value: readQuoted("'", 'string literal') });
+        } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+            NUMBER_PATTERN.lastIndex = i;
+            const match = NUMBER_PATTERN.exec(sql);
+            tokens.push({ type: 'number', value: match[0] });
+            i += match[0].length;
+        } else if ('(),.;=+-*/'.includes(ch)) {
+            tokens.push({ type: 'punct', value: ch });
+            i++;
+        } else {
+            WORD_PATTERN.lastIndex = i;
+            const match = WORD_PATTERN.exec(sql);
+            if (!match) {
+                throw new Error(`Unexpected character "${ch}"`);
+            }
+            tokens.push({ type: 'word', value: match[0] });
+            i += match[0].length;
+        }
+    }
+    return tokens;
+}
+
+// Split a token list into statements on ";" and GO batch separators
+function splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+    for (const token of tokens) {
+        const isSeparator = (token.type === 'punct' && token.value === ';') ||
+            (token.type === 'word' && token.value.toUpperCase() === 'GO');
+        if (isSeparator) {
+            if (current.length > 0) {
+                statements.push(current);
+            }
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+    if (current.length > 0) {
+        statements.push(current);
+    }
+    return statements;
+}
+
+function tokenText(token) {
+    switch (token.type) {
+        case 'ident': return `[${token.value}]`;
+        case 'string': return `'${token.value}'`;
+        default: return token.value;
+    }
+}
+
+function quoteIdent(name) {
+    return `\`${name.replace(/`/g, '``')}\``;
+}
+
+function quoteString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+// Cursor over the tokens of one statement
+class TokenReader {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new Error('Unexpected end of statement');
+        }
+        return token;
+    }
+
+    describe() {
+        const token = this.peek();
+        return token ? `"${tokenText(token)}"` : 'end of statement';
+    }
+
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'word' && token.value.toUpperCase() === word;
+    }
+
+    isPunct(value, offset = 0) {
+        const token = this.peek(offset);
+        return !!token && token.type === 'punct' && token.value === value;
+    }
+
+    // Consume the words only if all of them follow in order
+    acceptWord(...words) {
+        if (words.every((word, index) => this.isWord(word, index))) {
+            this.pos += words.length;
+            return true;
+        }
+        return false;
+    }
+
+    expectWord(...words) {
+        if (!this.acceptWord(...words)) {
+            throw new Error(`Expected ${words.join(' ')} near ${this.describe()}`);
+        }
+    }
+
+    acceptPunct(value) {
+        if (this.isPunct(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expectPunct(value) {
+        if (!this.acceptPunct(value)) {
+            throw new Error(`Expected "${value}" near ${this.describe()}`);
+        }
+    }
+
+    expectEnd() {
+        if (!this.atEnd()) {
+            throw new Error(`Unexpected ${this.describe()}`);
+        }
+    }
+
+    identifier() {
+        const token = this.next();
+        if (token.type !== 'word' && token.type !== 'ident') {
+            throw new Error(`Expected an identifier, found "${tokenText(token)}"`);
+        }
+        return token.value;
+    }
+
+    // Multi-part name such as [dbo].[Table] or db..Table
+    objectName() {
+        const parts = [this.identifier()];
+        while (this.acceptPunct('.')) {
+            parts.push(this.isPunct('.') ? '' : this.identifier());
+        }
+        return parts;
+    }
+
+    // Tokens inside the parenthesised group at the cursor
+    balanced() {
+        this.expectPunct('(');
+        const inner = [];
+        let depth = 1;
+        while (true) {
+            const token = this.next();
+            if (token.type === 'punct' && token.value === '(') {
+                depth++;
+            } else if (token.type === 'punct' && token.value === ')' && --depth === 0) {
+                return inner;
+            }
+            inner.push(token);
+        }
+    }
+}
+
+class DdlTranslator {
+    /**
+     * Translate T-SQL DDL captured by the POS trigger into MySQL statements
+     * Nothing is returned for execution unless every statement in the command could be translated.
+     * @param {string} sqlCommand - One or more T-SQL statements
+     * @returns {{status: 'ok'|'skipped'|'unsupported', statements: Array<string>, warnings: Array<string>, reason: string|null}}
+     *   ok: statements to run in order; skipped: nothing to do in MySQL; unsupported: reason says what could not be translated
+     */
+    translate(sqlCommand) {
+        if (!sqlCommand || typeof sqlCommand !== 'string') {
+            return { status: 'unsupported', statements: [], warnings: [], reason: 'Empty DDL command' };
+        }
+
+        let statementTokens;
+        try {
+            statementTokens = splitStatements(tokenize(sqlCommand));
+        } catch (error) {
+            return { status: 'unsupported', statements: [], warnings: [], reason: error.message };
+        }
+
+        const result = { status: 'skipped', statements: [], warnings: [], reason: null };
+        const skipReasons = [];
+        for (const tokens of statementTokens) {
+            let translated;
+            try {
+                translated = this.translateStatement(new TokenReader(tokens));
+            } catch (error) {
+                return {
+                    status: 'unsupported',
+                    statements: [],
+                    warnings: result.warnings,
+                    reason: `${error.message} in: ${tokens.map(tokenText).join(' ')}`
+                };
+            }
+
+            result.warnings.push(...translated.warnings);
+            if (translated.status === 'skipped') {
+                skipReasons.push(translated.reason);
+            } else {
+                result.statements.push(...translated.statements);
+                result.status = 'ok';
+            }
+        }
+
+        if (result.status === 'skipped') {
+            result.reason = skipReasons.join('; ') || 'No DDL statements found';
+        }
+        return result;
+    }
+
+    // Untranslatable input throws; the message becomes the unsupported reason
+    translateStatement(reader) {
+        if (reader.acceptWord('ALTER', 'TABLE')) {
+            return this.translateAlterTable(reader);
+        }
+        if (reader.acceptWord('CREATE', 'TABLE')) {
+            return this.translateCreateTable(reader);
+        }
+        if (reader.acceptWord('CREATE')) {
+            return this.translateCreateIndex(reader);
+        }
+        if (reader.acceptWord('DROP', 'TABLE')) {
+            return this.translateDropTable(reader);
+        }
+        if (reader.acceptWord('DROP', 'INDEX')) {
+            return this.translateDropIndex(reader);
+        }
+        if (reader.acceptWord('EXEC') || reader.acceptWord('EXECUTE') || this.isSpRename(reader)) {
+            return this.translateExec(reader);
+        }
+
+        const first = reader.peek().value.toUpperCase();
+        if (reader.peek().type === 'word' && SKIPPED_STATEMENTS.includes(first)) {
+            return this.skipped(`${first} statement has no MySQL equivalent`);
+        }
+        throw new Error(`Unsupported statement ${reader.describe()}`);
+    }
+
+    translateAlterTable(reader) {
+        const table = this.tableName(reader.objectName());
+        if (reader.acceptWord('WITH') && !reader.acceptWord('CHECK') && !reader.acceptWord('NOCHECK')) {
+            throw new Error(`Expected CHECK or NOCHECK near ${reader.describe()}`);
+        }
+
+        if (reader.acceptWord('ADD')) {
+            return this.translateAddItems(reader, table);
+        }
+        if (reader.acceptWord('DROP')) {
+            return this.translateDropItems(reader, table);
+        }
+        if (reader.acceptWord('ALTER', 'COLUMN')) {
+            return this.translateAlterColumn(reader, table);
+        }
+        if (reader.isWord('SET') || reader.isWord('REBUILD')) {
+            return this.skipped(`ALTER TABLE ${table} ${reader.peek().value.toUpperCase()} is SQL Server specific`);
+        }
+        if (reader.isWord('CHECK') || reader.isWord('NOCHECK')) {
+            return this.skipped(`Constraint checking on ${table} is not used in MySQL`);
+        }
+        if (reader.isWord('ENABLE') || reader.isWord('DISABLE')) {
+            return this.skipped(`Trigger state on ${table} is not used in MySQL`);
+        }
+        throw new Error(`Unsupported ALTER TABLE action ${reader.describe()}`);
+    }
+
+    // ALTER TABLE t ADD col def, col def, CONSTRAINT ... (any mix, one MySQL statement)
+    translateAddItems(reader, table) {
+        const warnings = [];
+        const clauses = [];
+        do {
+            if (this.isTableConstraint(reader)) {
+                const constraint = this.parseTableConstraint(reader);
+                if (constraint.kind === 'DEFAULT') {
+                    if (constraint.default.unsupported) {
+                        throw new Error(`Unsupported default ${constraint.default.unsupported} for column ${constraint.column}`);
+                    }
+                    clauses.push(`ALTER COLUMN ${quoteIdent(constraint.column)} SET DEFAULT ${this.renderSetDefault(constraint.default)}`);
+                } else {
+                    clauses.push(`ADD ${this.renderTableConstraint(constraint)}`);
+                }
+            } else {
+                const column = this.parseColumn(reader, warnings);
+                clauses.push(`ADD COLUMN ${this.renderColumn(column, warnings)}`);
+            }
+        } while (reader.acceptPunct(','));
+        reader.expectEnd();
+
+        return this.ok([`ALTER TABLE ${quoteIdent(table)} ${clauses.join(', ')}`], warnings);
+    }
+
+    // ALTER TABLE t DROP [CONSTRAINT] name, COLUMN a, b ...
+    translateDropItems(reader, table) {
+        const warnings = [];
+        const clauses = [];
+        let group = null;
+        do {
+            if (reader.acceptWord('COLUMN')) {
+                group = 'COLUMN';
+            } else if (reader.acceptWord('CONSTRAINT') || !group) {
+                group = 'CONSTRAINT';
+            }
+            if (reader.acceptWord('IF', 'EXISTS')) {
+                warnings.push(`IF EXISTS ignored: MySQL has no DROP ${group} IF EXISTS`);
+            }
+
+            const name = reader.identifier();
+            if (group === 'COLUMN') {
+                clauses.push(`DROP COLUMN ${quoteIdent(name)}`);
+            } else {
+                const clause = this.dropConstraintClause(name, warnings);
+                if (clause) {
+                    clauses.push(clause);
+                }
+            }
+        } while (reader.acceptPunct(','));
+        reader.expectEnd();
+
+        if (clauses.length === 0) {
+            return this.skipped(`Nothing to drop in MySQL for ${table}`, warnings);
+        }
+        return this.ok([`ALTER TABLE ${quoteIdent(table)} ${clauses.join(', ')}`], warnings);
+    }
+
+    // SQL Server drops constraints by name only; the usual name prefixes tell what they are
+    dropConstraintClause(name, warnings) {
+        if (/^PK/i.test(name)) {
+            return 'DROP PRIMARY KEY';
+        }
+        if (/^DF/i.test(name)) {
+            warnings.push(`Default constraint ${name} not dropped: MySQL keeps defaults on the column itself`);
+            return null;
+        }
+        if (/^(FK|CK)/i.test(name)) {
+            warnings.push(`Constraint ${name} not dropped: foreign key and check constraints are not created in MySQL`);
+            return null;
+        }
+        if (/^(UQ|UK|AK|IX)/i.test(name)) {
+            return `DROP INDEX ${quoteIdent(name)}`;
+        }
+        return `DROP CONSTRAINT ${quoteIdent(name)}`;
+    }
+
+    translateAlterColumn(reader, table) {
+        const name = reader.identifier();
+        if (reader.isWord('ADD') || reader.isWord('DROP')) {
+            return this.skipped(`ALTER COLUMN ${name} ${reader.peek().value.toUpperCase()} of a column property has no MySQL equivalent`);
+        }
+
+        const warnings = [];
+        const column = this.parseColumn(reader, warnings, name);
+        reader.expectEnd();
+        warnings.push(`MODIFY COLUMN ${name} redefines the whole column; a default set on it in MySQL is removed`);
+        return this.ok([`ALTER TABLE ${quoteIdent(table)} MODIFY COLUMN ${this.renderColumn(column, warnings, { indexed: true })}`], warnings);
+    }
+
+    translateCreateTable(reader) {
+        const table = this.tableName(reader.objectName());
+        const warnings = [];
+        const columns = [];
+        const constraints = [];
+
+        reader.expectPunct('(');
+        do {
+            if (this.isTableConstraint(reader)) {
+                const constraint = this.parseTableConstraint(reader);
+                if (constraint.kind === 'DEFAULT') {
+                    throw new Error('DEFAULT ... FOR is not valid in CREATE TABLE');
+                }
+                constraints.push(constraint);
+            } else {
+                columns.push(this.parseColumn(reader, warnings));
+            }
+        } while (reader.acceptPunct(','));
+        reader.expectPunct(')');
+        this.skipStorageOptions(reader);
+        reader.expectEnd();
+
+        const indexedColumns = constraints.map(constraint => constraint.columnNames[0]);
+        const definitions = [
+            ...columns.map(column => this.renderColumn(column, warnings, { indexed: indexedColumns.includes(column.name) })),
+            ...constraints.map(constraint => this.renderTableConstraint(constraint))
+        ];
+        return this.ok([`CREATE TABLE ${quoteIdent(table)} (${definitions.join(', ')})`], warnings);
+    }
+
+    translateCreateIndex(reader) {
+        const unique = reader.acceptWord('UNIQUE');
+        this.skipClustering(reader);
+        if (!reader.acceptWord('INDEX')) {
+            throw new Error(`CREATE ${reader.describe()} is not supported`);
+        }
+
+        const warnings = [];
+        const name = reader.identifier();
+        reader.expectWord('ON');
+        const table = this.tableName(reader.objectName());
+        const columns = this.indexColumns(reader);
+
+        if (reader.acceptWord('INCLUDE')) {
+            reader.balanced();
+            warnings.push(`INCLUDE columns of index ${name} dropped: MySQL has no included columns`);
+        }
+        if (reader.acceptWord('WHERE')) {
+            if (unique) {
+                throw new Error(`Filtered unique index ${name} cannot be expressed in MySQL`);
+            }
+            while (!reader.atEnd() && !reader.isWord('WITH') && !reader.isWord('ON')) {
+                if (reader.isPunct('(')) {
+                    reader.balanced();
+                } else {
+                    reader.next();
+                }
+            }
+            warnings.push(`Filter of index ${name} dropped: the MySQL index covers all rows`);
+        }
+        this.skipStorageOptions(reader);
+        reader.expectEnd();
+
+        return this.ok([`CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${quoteIdent(name)} ON ${quoteIdent(table)} (${columns.sql})`], warnings);
+    }
+
+    // DROP INDEX ix ON t [, ...] or the older DROP INDEX t.ix
+    translateDropIndex(reader) {
+        const warnings = [];
+        if (reader.acceptWord('IF', 'EXISTS')) {
+            warnings.push('IF EXISTS ignored: MySQL has no DROP INDEX IF EXISTS');
+        }
+
+        const statements = [];
+        do {
+            const parts = reader.objectName();
+            let table;
+            if (reader.acceptWord('ON')) {
+                table = this.tableName(reader.objectName());
+                if (reader.acceptWord('WITH')) {
+                    reader.balanced();
+                }
+            } else if (parts.length >= 2) {
+                table = parts[parts.length - 2];
+            } else {
+                throw new Error(`DROP INDEX ${parts[0]} does not name its table`);
+            }
+            statements.push(`DROP INDEX ${quoteIdent(parts[parts.length - 1])} ON ${quoteIdent(table)}`);
+        } while (reader.acceptPunct(','));
+        reader.expectEnd();
+
+        return this.ok(statements, warnings);
+    }
+
+    translateDropTable(reader) {
+        const ifExists = reader.acceptWord('IF', 'EXISTS');
+        const tables = [];
+        do {
+            tables.push(quoteIdent(this.tableName(reader.objectName())));
+        } while (reader.acceptPunct(','));
+        reader.expectEnd();
+
+        return this.ok([`DROP TABLE ${ifExists ? 'IF EXISTS ' : ''}${tables.join(', ')}`]);
+    }
+
+    isSpRename(reader) {
+        return reader.isWord('SP_RENAME') || (reader.isPunct('.', 1) && reader.isWord('SP_RENAME', 2));
+    }
+
+    translateExec(reader) {
+        const procedure = reader.objectName();
+        if (procedure[procedure.length - 1].toLowerCase() !== 'sp_rename') {
+            throw new Error(`EXEC ${procedure.join('.')} is not supported`);
+        }
+
+        // Positional or @name = value arguments
+        const positional = ['@objname', '@newname', '@objtype'];
+        const args = {};
+        let index = 0;
+        while (!reader.atEnd()) {
+            let key = positional[index++];
+            if (reader.peek().type === 'word' && reader.peek().value.startsWith('@') && reader.isPunct('=', 1)) {
+                key = reader.next().value.toLowerCase();
+                reader.next();
+            }
+            args[key] = reader.next().value;
+            if (!reader.acceptPunct(',')) {
+                break;
+            }
+        }
+        reader.expectEnd();
+
+        if (!args['@objname'] || !args['@newname']) {
+            throw new Error('sp_rename needs an object name and a new name');
+        }
+        const parts = new TokenReader(tokenize(args['@objname'])).objectName();
+        const newName = args['@newname'];
+        const objectType = (args['@objtype'] || '').toUpperCase();
+
+        if (objectType === 'COLUMN' || objectType === 'INDEX') {
+            if (parts.length < 2) {
+                throw new Error(`sp_rename ${objectType} needs a table-qualified name, got ${args['@objname']}`);
+            }
+            const table = parts[parts.length - 2];
+            const statement = `ALTER TABLE ${quoteIdent(table)} RENAME ${objectType} ${quoteIdent(parts[parts.length - 1])} TO ${quoteIdent(newName)}`;
+            return this.ok([statement]);
+        }
+        if (objectType === '') {
+            return this.ok([`RENAME TABLE ${quoteIdent(this.tableName(parts))} TO ${quoteIdent(newName)}`]);
+        }
+        throw new Error(`sp_rename of type ${objectType} is not supported`);
+    }
+
+    isTableConstraint(reader) {
+        return ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'DEFAULT'].some(word => reader.isWord(word));
+    }
+
+    /**
+     * Parse [CONSTRAINT name] PRIMARY KEY (...) | UNIQUE (...) | DEFAULT expr FOR column
+     * @returns {Object} { kind, name, columns, columnNames } or { kind: 'DEFAULT', name, default, column }
+     */
+    parseTableConstraint(reader) {
+        const name = reader.acceptWord('CONSTRAINT') ? reader.identifier() : null;
+
+        let kind = null;
+        if (reader.acceptWord('PRIMARY', 'KEY')) {
+            kind = 'PRIMARY KEY';
+        } else if (reader.acceptWord('UNIQUE')) {
+            kind = 'UNIQUE';
+        }
+        if (kind) {
+            this.skipClustering(reader);
+            const columns = this.indexColumns(reader);
+            this.skipStorageOptions(reader);
+            return { kind, name, columns: columns.sql, columnNames: columns.names };
+        }
+        if (reader.acceptWord('DEFAULT')) {
+            const defaultValue = this.parseDefault(reader);
+            reader.expectWord('FOR');
+            return { kind: 'DEFAULT', name, default: defaultValue, column: reader.identifier() };
+        }
+        if (reader.isWord('FOREIGN') || reader.isWord('CHECK')) {
+            throw new Error(`${reader.peek().value.toUpperCase()} constraints are not translated`);
+        }
+        throw new Error(`Unsupported constraint ${reader.describe()}`);
+    }
+
+    renderTableConstraint(constraint) {
+        if (constraint.kind === 'PRIMARY KEY') {
+            return `PRIMARY KEY (${constraint.columns})`;
+        }
+        return `${constraint.name ? `CONSTRAINT ${quoteIdent(constraint.name)} ` : ''}UNIQUE (${constraint.columns})`;
+    }
+
+    // (col [ASC|DESC], ...)
+    indexColumns(reader) {
+        const names = [];
+        const columns = [];
+        reader.expectPunct('(');
+        do {
+            const name = reader.identifier();
+            const descending = reader.acceptWord('DESC');
+            reader.acceptWord('ASC');
+            names.push(name);
+            columns.push(`${quoteIdent(name)}${descending ? ' DESC' : ''}`);
+        } while (reader.acceptPunct(','));
+        reader.expectPunct(')');
+        return { sql: columns.join(', '), names };
+    }
+
+    skipClustering(reader) {
+        if (!reader.acceptWord('CLUSTERED')) {
+            reader.acceptWord('NONCLUSTERED');
+        }
+    }
+
+    // WITH (...), ON filegroup, TEXTIMAGE_ON filegroup: storage details with no MySQL meaning
+    skipStorageOptions(reader) {
+        while (true) {
+            if (reader.acceptWord('WITH')) {
+                if (reader.isPunct('(')) {
+                    reader.balanced();
+                } else {
+                    reader.next();
+                }
+            } else if (reader.acceptWord('ON') || reader.acceptWord('TEXTIMAGE_ON') || reader.acceptWord('FILESTREAM_ON')) {
+                reader.identifier();
+                if (reader.isPunct('(')) {
+                    reader.balanced();
+                }
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Parse a column definition: name type[(args)] followed by column options in any order
+     * @param {TokenReader} reader
+     * @param {Array<string>} warnings - Lossy translations are appended here
+     * @param {string|null} name - Already consumed column name (ALTER COLUMN)
+     */
+    parseColumn(reader, warnings, name = null) {
+        const column = {
+            name: name || reader.identifier(),
+            type: null,
+            nullable: null,
+            identity: false,
+            primaryKey: false,
+            unique: false,
+            default: null,
+            withValues: false
+        };
+        if (reader.isWord('AS')) {
+            throw new Error(`Computed column ${column.name} is not translated`);
+        }
+
+        const typeParts = reader.objectName();
+        const typeName = typeParts[typeParts.length - 1];
+        const args = [];
+        if (reader.acceptPunct('(')) {
+            do {
+                const token = reader.next();
+                if (token.type !== 'number' && !(token.type === 'word' && token.value.toUpperCase() === 'MAX')) {
+                    throw new Error(`Invalid argument "${tokenText(token)}" for type ${typeName}`);
+                }
+                args.push(token.value);
+            } while (reader.acceptPunct(','));
+            reader.expectPunct(')');
+        }
+        column.type = mapSqlServerType(typeName, args);
+        if (!column.type) {
+            throw new Error(`Column ${column.name}: type ${typeParts.join('.')} has no MySQL equivalent`);
+        }
+        if (column.type.warning) {
+            warnings.push(`${column.name}: ${column.type.warning}`);
+        }
+
+        while (!reader.atEnd() && !reader.isPunct(',') && !reader.isPunct(')')) {
+            if (reader.acceptWord('NOT', 'NULL')) {
+                column.nullable = false;
+            } else if (reader.acceptWord('NULL')) {
+                column.nullable = true;
+            } else if (reader.acceptWord('COLLATE')) {
+                warnings.push(`${column.name}: collation ${reader.identifier()} replaced by utf8mb4_0900_ai_ci`);
+            } else if (reader.acceptWord('IDENTITY')) {
+                if (reader.isPunct('(')) {
+                    reader.balanced();
+                }
+                column.identity = true;
+            } else if (reader.acceptWord('NOT', 'FOR', 'REPLICATION') || reader.acceptWord('ROWGUIDCOL') ||
+                reader.acceptWord('SPARSE') || reader.acceptWord('FILESTREAM')) {
+                // Storage and replication flags with no MySQL meaning
+            } else {
+                // MySQL has no named column constraints; the name is dropped
+                if (reader.acceptWord('CONSTRAINT')) {
+                    reader.identifier();
+                }
+                if (reader.acceptWord('DEFAULT')) {
+                    column.default = this.parseDefault(reader);
+                    column.withValues = reader.acceptWord('WITH', 'VALUES');
+                } else if (reader.acceptWord('PRIMARY', 'KEY')) {
+                    column.primaryKey = true;
+                    this.skipClustering(reader);
+                } else if (reader.acceptWord('UNIQUE')) {
+                    column.unique = true;
+                    this.skipClustering(reader);
+                } else if (reader.isWord('CHECK') || reader.isWord('REFERENCES') || reader.isWord('FOREIGN')) {
+                    throw new Error(`Column ${column.name}: ${reader.peek().value.toUpperCase()} constraints are not translated`);
+                } else {
+                    throw new Error(`Unexpected ${reader.describe()} in definition of column ${column.name}`);
+                }
+            }
+        }
+
+        if (column.default && column.default.unsupported) {
+            warnings.push(`${column.name}: default ${column.default.unsupported} has no MySQL equivalent and was dropped`);
+            column.default = null;
+        }
+        return column;
+    }
+
+    /**
+     * Render a parsed column as a MySQL column definition
+     * @param {Object} column - From parseColumn
+     * @param {Array<string>} warnings
+     * @param {Object} options - { indexed: true when another key of the statement already covers the column }
+     */
+    renderColumn(column, warnings, { indexed = false } = {}) {
+        const parts = [quoteIdent(column.name), column.type.type];
+        if (column.type.string) {
+            parts.push(STRING_CHARSET);
+        }
+        parts.push(column.nullable === false || column.primaryKey ? 'NOT NULL' : 'NULL');
+
+        if (column.default) {
+            parts.push(`DEFAULT ${this.renderColumnDefault(column.default, column.type.type)}`);
+            if (column.nullable !== false && !column.withValues) {
+                warnings.push(`${column.name}: existing rows get the default in MySQL (SQL Server leaves them NULL without WITH VALUES)`);
+            }
+        }
+        if (column.identity) {
+            parts.push('AUTO_INCREMENT');
+        }
+        if (column.primaryKey) {
+            parts.push('PRIMARY KEY');
+        } else if (column.unique) {
+            parts.push('UNIQUE');
+        } else if (column.identity && !indexed) {
+            // MySQL only allows AUTO_INCREMENT on an indexed column
+            parts.push('UNIQUE');
+            warnings.push(`${column.name}: IDENTITY column given a UNIQUE key (MySQL requires AUTO_INCREMENT columns to be indexed)`);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Parse a DEFAULT expression: ((0)), (N'x'), (getdate()), -1 ...
+     * @returns {Object} { literal } | { expression } | { unsupported: original text }
+     */
+    parseDefault(reader) {
+        let tokens;
+        if (reader.isPunct('(')) {
+            tokens = reader.balanced();
+        } else {
+            tokens = [reader.next()];
+            if (tokens[0].type === 'punct' && (tokens[0].value === '-' || tokens[0].value === '+')) {
+                tokens.push(reader.next());
+            } else if (tokens[0].type === 'word' && reader.isPunct('(')) {
+                tokens.push({ type: 'punct', value: '(' }, ...reader.balanced(), { type: 'punct', value: ')' });
+            }
+        }
+
+        // Strip redundant outer parentheses: ((0)) -> 0
+        const isPunct = (token, value) => !!token && token.type === 'punct' && token.value === value;
+        while (tokens.length >= 2 && isPunct(tokens[0], '(') && isPunct(tokens[tokens.length - 1], ')') &&
+            new TokenReader(tokens).balanced().length === tokens.length - 2) {
+            tokens = tokens.slice(1, -1);
+        }
+
+        const [first, second] = tokens;
+        if (tokens.length === 1 && first.type === 'number') {
+            return { literal: first.value };
+        }
+        if (tokens.length === 2 && (isPunct(first, '-') || isPunct(first, '+')) && second.type === 'number') {
+            return { literal: `${first.value === '-' ? '-' : ''}${second.value}` };
+        }
+        if (tokens.length === 1 && first.type === 'string') {
+            return { literal: quoteString(first.value) };
+        }
+        if (tokens.length === 1 && first.type === 'word' && first.value.toUpperCase() === 'NULL') {
+            return { literal: 'NULL' };
+        }
+        const isCall = tokens.length === 3 && isPunct(tokens[1], '(') && isPunct(tokens[2], ')');
+        if (first && first.type === 'word' && (tokens.length === 1 || isCall) && DEFAULT_FUNCTIONS[first.value.toUpperCase()]) {
+            return { expression: DEFAULT_FUNCTIONS[first.value.toUpperCase()] };
+        }
+        return { unsupported: tokens.map(tokenText).join('') };
+    }
+
+    renderColumnDefault(defaultValue, mysqlType) {
+        if (defaultValue.literal !== undefined) {
+            // TEXT/BLOB columns only take expression defaults
+            return /TEXT|BLOB/.test(mysqlType) && defaultValue.literal !== 'NULL'
+                ? `(${defaultValue.literal})`
+                : defaultValue.literal;
+        }
+        if (defaultValue.expression === 'CURRENT_TIMESTAMP' && /^(DATETIME|TIMESTAMP)/.test(mysqlType)) {
+            // The fractional second precision has to match the column's
+            const precision = /\((\d)\)/.exec(mysqlType);
+            return precision ? `CURRENT_TIMESTAMP(${precision[1]})` : 'CURRENT_TIMESTAMP';
+        }
+        return `(${defaultValue.expression})`;
+    }
+
+    // ALTER COLUMN ... SET DEFAULT does not know the column type, so expressions are always parenthesised
+    renderSetDefault(defaultValue) {
+        return defaultValue.literal !== undefined ? defaultValue.literal : `(${defaultValue.expression})`;
+    }
+
+    // Object names may carry database and schema parts; MySQL only needs the table
+    tableName(parts) {
+        return parts[parts.length - 1];
+    }
+
+    ok(statements, warnings = []) {
+        return { status: 'ok', statements, warnings, reason: null };
+    }
+
+    skipped(reason, warnings = []) {
+        return { status: 'skipped', statements: [], warnings, reason };
+    }
+}
+
+module.exports = new DdlTranslator();
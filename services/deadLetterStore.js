@@ -0,0 +1,230 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+
+const DEAD_LETTERS_TABLE = '_sync_dead_letters';
+const MAX_LIST_LIMIT = 500;
+const STATUSES = ['pending', 'replayed', 'discarded'];
+
+class DeadLetterStore {
+    constructor() {
+        this.preparedDatabases = new Set();
+    }
+
+    /**
+     * Keep a failed sync record in its store database so it can be replayed later
+     * The same syncId failing again (a client resend) updates its entry and counts the attempt.
+     * Recording never fails the sync response; errors are only logged.
+     * @param {string} database - Store database
+     * @param {Object} entry
+     * @param {string} entry.source - advanced (storeId/appId records) or legacy (MachineName records)
+     * @param {string} entry.scope - storeId:appId or MachineName, as used by the sync ledger
+     * @param {Object} entry.payload - The record exactly as the client sent it
+     */
+    async record(database, { source, scope, storeId = null, appId = null, syncId = null, tableName = null, operation = null, payload, error }) {
+        try {
+            await this.ensureTable(database);
+            await dbManager.executeQuery(database, `
+                INSERT INTO \`${DEAD_LETTERS_TABLE}\`
+                    (source, scope, store_id, app_id, sync_id, table_name, operation, payload, error_message)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    attempts = attempts + 1,
+                    payload = VALUES(payload),
+                    error_message = VALUES(error_message),
+                    status = 'pending',
+                    resolved_at = NULL
+            `, [
+                source,
+                scope,
+                storeId !== null && storeId !== undefined ? String(storeId) : null,
+                appId || null,
+                syncId !== null && syncId !== undefined ? String(syncId) : null,
+                tableName || null,
+                operation || null,
+                JSON.stringify(payload),
+                error || null
+            ]);
+            logger.warn(`Dead-lettered ${source} record ${syncId || '(no syncId)'} for ${database}.${tableName}: ${error}`);
+        } catch (recordError) {
+            logger.error(`Failed to dead-letter record ${syncId || '(no syncId)'} for ${database}.${tableName}: ${recordError.message}`);
+        }
+    }
+
+    /**
+     * List dead letters of a store database, newest first, without payloads
+     * @param {string} database - Store database
+     * @param {Object} filters - { status, tableName, limit, offset }
+     * @returns {Promise<{total: number, deadLetters: Array<Object>}>}
+     */
+    async list(database, { status = null, tableName = null, limit = 100, offset = 0 } = {}) {
+        await this.ensureTable(database);
+
+        const { where, parameters } = this.buildFilter({ status, tableName });
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_LIMIT);
+        const skip = Math.max(parseInt(offset) || 0, 0);
+
+        const countResult = await dbManager.executeQuery(database,
+            `SELECT COUNT(*) AS total FROM \`${DEAD_LETTERS_TABLE}\` ${where}`, parameters);
+        // LIMIT/OFFSET are inlined; they are clamped integers
+        const result = await dbManager.executeQuery(database, `
+            SELECT id, created_at, updated_at, source, scope, store_id, app_id, sync_id, table_name, operation,
+                   error_message, attempts, status, last_replayed_at, resolved_at
+            FROM \`${DEAD_LETTERS_TABLE}\`
+            ${where}
+            ORDER BY id DESC
+            LIMIT ${pageSize} OFFSET ${skip}
+        `, parameters);
+
+        return {
+            total: countResult.rows[0].total,
+            deadLetters: result.rows.map(row => this.toEntry(row))
+        };
+    }
+
+    /**
+     * Get one dead letter with its payload
+     * @returns {Promise<Object|null>}
+     */
+    async get(database, id) {
+        await this.ensureTable(database);
+        const result = await dbManager.executeQuery(database,
+            `SELECT * FROM \`${DEAD_LETTERS_TABLE}\` WHERE id = ?`, [id]);
+        return result.rows.length > 0 ? this.toEntry(result.rows[0], true) : null;
+    }
+
+    /**
+     * Ids of pending dead letters to retry, oldest first
+     * @param {Object} filters - { ids, tableName, limit }
+     */
+    async listPendingIds(database, { ids = null, tableName = null, limit = 100 } = {}) {
+        await this.ensureTable(database);
+
+        const { where, parameters } = this.buildFilter({ status: 'pending', tableName, ids });
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_LIMIT);
+        const result = await dbManager.executeQuery(database,
+            `SELECT id FROM \`${DEAD_LETTERS_TABLE}\` ${where} ORDER BY id ASC LIMIT ${pageSize}`, parameters);
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Record the outcome of a replay; a successful replay resolves the dead letter
+     * @param {Object|null} payload - Edited payload that was replayed, saved in place of the original
+     */
+    async markReplayed(database, id, { success, error = null, payload = null }) {
+        await dbManager.executeQuery(database, `
+            UPDATE \`${DEAD_LETTERS_TABLE}\`
+            SET attempts = attempts + 1,
+                last_replayed_at = CURRENT_TIMESTAMP(3),
+                payload = COALESCE(?, payload),
+                status = ?,
+                error_message = COALESCE(?, error_message),
+                resolved_at = ${success ? 'CURRENT_TIMESTAMP(3)' : 'NULL'}
+            WHERE id = ?
+        `, [payload ? JSON.stringify(payload) : null, success ? 'replayed' : 'pending', error, id]);
+    }
+
+    /**
+     * Discard a pending dead letter; it is kept for the record but never replayed
+     * @returns {Promise<boolean>} false if there is no pending dead letter with this id
+     */
+    async discard(database, id) {
+        await this.ensureTable(database);
+        const result = await dbManager.executeQuery(database, `
+            UPDATE \`${DEAD_LETTERS_TABLE}\`
+            SET status = 'discarded', resolved_at = CURRENT_TIMESTAMP(3)
+            WHERE id = ? AND status = 'pending'
+        `, [id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Whether a failure should be dead-lettered: retryable failures (e.g. SYNC_LEDGER_UNAVAILABLE) are only
+     * returned to the client, which resends the record
+     * @param {Object} failure - Error or failed result
+     */
+    shouldRecord(failure) {
+        return !(failure && (failure.retryable || failure.code === 'SYNC_LEDGER_UNAVAILABLE'));
+    }
+
+    isValidStatus(status) {
+        return STATUSES.includes(status);
+    }
+
+    buildFilter({ status = null, tableName = null, ids = null }) {
+        const conditions = [];
+        const parameters = [];
+        if (status) {
+            conditions.push('status = ?');
+            parameters.push(status);
+        }
+        if (tableName) {
+            conditions.push('table_name = ?');
+            parameters.push(tableName);
+        }
+        if (Array.isArray(ids)) {
+            if (ids.length === 0) {
+                conditions.push('1 = 0');
+            } else {
+                conditions.push(`id IN (${ids.map(() => '?').join(', ')})`);
+                parameters.push(...ids);
+            }
+        }
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', parameters };
+    }
+
+    toEntry(row, withPayload = false) {
+        const entry = {
+            id: row.id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            source: row.source,
+            scope: row.scope,
+            storeId: row.store_id,
+            appId: row.app_id,
+            syncId: row.sync_id,
+            tableName: row.table_name,
+            operation: row.operation,
+            error: row.error_message,
+            attempts: row.attempts,
+            status: row.status,
+            lastReplayedAt: row.last_replayed_at,
+            resolvedAt: row.resolved_at
+        };
+        if (withPayload) {
+            entry.payload = JSON.parse(row.payload);
+        }
+        return entry;
+    }
+
+    async ensureTable(database) {
+        if (this.preparedDatabases.has(database)) {
+            return;
+        }
+        await dbManager.executeQuery(database, `
+            CREATE TABLE IF NOT EXISTS \`${DEAD_LETTERS_TABLE}\` (
+                id BIGINT NOT NULL AUTO_INCREMENT,
+                created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+                source VARCHAR(20) NOT NULL,
+                scope VARCHAR(191) NOT NULL,
+                store_id VARCHAR(64) NULL,
+                app_id VARCHAR(191) NULL,
+                sync_id VARCHAR(191) NULL,
+                table_name VARCHAR(191) NULL,
+                operation VARCHAR(64) NULL,
+                payload LONGTEXT NOT NULL,
+                error_message TEXT NULL,
+                attempts INT NOT NULL DEFAULT 1,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                last_replayed_at DATETIME(3) NULL,
+                resolved_at DATETIME(3) NULL,
+                PRIMARY KEY (id),
+                UNIQUE KEY uk_scope_sync_id (scope, sync_id),
+                KEY idx_status_table (status, table_name)
+            )
+        `);
+        this.preparedDatabases.add(database);
+    }
+}
+
+module.exports = new DeadLetterStore();
@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redisClient');
+const appConfig = require('../config/default.json');
+
+const fullSyncConfig = appConfig.fullSync || {};
+
+class FullSyncSessionStore {
+    constructor() {
+        this.ttlHours = parseInt(process.env.FULL_SYNC_SESSION_TTL_HOURS) || fullSyncConfig.sessionTtlHours || 168;
+        this.memorySessions = new Map(); // Used while Redis is unavailable
+        this.updates = new Map(); // session key -> tail of its queued updates
+    }
+
+    /**
+     * Get the full sync session for a store table
+     * @returns {Promise<Object|null>}
+     */
+    async get(storeId, appId, tableName) {
+        const key = this.sessionKey(storeId, appId, tableName);
+        try {
+            if (redisClient.isReady) {
+                const value = await redisClient.get(key);
+                return value ? JSON.parse(value) : null;
+            }
+        } catch (error) {
+            logger.warn(`Failed to load full sync session ${key}: ${error.message}`);
+        }
+        return this.memorySessions.get(key) || null;
+    }
+
+    /**
+     * Get the running session for this full sync, or start a new one
+     * A different originalSyncId, or a batch arriving for a completed session, starts over.
+     * Batches count from 1 (from 0 when the first batch is 0); a session that starts mid-stream (after a
+     * restart without Redis, or an expired key) has no contiguous run yet, so the earlier batches are still
+     * expected and nextBatch points at the first of them.
+     */
+    async getOrStart(storeId, appId, tableName, { originalSyncId, currentBatch, totalBatches, totalRows }) {
+        const existing = await this.get(storeId, appId, tableName);
+        if (existing && existing.status === 'in_progress' && existing.originalSyncId === (originalSyncId || null)) {
+            return existing;
+        }
+
+        const firstBatch = Number.isInteger(currentBatch) ? currentBatch : 1;
+        const now = new Date().toISOString();
+        const session = {
+            storeId,
+            appId,
+            tableName,
+            originalSyncId: originalSyncId || null,
+            status: 'in_progress',
+            startedAt: now,
+            updatedAt: now,
+            completedAt: null,
+            totalBatches: totalBatches || null,
+            totalRows: totalRows || null,
+            batchesReceived: 0,
+            lastBatchIndex: Math.min(firstBatch, 1) - 1, // Highest batch index received with no gaps before it
+            outOfOrderBatches: [],
+            insertCount: 0,
+            updateCount: 0,
+            skipCount: 0,
+            errorCount: 0,
+            warningCount: 0
+        };
+        await this.save(session);
+        logger.info(`Started full sync session for Store ${storeId}, App ${appId}/${tableName}`);
+        return session;
+    }
+
+    /**
+     * Check whether a batch index was already applied in this session
+     */
+    hasBatch(session, batchIndex) {
+        if (!Number.isInteger(batchIndex)) {
+            return false;
+        }
+        return batchIndex <= session.lastBatchIndex || session.outOfOrderBatches.includes(batchIndex);
+    }
+
+    /**
+     * Add one batch's counts to the session and persist it
+     * Updates of a session are queued and applied to its latest stored state, so concurrent batches
+     * do not overwrite each other's counts; a batch that is already recorded is not counted twice.
+     * @returns {Promise<Object>} The updated session
+     */
+    async recordBatch(session, batchIndex, counts, { totalBatches, totalRows } = {}) {
+        return this.update(session, current => {
+            if (this.hasBatch(current, batchIndex)) {
+                return;
+            }
+            this.applyBatch(current, batchIndex, counts, { totalBatches, totalRows });
+        });
+    }
+
+    applyBatch(session, batchIndex, counts, { totalBatches, totalRows }) {
+        session.batchesReceived++;
+        session.insertCount += counts.insertCount || 0;
+        session.updateCount += counts.updateCount || 0;
+        session.skipCount += counts.skipCount || 0;
+        session.errorCount += counts.errorCount || 0;
+        session.warningCount = (session.warningCount || 0) + (counts.warningCount || 0);
+        session.totalBatches = totalBatches || session.totalBatches;
+        session.totalRows = totalRows || session.totalRows;
+        session.updatedAt = new Date().toISOString();
+
+        if (Number.isInteger(batchIndex)) {
+            if (batchIndex === session.lastBatchIndex + 1) {
+                session.lastBatchIndex = batchIndex;
+                // Batches that arrived early now continue the contiguous run
+                while (session.outOfOrderBatches.includes(session.lastBatchIndex + 1)) {
+                    session.lastBatchIndex++;
+                }
+                session.outOfOrderBatches = session.outOfOrderBatches.filter(index => index > session.lastBatchIndex);
+            } else if (batchIndex > session.lastBatchIndex) {
+                session.outOfOrderBatches.push(batchIndex);
+            }
+        }
+    }
+
+    /**
+     * Mark the session completed (kept until its TTL expires so it can still be inspected)
+     */
+    async complete(session) {
+        return this.update(session, current => {
+            current.status = 'completed';
+            current.completedAt = new Date().toISOString();
+            current.updatedAt = current.completedAt;
+        });
+    }
+
+    // Run a change on the latest stored copy of a session, one change per session at a time, and save it
+    async update(session, change) {
+        const key = this.sessionKey(session.storeId, session.appId, session.tableName);
+        const run = async () => {
+            const stored = await this.get(session.storeId, session.appId, session.tableName);
+            // A stored session of another sync (restarted since) is not this one's to change
+            const current = stored && stored.startedAt === session.startedAt && stored.originalSyncId === session.originalSyncId
+                ? stored
+                : session;
+            change(current);
+            await this.save(current);
+            return current;
+        };
+
+        const previous = this.updates.get(key) || Promise.resolve();
+        const pending = previous.then(run, run);
+        const tail = pending.catch(() => {});
+        this.updates.set(key, tail);
+        try {
+            return await pending;
+        } finally {
+            if (this.updates.get(key) === tail) {
+                this.updates.delete(key);
+            }
+        }
+    }
+
+    // Summary sent to clients in progress, completion and resume events
+    toSummary(session) {
+        return {
+            status: session.status,
+            startedAt: session.startedAt,
+            updatedAt: session.updatedAt,
+            completedAt: session.completedAt,
+            originalSyncId: session.originalSyncId,
+            batchesReceived: session.batchesReceived,
+            lastBatchIndex: session.lastBatchIndex,
+            nextBatch: session.lastBatchIndex + 1,
+            totalBatches: session.totalBatches,
+            totalRows: session.totalRows,
+            insertCount: session.insertCount,
+            updateCount: session.updateCount,
+            skipCount: session.skipCount,
+            errorCount: session.errorCount,
+            warningCount: session.warningCount || 0,
+            processedRows: session.insertCount + session.updateCount + session.skipCount + session.errorCount
+        };
+    }
+
+    async save(session) {
+        const key = this.sessionKey(session.storeId, session.appId, session.tableName);
+        try {
+            if (redisClient.isReady) {
+                await redisClient.set(key, JSON.stringify(session), { EX: this.ttlHours * 3600 });
+                this.memorySessions.delete(key);
+                return;
+            }
+        } catch (error) {
+            logger.warn(`Failed to persist full sync session ${key}, keeping it in memory: ${error.message}`);
+        }
+        this.memorySessions.set(key, session);
+    }
+
+    sessionKey(storeId, appId, tableName) {
+        return `fullsync:session:${storeId}:${appId}:${tableName}`;
+    }
+}
+
+module.exports = new FullSyncSessionStore();
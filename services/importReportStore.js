@@ -0,0 +1,171 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+
+const REPORTS_TABLE = '_csv_import_reports';
+const MAX_LIST_LIMIT = 500;
+const STATUSES = ['completed', 'failed'];
+const ERROR_FILE_COLUMNS = ['line', 'category', 'level', 'code', 'column', 'message'];
+
+const csvField = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV import reports of a store database (_csv_import_reports, created on first use)
+// Each row keeps the summary sent to the client and every recorded error line, for the error file download.
+class ImportReportStore {
+    constructor() {
+        this.preparedDatabases = new Set();
+    }
+
+    /**
+     * Persist a finished import report; recording never fails the import, errors are only logged
+     * @param {string} database - Store database
+     * @param {CSVImportReport} report - utils/csvImportReport.js
+     * @param {Object} context - { storeId, appId }
+     * @returns {Promise<number|null>} Report id, null if it could not be saved
+     */
+    async record(database, report, { storeId = null, appId = null } = {}) {
+        const summary = report.toSummary();
+        try {
+            await this.ensureTable(database);
+            const result = await dbManager.executeQuery(database, `
+                INSERT INTO \`${REPORTS_TABLE}\`
+                    (store_id, app_id, table_name, file_name, status, strategy, rows_read, inserted, duplicates,
+                     truncated, rejected, malformed, summary, errors, error_message)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                storeId !== null && storeId !== undefined ? String(storeId) : null,
+                appId || null,
+                summary.tableName,
+                summary.fileName,
+                summary.status,
+                summary.strategy,
+                summary.rowsRead,
+                summary.inserted,
+                summary.duplicates,
+                summary.truncated,
+                summary.rejected,
+                summary.malformed,
+                JSON.stringify(summary),
+                JSON.stringify(report.errors),
+                summary.error
+            ]);
+            return result.insertId || null;
+        } catch (error) {
+            logger.error(`Failed to save import report for ${database}.${summary.tableName} (${summary.fileName}): ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Import reports of a store database, newest first, without error lines
+     * @param {Object} filters - { tableName, status, limit, offset }
+     * @returns {Promise<{total: number, reports: Array<Object>}>}
+     */
+    async list(database, { tableName = null, status = null, limit = 100, offset = 0 } = {}) {
+        await this.ensureTable(database);
+
+        const conditions = [];
+        const parameters = [];
+        if (tableName) {
+            conditions.push('table_name = ?');
+            parameters.push(tableName);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            parameters.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_LIMIT);
+        const skip = Math.max(parseInt(offset) || 0, 0);
+
+        const countResult = await dbManager.executeQuery(database,
+            `SELECT COUNT(*) AS total FROM \`${REPORTS_TABLE}\` ${where}`, parameters);
+        // LIMIT/OFFSET are inlined; they are clamped integers
+        const result = await dbManager.executeQuery(database, `
+            SELECT id, created_at, store_id, app_id, summary
+            FROM \`${REPORTS_TABLE}\`
+            ${where}
+            ORDER BY id DESC
+            LIMIT ${pageSize} OFFSET ${skip}
+        `, parameters);
+
+        return {
+            total: countResult.rows[0].total,
+            reports: result.rows.map(row => this.toEntry(row))
+        };
+    }
+
+    /**
+     * One report; with withErrors, every recorded error line as well
+     * @returns {Promise<Object|null>}
+     */
+    async get(database, id, { withErrors = false } = {}) {
+        await this.ensureTable(database);
+        const result = await dbManager.executeQuery(database,
+            `SELECT id, created_at, store_id, app_id, summary${withErrors ? ', errors' : ''} FROM \`${REPORTS_TABLE}\` WHERE id = ?`, [id]);
+        return result.rows.length > 0 ? this.toEntry(result.rows[0]) : null;
+    }
+
+    /**
+     * The error lines of a report as a CSV file (line, category, level, code, column, message)
+     */
+    toErrorFile(report) {
+        const lines = [ERROR_FILE_COLUMNS.join(',')];
+        for (const error of report.errors || []) {
+            lines.push(ERROR_FILE_COLUMNS.map(column => csvField(error[column])).join(','));
+        }
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    isValidStatus(status) {
+        return STATUSES.includes(status);
+    }
+
+    toEntry(row) {
+        const entry = {
+            id: row.id,
+            createdAt: row.created_at,
+            storeId: row.store_id,
+            appId: row.app_id,
+            ...JSON.parse(row.summary)
+        };
+        if (row.errors !== undefined) {
+            entry.errors = row.errors ? JSON.parse(row.errors) : [];
+        }
+        return entry;
+    }
+
+    async ensureTable(database) {
+        if (this.preparedDatabases.has(database)) {
+            return;
+        }
+        await dbManager.executeQuery(database, `
+            CREATE TABLE IF NOT EXISTS \`${REPORTS_TABLE}\` (
+                id BIGINT NOT NULL AUTO_INCREMENT,
+                created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                store_id VARCHAR(64) NULL,
+                app_id VARCHAR(191) NULL,
+                table_name VARCHAR(191) NOT NULL,
+                file_name VARCHAR(255) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                strategy VARCHAR(32) NULL,
+                rows_read BIGINT NOT NULL DEFAULT 0,
+                inserted BIGINT NOT NULL DEFAULT 0,
+                duplicates BIGINT NOT NULL DEFAULT 0,
+                truncated BIGINT NOT NULL DEFAULT 0,
+                rejected BIGINT NOT NULL DEFAULT 0,
+                malformed BIGINT NOT NULL DEFAULT 0,
+                summary LONGTEXT NOT NULL,
+                errors LONGTEXT NULL,
+                error_message TEXT NULL,
+                PRIMARY KEY (id),
+                KEY idx_table_created (table_name, created_at)
+            )
+        `);
+        this.preparedDatabases.add(database);
+    }
+}
+
+module.exports = new ImportReportStore();
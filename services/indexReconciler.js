@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+const schemaCache = require('./schemaCache');
+const indexProfiles = require('../config/indexProfiles.json');
+
+const BUSINESS_TYPES = ['retail', 'hospitality'];
+const INDEX_TYPES = ['index', 'unique', 'fulltext'];
+
+const quote = name => `\`${String(name).replace(/`/g, '``')}\``;
+const sameColumns = (a, b) => a.length === b.length && a.every((column, i) => column.toLowerCase() === b[i].toLowerCase());
+
+// Primary keys and indexes per business type and table, declared in config/indexProfiles.json
+//
+// A profile entry is present when the table has a key or index of the same kind on the same columns
+// (in order), whatever it is called. Only missing entries are added, so reconciling is idempotent.
+// An index that has the profile's name but other columns, or a different primary key, is a conflict:
+// it is reported and never changed automatically.
+class IndexReconciler {
+    /**
+     * Check config/indexProfiles.json at startup
+     * @throws {Error} Listing every invalid entry
+     */
+    validate() {
+        const errors = [];
+        for (const businessType of Object.keys(indexProfiles).filter(key => key !== 'description')) {
+            if (!BUSINESS_TYPES.includes(businessType)) {
+                errors.push(`unknown business type ${businessType}`);
+                continue;
+            }
+            for (const [tableName, profile] of Object.entries(indexProfiles[businessType])) {
+                const label = `${businessType}.${tableName}`;
+                if (profile.primaryKey !== undefined && (!Array.isArray(profile.primaryKey) || profile.primaryKey.length === 0)) {
+                    errors.push(`${label}: primaryKey must be a non-empty column array`);
+                }
+                (profile.indexes || []).forEach((index, i) => {
+                    if (!index.name || !/^\w{1,64}$/.test(index.name)) {
+                        errors.push(`${label}: index ${i} needs a name of up to 64 word characters`);
+                    }
+                    if (!Array.isArray(index.columns) || index.columns.length === 0) {
+                        errors.push(`${label}: index ${index.name || i} needs columns`);
+                    }
+                    if (index.type !== undefined && !INDEX_TYPES.includes(index.type)) {
+                        errors.push(`${label}: index ${index.name || i} has unknown type ${index.type}`);
+                    }
+                });
+            }
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid index profiles: ${errors.join('; ')}`);
+        }
+    }
+
+    /**
+     * Profile of a table for a business type, or null if the profile does not cover it
+     */
+    getProfile(businessType, tableName) {
+        const tables = (BUSINESS_TYPES.includes(businessType) && indexProfiles[businessType]) || {};
+        const name = Object.keys(tables).find(table => table.toLowerCase() === String(tableName).toLowerCase());
+        return name ? tables[name] : null;
+    }
+
+    getProfileTables(businessType) {
+        return Object.keys((BUSINESS_TYPES.includes(businessType) && indexProfiles[businessType]) || {});
+    }
+
+    /**
+     * Compare a table with its profile without changing anything
+     * @returns {Promise<Object>} { tableName, businessType, tableExists, compliant, items }
+     *   items: { kind: primaryKey|index, name, columns, status: present|missing|missing_columns|conflict, actual, statement }
+     */
+    async check(database, tableName, businessType) {
+        const profile = this.getProfile(businessType, tableName);
+        const table = await schemaCache.getTable(database, tableName);
+        if (!profile || !table.exists) {
+            return { tableName, businessType, tableExists: table.exists, compliant: !profile, items: [] };
+        }
+
+        const existing = await this.getIndexes(database, table.actualName);
+        const columnNames = new Set(table.columnNames.map(column => column.toLowerCase()));
+        const items = this.getExpected(profile).map(expected => {
+            const item = { ...expected, ...this.compareEntry(expected, existing) };
+            if (item.status === 'missing') {
+                const absent = expected.columns.filter(column => !columnNames.has(column.toLowerCase()));
+                if (absent.length > 0) {
+                    return { ...item, status: 'missing_columns', error: `Column(s) ${absent.join(', ')} not in table` };
+                }
+                item.statement = this.buildStatement(table.actualName, expected);
+            }
+            return item;
+        });
+
+        return {
+            tableName: table.actualName,
+            businessType,
+            tableExists: true,
+            compliant: items.every(item => item.status === 'present'),
+            items
+        };
+    }
+
+    /**
+     * Add the missing primary key and indexes of a table's profile
+     * Statements that fail are reported in the result (status failed) and logged as errors.
+     * @returns {Promise<Object>} check() result after reconciling, plus statements that were applied
+     */
+    async reconcile(database, tableName, businessType) {
+        const before = await this.check(database, tableName, businessType);
+        const statements = [];
+        const failures = new Map();
+
+        for (const item of before.items.filter(entry => entry.status === 'missing')) {
+            try {
+                await dbManager.executeQuery(database, item.statement);
+                statements.push(item.statement);
+                logger.info(`Added ${item.kind === 'primaryKey' ? 'primary key' : `index ${item.name}`} on ${database}.${before.tableName}`);
+            } catch (error) {
+                failures.set(item.name, error.message);
+                logger.error(`Failed to add ${item.kind === 'primaryKey' ? 'primary key' : `index ${item.name}`} on ${database}.${before.tableName}: ${error.message}`);
+            }
+        }
+        if (statements.length > 0) {
+            schemaCache.invalidate(database, tableName);
+        }
+        for (const item of before.items.filter(entry => entry.status === 'conflict' || entry.status === 'missing_columns')) {
+            logger.warn(`Index profile ${businessType}.${before.tableName} ${item.name}: ${item.status}${item.error ? ` (${item.error})` : ''}`);
+        }
+
+        const after = statements.length > 0 ? await this.check(database, tableName, businessType) : before;
+        return {
+            ...after,
+            items: after.items.map(item => (failures.has(item.name) ? { ...item, status: 'failed', error: failures.get(item.name) } : item)),
+            statements
+        };
+    }
+
+    /**
+     * Compliance of every profile table of a store database
+     * @returns {Promise<Object>} { businessType, compliant, tables }
+     */
+    async report(database, businessType) {
+        const tables = [];
+        for (const tableName of this.getProfileTables(businessType)) {
+            tables.push(await this.check(database, tableName, businessType));
+        }
+        return {
+            businessType,
+            compliant: tables.every(table => table.compliant || !table.tableExists),
+            tables
+        };
+    }
+
+    // Profile entries as a flat list; the primary key is named PRIMARY like in SHOW INDEX
+    getExpected(profile) {
+        const expected = [];
+        if (profile.primaryKey) {
+            expected.push({ kind: 'primaryKey', name: 'PRIMARY', type: 'primary', columns: profile.primaryKey });
+        }
+        (profile.indexes || []).forEach(index => {
+            expected.push({ kind: 'index', name: index.name, type: index.type || 'index', parser: index.parser || null, columns: index.columns });
+        });
+        return expected;
+    }
+
+    compareEntry(expected, existing) {
+        if (expected.type === 'primary') {
+            const primary = existing.find(index => index.name === 'PRIMARY');
+            if (!primary) {
+                return { status: 'missing' };
+            }
+            return sameColumns(primary.columns, expected.columns)
+                ? { status: 'present' }
+                : { status: 'conflict', actual: primary.columns, error: `Primary key is (${primary.columns.join(', ')})` };
+        }
+
+        if (existing.some(index => index.type === expected.type && sameColumns(index.columns, expected.columns))) {
+            return { status: 'present' };
+        }
+        const named = existing.find(index => index.name.toLowerCase() === expected.name.toLowerCase());
+        if (named) {
+            return { status: 'conflict', actual: named.columns, error: `Index ${named.name} is ${named.type} on (${named.columns.join(', ')})` };
+        }
+        return { status: 'missing' };
+    }
+
+    buildStatement(tableName, expected) {
+        const columns = expected.columns.map(quote).join(', ');
+        if (expected.type === 'primary') {
+            return `ALTER TABLE ${quote(tableName)} ADD PRIMARY KEY (${columns})`;
+        }
+        const kind = { index: 'INDEX', unique: 'UNIQUE INDEX', fulltext: 'FULLTEXT INDEX' }[expected.type];
+        const parser = expected.type === 'fulltext' && expected.parser ? ` WITH PARSER ${expected.parser}` : '';
+        return `ALTER TABLE ${quote(tableName)} ADD ${kind} ${quote(expected.name)} (${columns})${parser}`;
+    }
+
+    // Existing keys and indexes from SHOW INDEX: { name, type: primary|unique|fulltext|index, columns }
+    async getIndexes(database, tableName) {
+        const result = await dbManager.executeQuery(database, `SHOW INDEX FROM ${quote(tableName)}`);
+        const byName = new Map();
+        for (const row of result.rows) {
+            if (!byName.has(row.Key_name)) {
+                let type = 'index';
+                if (row.Key_name === 'PRIMARY') {
+                    type = 'primary';
+                } else if (row.Index_type === 'FULLTEXT') {
+                    type = 'fulltext';
+                } else if (Number(row.Non_unique) === 0) {
+                    type = 'unique';
+                }
+                byName.set(row.Key_name, { name: row.Key_name, type, columns: [] });
+            }
+            byName.get(row.Key_name).columns[Number(row.Seq_in_index) - 1] = row.Column_name;
+        }
+        return [...byName.values()];
+    }
+}
+
+module.exports = new IndexReconciler();
@@ -1,5 +1,6 @@
 const mysql = require('mysql2/promise');
 const logger = require('../utils/logger');
+const storePlacementRegistry = require('./storePlacementRegistry');
 
 class LicenseService {
     constructor() {
@@ -51,6 +52,18 @@ class LicenseService {
         }
     }
 
+    /**
+     * Run a query on the license database
+     * @returns {Promise<Array>} Result rows
+     */
+    async query(sql, parameters = []) {
+        if (!this.connectionPool && !(await this.initialize())) {
+            throw new Error('License service not initialized');
+        }
+        const [rows] = await this.connectionPool.execute(sql, parameters);
+        return rows;
+    }
+
     /**
      * Validate Advanced Report license
      * @param {string} storeId - Store ID from client
@@ -160,10 +173,11 @@ class LicenseService {
 
     /**
      * Get database name for a given storeId and appId combination
-     * Validates that the storeId and appId combination exists in stores table
+     * Validates that the storeId and appId combination exists in stores table, and routes the store's
+     * schema to the MySQL server it is placed on (see storePlacementRegistry)
      * @param {string} storeId - Store ID
      * @param {string} appId - Application ID  
-     * @returns {Promise<string|null>} Returns appId as database name if valid, null if not found
+     * @returns {Promise<string|null>} Schema name of the store (appId unless placed elsewhere), null if not found or being moved
      */
     async getDatabaseByStoreAndApp(storeId, appId) {
         try {
@@ -180,8 +194,8 @@ class LicenseService {
             const [rows] = await this.connectionPool.execute(query, [storeId, appId]);
             
             if (rows.length > 0) {
-                // Return appId as database name directly
-                return appId;
+                const placement = await storePlacementRegistry.resolve(storeId, appId);
+                return placement.schemaName;
             }
             
             return null;
@@ -0,0 +1,273 @@
+const logger = require('../utils/logger');
+const redisClient = require('../utils/redisClient');
+const appConfig = require('../config/default.json');
+
+const orderingConfig = (appConfig.sync && appConfig.sync.ordering) || {};
+
+class OrderedApplyQueue {
+    constructor() {
+        this.scopes = new Map(); // storeId:appId -> ordering state
+        this.lastApplied = new Map(); // storeId:appId -> last applied sequence, for when Redis is not available
+        this.firstSequence = Number.isInteger(orderingConfig.firstSequence) ? orderingConfig.firstSequence : 1;
+        this.maxPending = parseInt(process.env.SYNC_MAX_PENDING_OUT_OF_ORDER) || orderingConfig.maxPending || 5000;
+        this.gapRetryMs = parseInt(process.env.SYNC_GAP_RETRY_MS) || orderingConfig.gapRetryMs || 30000;
+    }
+
+    /**
+     * Apply a record for a scope strictly in sequence order
+     * Records without a sequence number are applied immediately (older clients).
+     * A new scope expects the configured first sequence (or the last one applied, or the one set by reset).
+     * Records ahead of the expected sequence are held and onGap is called with the missing ranges.
+     * Records behind the expected sequence, or resending the one being applied, are replays and are applied
+     * after it (the sync ledger dedupes them).
+     * @param {string} scope - storeId:appId
+     * @param {number} sequence - Per-store monotonically increasing sequence number
+     * @param {Function} apply - async () => result
+     * @param {Object} options - { onGap: ({ expectedSequence, receivedSequence, missingRanges }) => void, socketId }
+     * @returns {Promise<Object>} Result of apply once the record's turn comes
+     */
+    async submit(scope, sequence, apply, { onGap, socketId } = {}) {
+        const seq = Number(sequence);
+        if (sequence === undefined || sequence === null || !Number.isInteger(seq)) {
+            return await apply();
+        }
+
+        const state = await this.getState(scope);
+        if (onGap) {
+            state.onGap = onGap;
+        }
+        if (socketId) {
+            state.socketId = socketId;
+            state.released = false;
+        }
+
+        if (seq < state.nextSequence || seq === state.applyingSequence) {
+            logger.info(`Sequence ${seq} for ${scope} was already received (expected ${state.nextSequence}), applying as replay`);
+            return await this.runExclusive(state, apply);
+        }
+
+        if (state.pending.has(seq)) {
+            // Same sequence resent while still held: the latest copy wins
+            const held = state.pending.get(seq);
+            held.resolve({ success: false, error: `Superseded by a resend of sequence ${seq}` });
+        } else if (seq > state.nextSequence && state.pending.size >= this.maxPending) {
+            return {
+                success: false,
+                error: `Too many out-of-order records held for ${scope} (waiting for sequence ${state.nextSequence})`
+            };
+        }
+
+        const result = new Promise(resolve => {
+            state.pending.set(seq, { apply, resolve });
+        });
+
+        if (seq > state.nextSequence) {
+            const isNewGap = seq > state.highestSeen + 1;
+            state.highestSeen = Math.max(state.highestSeen, seq);
+            if (isNewGap) {
+                this.requestGap(scope, state);
+            }
+        } else {
+            state.highestSeen = Math.max(state.highestSeen, seq);
+        }
+
+        this.drain(scope, state);
+        return await result;
+    }
+
+    /**
+     * Reset the expected sequence for a scope (client reinstalled or renumbered its outbox)
+     * Held records below the new sequence are released as replays
+     */
+    async reset(scope, nextSequence) {
+        const state = await this.getState(scope);
+        state.nextSequence = nextSequence;
+        state.highestSeen = Math.max(nextSequence - 1, ...state.pending.keys());
+        await this.persist(scope, nextSequence - 1);
+
+        for (const [seq, held] of state.pending) {
+            if (seq < nextSequence) {
+                state.pending.delete(seq);
+                this.runExclusive(state, held.apply).then(held.resolve);
+            }
+        }
+        this.drain(scope, state);
+        logger.info(`Sync sequence for ${scope} reset to ${nextSequence}`);
+    }
+
+    /**
+     * Drop the ordering state of the scopes a socket was sending
+     * Held records fail as retryable (the client resends them after reconnecting); a scope whose current
+     * record is still being applied is dropped once it finishes, unless the client is back by then.
+     * @param {string} socketId
+     */
+    release(socketId) {
+        for (const [scope, state] of this.scopes) {
+            if (state.socketId !== socketId) {
+                continue;
+            }
+
+            for (const [seq, held] of state.pending) {
+                held.resolve({ success: false, retryable: true, error: `Client disconnected before sequence ${seq} was applied` });
+            }
+            state.pending.clear();
+            if (state.gapTimer) {
+                clearTimeout(state.gapTimer);
+                state.gapTimer = null;
+            }
+            state.onGap = null;
+            state.released = true;
+            if (!state.draining) {
+                this.scopes.delete(scope);
+            }
+        }
+    }
+
+    // Load (or create) the ordering state; the expected sequence survives restarts via Redis
+    async getState(scope) {
+        if (this.scopes.has(scope)) {
+            return this.scopes.get(scope);
+        }
+
+        let lastApplied = null;
+        try {
+            if (redisClient.isReady) {
+                const stored = await redisClient.get(this.redisKey(scope));
+                lastApplied = stored !== null ? parseInt(stored) : null;
+            }
+        } catch (error) {
+            logger.warn(`Failed to load last applied sequence for ${scope}: ${error.message}`);
+        }
+
+        // Another submit may have created the state while Redis was answering
+        if (this.scopes.has(scope)) {
+            return this.scopes.get(scope);
+        }
+
+        if (!Number.isInteger(lastApplied) && this.lastApplied.has(scope)) {
+            lastApplied = this.lastApplied.get(scope);
+        }
+        const nextSequence = Number.isInteger(lastApplied) ? lastApplied + 1 : this.firstSequence;
+        const state = {
+            nextSequence,
+            highestSeen: nextSequence - 1,
+            pending: new Map(),
+            chain: Promise.resolve(),
+            draining: false,
+            applyingSequence: null,
+            gapTimer: null,
+            onGap: null,
+            socketId: null,
+            released: false
+        };
+        this.scopes.set(scope, state);
+        return state;
+    }
+
+    // Run apply after everything already queued for this scope has finished
+    runExclusive(state, apply) {
+        const run = state.chain.then(() => apply()).catch(error => ({ success: false, error: error.message }));
+        state.chain = run;
+        return run;
+    }
+
+    async drain(scope, state) {
+        if (state.draining) {
+            return;
+        }
+        state.draining = true;
+        try {
+            while (state.pending.has(state.nextSequence)) {
+                const seq = state.nextSequence;
+                const held = state.pending.get(seq);
+                state.pending.delete(seq);
+                state.applyingSequence = seq;
+
+                const result = await this.runExclusive(state, held.apply);
+                state.applyingSequence = null;
+                // Failed records still advance the sequence; the client gets the failure in sync_response
+                state.nextSequence = seq + 1;
+                await this.persist(scope, seq);
+                held.resolve(result);
+            }
+        } finally {
+            state.draining = false;
+        }
+
+        if (state.released && this.scopes.get(scope) === state) {
+            this.scopes.delete(scope);
+            return;
+        }
+
+        if (state.pending.size === 0 && state.gapTimer) {
+            clearTimeout(state.gapTimer);
+            state.gapTimer = null;
+        }
+    }
+
+    // Ask the client for the missing sequence ranges, and ask again while the gap stays open
+    requestGap(scope, state) {
+        const missingRanges = this.getMissingRanges(state);
+        if (missingRanges.length === 0) {
+            return;
+        }
+
+        logger.warn(`Sync gap for ${scope}: expected ${state.nextSequence}, missing ${missingRanges.map(r => `${r.from}-${r.to}`).join(', ')}`);
+        if (state.onGap) {
+            try {
+                state.onGap({
+                    expectedSequence: state.nextSequence,
+                    receivedSequence: state.highestSeen,
+                    missingRanges
+                });
+            } catch (error) {
+                logger.warn(`Failed to emit sync gap for ${scope}: ${error.message}`);
+            }
+        }
+
+        if (state.gapTimer) {
+            clearTimeout(state.gapTimer);
+        }
+        state.gapTimer = setTimeout(() => {
+            state.gapTimer = null;
+            if (state.pending.size > 0) {
+                this.requestGap(scope, state);
+            }
+        }, this.gapRetryMs);
+        state.gapTimer.unref();
+    }
+
+    getMissingRanges(state) {
+        const held = [...state.pending.keys()]
+            .filter(seq => seq >= state.nextSequence)
+            .sort((a, b) => a - b);
+
+        const ranges = [];
+        // The record being applied right now is not missing
+        let expected = state.applyingSequence === state.nextSequence ? state.nextSequence + 1 : state.nextSequence;
+        for (const seq of held) {
+            if (seq > expected) {
+                ranges.push({ from: expected, to: seq - 1 });
+            }
+            expected = seq + 1;
+        }
+        return ranges;
+    }
+
+    async persist(scope, lastApplied) {
+        this.lastApplied.set(scope, lastApplied);
+        try {
+            if (redisClient.isReady) {
+                await redisClient.set(this.redisKey(scope), String(lastApplied));
+            }
+        } catch (error) {
+            logger.warn(`Failed to persist last applied sequence for ${scope}: ${error.message}`);
+        }
+    }
+
+    redisKey(scope) {
+        return `syncseq:${scope}`;
+    }
+}
+
+module.exports = new OrderedApplyQueue();
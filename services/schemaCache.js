@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+const appConfig = require('../config/default.json');
+
+const cacheConfig = appConfig.schemaCache || {};
+const INVALIDATION_CHANNEL = 'schemacache:invalidate';
+
+// In-process cache of MySQL table metadata (existence, actual name casing, columns, types, primary key)
+// Entries expire after ttlMs (missing tables after missingTtlMs) and are invalidated after DDL.
+// With redisInvalidation on, invalidations are published so other server instances drop them too.
+class SchemaCache {
+    constructor() {
+        this.ttlMs = process.env.SCHEMA_CACHE_TTL_MS !== undefined ? Number(process.env.SCHEMA_CACHE_TTL_MS) : (cacheConfig.ttlMs !== undefined ? cacheConfig.ttlMs : 300000);
+        this.missingTtlMs = process.env.SCHEMA_CACHE_MISSING_TTL_MS !== undefined ? Number(process.env.SCHEMA_CACHE_MISSING_TTL_MS) : (cacheConfig.missingTtlMs !== undefined ? cacheConfig.missingTtlMs : 10000);
+        this.redisInvalidation = process.env.SCHEMA_CACHE_REDIS_INVALIDATION
+            ? process.env.SCHEMA_CACHE_REDIS_INVALIDATION === 'true'
+            : cacheConfig.redisInvalidation === true;
+        this.instanceId = crypto.randomUUID(); // lets an instance ignore its own invalidation messages
+        this.entries = new Map(); // database -> Map(lower-cased table -> { loadedAt, table })
+        this.loading = new Map(); // database:table -> Promise of the running load
+        this.subscriber = null;
+        this.stats = { hits: 0, misses: 0, invalidations: 0 };
+    }
+
+    /**
+     * Metadata of a table, loaded from INFORMATION_SCHEMA on a miss
+     * Table names match case-insensitively, like dbManager.tableExists.
+     * @returns {Promise<{exists: boolean, actualName: string|null, comment: string|null, columns: Array<Object>, columnNames: Array<string>, columnTypes: Object, primaryKey: Array<string>}>}
+     */
+    async getTable(database, tableName) {
+        const key = String(tableName).toLowerCase();
+        const tables = this.entries.get(database);
+        const cached = tables && tables.get(key);
+        if (cached) {
+            const ttl = cached.table.exists ? this.ttlMs : this.missingTtlMs;
+            if (Date.now() - cached.loadedAt < ttl) {
+                this.stats.hits++;
+                return cached.table;
+            }
+            tables.delete(key);
+        }
+
+        this.stats.misses++;
+        // Rows arriving together for an uncached table share one lookup
+        const loadKey = `${database}:${key}`;
+        if (this.loading.has(loadKey)) {
+            return await this.loading.get(loadKey);
+        }
+
+        const pending = this.load(database, tableName);
+        this.loading.set(loadKey, pending);
+        try {
+            const table = await pending;
+            // An invalidation during the load removes the pending entry; do not cache a stale result then
+            if (this.loading.get(loadKey) === pending) {
+                if (!this.entries.has(database)) {
+                    this.entries.set(database, new Map());
+                }
+                this.entries.get(database).set(key, { loadedAt: Date.now(), table });
+            }
+            return table;
+        } finally {
+            if (this.loading.get(loadKey) === pending) {
+                this.loading.delete(loadKey);
+            }
+        }
+    }
+
+    async load(database, tableName) {
+        const tableResult = await dbManager.executeQuery(database, `
+            SELECT TABLE_NAME, TABLE_COMMENT
+            FROM INFORMATION_SCHEMA.TABLES
+            WHERE TABLE_SCHEMA = ? AND UPPER(TABLE_NAME) = UPPER(?)
+            LIMIT 1
+        `, [database, tableName]);
+
+        if (tableResult.rows.length === 0) {
+            return { exists: false, actualName: null, comment: null, columns: [], columnNames: [], columnTypes: {}, primaryKey: [] };
+        }
+
+        const actualName = tableResult.rows[0].TABLE_NAME;
+        const columns = await dbManager.getTableSchema(database, actualName);
+        return {
+            exists: true,
+            actualName,
+            comment: tableResult.rows[0].TABLE_COMMENT,
+            columns,
+            columnNames: columns.map(column => column.COLUMN_NAME),
+            columnTypes: columns.reduce((acc, column) => ({ ...acc, [column.COLUMN_NAME]: column.COLUMN_TYPE }), {}),
+            primaryKey: columns.filter(column => column.COLUMN_KEY === 'PRI').map(column => column.COLUMN_NAME)
+        };
+    }
+
+    async tableExists(database, tableName) {
+        return (await this.getTable(database, tableName)).exists;
+    }
+
+    /**
+     * Drop cached metadata after DDL
+     * @param {string} database - Store database
+     * @param {string|null} tableName - Table, or null for every table of the database
+     * @param {Object} options - { broadcast: publish to other instances (default true) }
+     */
+    invalidate(database, tableName = null, { broadcast = true } = {}) {
+        this.stats.invalidations++;
+        const prefix = `${database}:`;
+        if (tableName) {
+            const key = String(tableName).toLowerCase();
+            const tables = this.entries.get(database);
+            if (tables) {
+                tables.delete(key);
+            }
+            this.loading.delete(`${prefix}${key}`);
+        } else {
+            this.entries.delete(database);
+            for (const loadKey of [...this.loading.keys()]) {
+                if (loadKey.startsWith(prefix)) {
+                    this.loading.delete(loadKey);
+                }
+            }
+        }
+
+        if (broadcast && this.redisInvalidation) {
+            this.publish(database, tableName);
+        }
+    }
+
+    publish(database, tableName) {
+        const redisClient = require('../utils/redisClient');
+        if (!redisClient.isOpen) {
+            logger.warn(`Redis not connected, schema cache invalidation for ${database}.${tableName || '*'} not published`);
+            return;
+        }
+        const message = JSON.stringify({ origin: this.instanceId, database, tableName });
+        redisClient.publish(INVALIDATION_CHANNEL, message).catch(error => {
+            logger.warn(`Failed to publish schema cache invalidation: ${error.message}`);
+        });
+    }
+
+    // Listen for invalidations published by other instances (only when redisInvalidation is on)
+    async startInvalidationListener() {
+        if (!this.redisInvalidation || this.subscriber) {
+            return;
+        }
+        const redisClient = require('../utils/redisClient');
+        // A subscribed Redis connection cannot run other commands, so use a dedicated one
+        this.subscriber = redisClient.duplicate();
+        this.subscriber.on('error', error => logger.error(`Schema cache Redis subscriber error: ${error.message}`));
+        try {
+            await this.subscriber.connect();
+            await this.subscriber.subscribe(INVALIDATION_CHANNEL, message => this.handleMessage(message));
+            logger.info(`Schema cache listening for invalidations on ${INVALIDATION_CHANNEL}`);
+        } catch (error) {
+            logger.error(`Failed to subscribe to schema cache invalidations: ${error.message}`);
+        }
+    }
+
+    handleMessage(message) {
+        try {
+            const { origin, database, tableName } = JSON.parse(message);
+            if (origin === this.instanceId || !database) {
+                return;
+            }
+            this.invalidate(database, tableName || null, { broadcast: false });
+            logger.debug(`Schema cache invalidated ${database}.${tableName || '*'} by another instance`);
+        } catch (error) {
+            logger.warn(`Ignoring malformed schema cache invalidation: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        let tables = 0;
+        for (const database of this.entries.values()) {
+            tables += database.size;
+        }
+        return {
+            ...this.stats,
+            databases: this.entries.size,
+            tables,
+            redisInvalidation: this.redisInvalidation
+        };
+    }
+
+    async close() {
+        if (this.subscriber && this.subscriber.isOpen) {
+            await this.subscriber.quit().catch(() => {});
+        }
+        this.subscriber = null;
+    }
+}
+
+module.exports = new SchemaCache();
@@ -0,0 +1,230 @@
+const logger = require('../utils/logger');
+const syncService = require('./syncService');
+const schemaCache = require('./schemaCache');
+
+// Normalize a MySQL column type so the client-derived type and INFORMATION_SCHEMA.COLUMN_TYPE compare equal
+function normalizeMySQLType(type) {
+    const normalized = String(type).toLowerCase().replace(/\s+/g, ' ').trim()
+        .replace(/^boolean$|^bool$/, 'tinyint(1)')
+        .replace(/^integer\b/, 'int');
+    // Display widths are not part of the type (MySQL 8 drops them), except the tinyint(1) boolean convention
+    if (/^(tinyint|smallint|mediumint|int|bigint)\(\d+\)/.test(normalized) && !normalized.startsWith('tinyint(1)')) {
+        return normalized.replace(/\(\d+\)/, '');
+    }
+    return normalized;
+}
+
+// Type the server gave a client column before the shared SQL Server type mapping (utils/sqlServerTypes.js);
+// tables created back then are not reported as drifted for it
+function legacyMySQLType(column) {
+    const length = column.CHARACTER_MAXIMUM_LENGTH;
+    switch (String(column.DATA_TYPE).toLowerCase()) {
+        case 'int':
+        case 'integer':
+            return 'INT';
+        case 'bigint':
+            return 'BIGINT';
+        case 'smallint':
+            return 'SMALLINT';
+        case 'tinyint':
+            return 'TINYINT';
+        case 'decimal':
+        case 'numeric':
+            return `DECIMAL(${column.NUMERIC_PRECISION || 18},${column.NUMERIC_SCALE || 0})`;
+        case 'float':
+            return 'FLOAT';
+        case 'real':
+            return 'DOUBLE';
+        case 'varchar':
+        case 'nvarchar':
+            return `VARCHAR(${length || 255})`;
+        case 'char':
+        case 'nchar':
+            return `CHAR(${length || 1})`;
+        case 'datetime':
+        case 'datetime2':
+            return 'DATETIME';
+        case 'date':
+            return 'DATE';
+        case 'time':
+            return 'TIME';
+        case 'timestamp':
+            return 'TIMESTAMP';
+        case 'bit':
+            return 'BOOLEAN';
+        default:
+            return 'TEXT';
+    }
+}
+
+class SchemaDriftService {
+    /**
+     * Compare the client's table schema with the MySQL table
+     * @param {string} database - Store database
+     * @param {string} tableName - Table name
+     * @param {Object|Array} clientSchema - Schema as sent by table_schema_response ({ columns, primaryKeys } or a column array)
+     * @param {Object} options - { generateAlter: also return reconciling ALTER statements, includeDrops: drop columns the client does not have }
+     * @returns {Promise<Object>} Structured diff, plus statements when generateAlter is set
+     */
+    async verify(database, tableName, clientSchema, { generateAlter = false, includeDrops = false } = {}) {
+        const clientColumns = this.getClientColumns(clientSchema);
+        if (clientColumns.length === 0) {
+            throw new Error(`Schema for ${tableName} has no columns`);
+        }
+
+        const table = await schemaCache.getTable(database, tableName);
+        if (!table.exists) {
+            return {
+                tableName,
+                tableExists: false,
+                inSync: false,
+                missingColumns: clientColumns.map(column => ({ column: column.COLUMN_NAME, expected: this.describeClientColumn(column) })),
+                extraColumns: [],
+                typeMismatches: [],
+                nullabilityMismatches: [],
+                primaryKey: { expected: this.getClientPrimaryKey(clientSchema, clientColumns), actual: [], matches: false },
+                statements: generateAlter ? [] : undefined
+            };
+        }
+
+        const diff = this.compare(tableName, clientSchema, clientColumns, table.columns);
+        if (generateAlter) {
+            diff.statements = this.buildReconcileStatements(tableName, diff, clientColumns, { includeDrops });
+        }
+
+        if (!diff.inSync) {
+            logger.warn(`Schema drift on ${database}.${tableName}: ${diff.missingColumns.length} missing, ${diff.extraColumns.length} extra, ${diff.typeMismatches.length} type, ${diff.nullabilityMismatches.length} nullability, primary key ${diff.primaryKey.matches ? 'ok' : 'differs'}`);
+        }
+        return diff;
+    }
+
+    /**
+     * Column-by-column comparison; column names match case-insensitively like MySQL does
+     */
+    compare(tableName, clientSchema, clientColumns, serverColumns) {
+        const serverByName = new Map(serverColumns.map(column => [column.COLUMN_NAME.toLowerCase(), column]));
+        const clientNames = new Set(clientColumns.map(column => column.COLUMN_NAME.toLowerCase()));
+
+        const missingColumns = [];
+        const typeMismatches = [];
+        const nullabilityMismatches = [];
+
+        for (const clientColumn of clientColumns) {
+            const serverColumn = serverByName.get(clientColumn.COLUMN_NAME.toLowerCase());
+            if (!serverColumn) {
+                missingColumns.push({ column: clientColumn.COLUMN_NAME, expected: this.describeClientColumn(clientColumn) });
+                continue;
+            }
+
+            const expectedType = syncService.convertToMySQLType(clientColumn);
+            const actualType = normalizeMySQLType(serverColumn.COLUMN_TYPE);
+            if (normalizeMySQLType(expectedType) !== actualType && normalizeMySQLType(legacyMySQLType(clientColumn)) !== actualType) {
+                typeMismatches.push({
+                    column: clientColumn.COLUMN_NAME,
+                    clientType: this.describeClientType(clientColumn),
+                    expected: normalizeMySQLType(expectedType),
+                    actual: actualType
+                });
+            }
+
+            // Same rule as table creation: NOT NULL only where a default, identity or primary key backs it
+            const expectedNullable = !syncService.isColumnNotNull(clientColumn);
+            const actualNullable = serverColumn.IS_NULLABLE === 'YES';
+            if (expectedNullable !== actualNullable) {
+                nullabilityMismatches.push({
+                    column: clientColumn.COLUMN_NAME,
+                    expected: expectedNullable ? 'NULL' : 'NOT NULL',
+                    actual: actualNullable ? 'NULL' : 'NOT NULL'
+                });
+            }
+        }
+
+        const extraColumns = serverColumns
+            .filter(column => !clientNames.has(column.COLUMN_NAME.toLowerCase()))
+            .map(column => ({ column: column.COLUMN_NAME, actual: column.COLUMN_TYPE }));
+
+        const expectedKey = this.getClientPrimaryKey(clientSchema, clientColumns);
+        const actualKey = serverColumns.filter(column => column.COLUMN_KEY === 'PRI').map(column => column.COLUMN_NAME);
+        // A client schema without a primary key leaves the server's key (e.g. from the business type indexes) alone
+        const keyMatches = expectedKey.length === 0 || (expectedKey.length === actualKey.length &&
+            expectedKey.every(name => actualKey.some(actual => actual.toLowerCase() === name.toLowerCase())));
+
+        return {
+            tableName,
+            tableExists: true,
+            inSync: missingColumns.length === 0 && extraColumns.length === 0 && typeMismatches.length === 0 &&
+                nullabilityMismatches.length === 0 && keyMatches,
+            missingColumns,
+            extraColumns,
+            typeMismatches,
+            nullabilityMismatches,
+            primaryKey: { expected: expectedKey, actual: actualKey, matches: keyMatches }
+        };
+    }
+
+    /**
+     * ALTER statements that bring the MySQL table in line with the client schema
+     * Extra server columns are only dropped when includeDrops is set.
+     */
+    buildReconcileStatements(tableName, diff, clientColumns, { includeDrops = false } = {}) {
+        const table = `\`${tableName}\``;
+        const byName = new Map(clientColumns.map(column => [column.COLUMN_NAME.toLowerCase(), column]));
+        const statements = [];
+
+        for (const { column } of diff.missingColumns) {
+            statements.push(`ALTER TABLE ${table} ADD COLUMN ${syncService.buildColumnDefinition(byName.get(column.toLowerCase()))}`);
+        }
+
+        const modified = new Set([...diff.typeMismatches, ...diff.nullabilityMismatches].map(mismatch => mismatch.column));
+        for (const column of modified) {
+            statements.push(`ALTER TABLE ${table} MODIFY COLUMN ${syncService.buildColumnDefinition(byName.get(column.toLowerCase()))}`);
+        }
+
+        if (includeDrops) {
+            for (const { column } of diff.extraColumns) {
+                statements.push(`ALTER TABLE ${table} DROP COLUMN \`${column}\``);
+            }
+        }
+
+        if (!diff.primaryKey.matches) {
+            const addKey = `ADD PRIMARY KEY (\`${diff.primaryKey.expected.join('`, `')}\`)`;
+            statements.push(`ALTER TABLE ${table} ${diff.primaryKey.actual.length > 0 ? 'DROP PRIMARY KEY, ' : ''}${addKey}`);
+        }
+
+        return statements;
+    }
+
+    // Schema arrives as { columns, primaryKeys, indexes } or as a plain column array
+    getClientColumns(clientSchema) {
+        const columns = clientSchema && (clientSchema.columns || clientSchema);
+        return Array.isArray(columns) ? columns.filter(column => column && column.COLUMN_NAME) : [];
+    }
+
+    // Primary key from COLUMN_KEY='PRI' (as used by table creation), or from primaryKeys when no column is flagged
+    getClientPrimaryKey(clientSchema, clientColumns) {
+        const flagged = clientColumns.filter(column => column.COLUMN_KEY === 'PRI').map(column => column.COLUMN_NAME);
+        if (flagged.length > 0 || !clientSchema || !Array.isArray(clientSchema.primaryKeys)) {
+            return flagged;
+        }
+        return clientSchema.primaryKeys
+            .map(key => (typeof key === 'string' ? key : key && key.COLUMN_NAME))
+            .filter(Boolean);
+    }
+
+    describeClientType(column) {
+        const length = column.CHARACTER_MAXIMUM_LENGTH;
+        if (length !== null && length !== undefined) {
+            return `${column.DATA_TYPE}(${length === -1 ? 'max' : length})`;
+        }
+        if (column.NUMERIC_PRECISION !== null && column.NUMERIC_PRECISION !== undefined && /decimal|numeric/i.test(column.DATA_TYPE)) {
+            return `${column.DATA_TYPE}(${column.NUMERIC_PRECISION},${column.NUMERIC_SCALE || 0})`;
+        }
+        return column.DATA_TYPE;
+    }
+
+    describeClientColumn(column) {
+        return `${this.describeClientType(column)} ${column.IS_NULLABLE === 'NO' ? 'NOT NULL' : 'NULL'}`;
+    }
+}
+
+module.exports = new SchemaDriftService();
@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+
+const MIGRATIONS_TABLE = '_schema_migrations';
+const MAX_LIST_LIMIT = 500;
+
+class SchemaMigrationLog {
+    constructor() {
+        this.preparedDatabases = new Set();
+    }
+
+    /**
+     * Record one DDL change applied (or attempted) on a store database
+     * Recording never fails the DDL itself; errors are only logged.
+     * @param {string} database - Store database
+     * @param {Object} entry
+     * @param {string} entry.source - sync_ddl_operation, create_table_from_schema, table_schema_response, auto_evolve or provisioning
+     * @param {string} entry.tableName
+     * @param {string} entry.status - applied, failed, skipped or unsupported
+     * @param {string|null} entry.originalSql - T-SQL from the client (the schema JSON for schema-based table creation)
+     * @param {Array<string>} entry.statements - MySQL statements that were run or attempted
+     */
+    async record(database, { source, syncId = null, storeId = null, appId = null, clientId = null, tableName, operation = null, originalSql = null, statements = [], status, error = null, warnings = [] }) {
+        try {
+            await this.ensureTable(database);
+            await dbManager.executeQuery(database, `
+                INSERT INTO \`${MIGRATIONS_TABLE}\`
+                    (source, sync_id, store_id, app_id, client_id, table_name, operation, original_sql, translated_sql, status, error_message, warnings)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                source,
+                syncId !== null && syncId !== undefined ? String(syncId) : null,
+                storeId !== null && storeId !== undefined ? String(storeId) : null,
+                appId || null,
+                clientId || null,
+                tableName || null,
+                operation || null,
+                originalSql || null,
+                statements.length > 0 ? statements.join(';\n') : null,
+                status,
+                error || null,
+                warnings.length > 0 ? JSON.stringify(warnings) : null
+            ]);
+        } catch (recordError) {
+            logger.warn(`Failed to record schema migration for ${database}.${tableName}: ${recordError.message}`);
+        }
+    }
+
+    /**
+     * List schema history for a store database, newest first
+     * @param {string} database - Store database
+     * @param {Object} filters - { tableName, status, limit, offset }
+     * @returns {Promise<{total: number, migrations: Array<Object>}>}
+     */
+    async list(database, { tableName = null, status = null, limit = 100, offset = 0 } = {}) {
+        await this.ensureTable(database);
+
+        const conditions = [];
+        const parameters = [];
+        if (tableName) {
+            conditions.push('table_name = ?');
+            parameters.push(tableName);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            parameters.push(status);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_LIMIT);
+        const skip = Math.max(parseInt(offset) || 0, 0);
+
+        const countResult = await dbManager.executeQuery(database,
+            `SELECT COUNT(*) AS total FROM \`${MIGRATIONS_TABLE}\` ${where}`, parameters);
+        // LIMIT/OFFSET are inlined; they are clamped integers
+        const result = await dbManager.executeQuery(database, `
+            SELECT id, applied_at, source, sync_id, store_id, app_id, client_id, table_name, operation,
+                   original_sql, translated_sql, status, error_message, warnings
+            FROM \`${MIGRATIONS_TABLE}\`
+            ${where}
+            ORDER BY id DESC
+            LIMIT ${pageSize} OFFSET ${skip}
+        `, parameters);
+
+        return {
+            total: countResult.rows[0].total,
+            migrations: result.rows.map(row => ({
+                id: row.id,
+                appliedAt: row.applied_at,
+                source: row.source,
+                syncId: row.sync_id,
+                storeId: row.store_id,
+                appId: row.app_id,
+                clientId: row.client_id,
+                tableName: row.table_name,
+                operation: row.operation,
+                originalSql: row.original_sql,
+                translatedSql: row.translated_sql,
+                status: row.status,
+                error: row.error_message,
+                warnings: row.warnings ? JSON.parse(row.warnings) : []
+            }))
+        };
+    }
+
+    async ensureTable(database) {
+        if (this.preparedDatabases.has(database)) {
+            return;
+        }
+        await dbManager.executeQuery(database, `
+            CREATE TABLE IF NOT EXISTS \`${MIGRATIONS_TABLE}\` (
+                id BIGINT NOT NULL AUTO_INCREMENT,
+                applied_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                source VARCHAR(64) NOT NULL,
+                sync_id VARCHAR(191) NULL,
+                store_id VARCHAR(64) NULL,
+                app_id VARCHAR(191) NULL,
+                client_id VARCHAR(191) NULL,
+                table_name VARCHAR(191) NULL,
+                operation VARCHAR(64) NULL,
+                original_sql LONGTEXT NULL,
+                translated_sql LONGTEXT NULL,
+                status VARCHAR(20) NOT NULL,
+                error_message TEXT NULL,
+                warnings TEXT NULL,
+                PRIMARY KEY (id),
+                KEY idx_table_applied (table_name, applied_at),
+                KEY idx_sync_id (sync_id)
+            )
+        `);
+        this.preparedDatabases.add(database);
+    }
+}
+
+module.exports = new SchemaMigrationLog();
@@ -0,0 +1,393 @@
+const mysql = require('mysql2/promise');
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+const schemaCache = require('./schemaCache');
+const dbConfig = require('../config/database.json');
+const appConfig = require('../config/default.json');
+
+const placementConfig = appConfig.placements || {};
+const PLACEMENTS_TABLE = 'store_placements';
+const DEFAULT_CREDENTIALS = 'default';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Which MySQL server and schema hold each store's data
+// Placements live in the license database (store_placements). A store without a row stays on the
+// default server (config/database.json mysql) in a schema named after its appId. Credentials are never
+// stored there, only a reference resolved from the environment or config/database.json credentials.
+class StorePlacementRegistry {
+    constructor() {
+        this.cacheTtlMs = parseInt(process.env.STORE_PLACEMENT_CACHE_TTL_MS) || placementConfig.cacheTtlMs || 30000;
+        this.copyBatchSize = parseInt(process.env.STORE_MOVE_BATCH_SIZE) || placementConfig.copyBatchSize || 1000;
+        this.cache = new Map(); // storeId:appId -> { loadedAt, placement }
+        this.moving = new Set(); // storeId:appId moves running on this instance
+        this.tableReady = false;
+    }
+
+    /**
+     * Placement of a store, routed in dbManager so queries on its schema reach its server
+     * @returns {Promise<Object>} { storeId, appId, host, port, credentialsRef, schemaName, status, isDefault }
+     * @throws {Error} While the store is being moved, or when its credentials reference is unknown
+     */
+    async resolve(storeId, appId) {
+        const key = `${storeId}:${appId}`;
+        const cached = this.cache.get(key);
+        let placement;
+        if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+            placement = cached.placement;
+        } else {
+            placement = await this.get(storeId, appId);
+            this.cache.set(key, { loadedAt: Date.now(), placement });
+        }
+
+        if (placement.status === 'moving') {
+            throw new Error(`Store ${storeId} is being moved to another MySQL server, try again later`);
+        }
+        dbManager.setPlacement(placement.schemaName, placement.isDefault ? null : this.getServer(placement));
+        return placement;
+    }
+
+    /**
+     * Placement of a store as recorded, without the cache
+     */
+    async get(storeId, appId) {
+        await this.ensureTable();
+        const rows = await this.query(`SELECT * FROM \`${PLACEMENTS_TABLE}\` WHERE store_id = ? AND app_id = ?`, [String(storeId), appId]);
+        return rows.length > 0 ? this.toPlacement(rows[0]) : this.getDefaultPlacement(storeId, appId);
+    }
+
+    async list() {
+        await this.ensureTable();
+        const rows = await this.query(`SELECT * FROM \`${PLACEMENTS_TABLE}\` ORDER BY store_id, app_id`);
+        return rows.map(row => this.toPlacement(row));
+    }
+
+    getDefaultPlacement(storeId, appId) {
+        return {
+            storeId: String(storeId),
+            appId,
+            host: dbManager.config.host,
+            port: dbManager.config.port,
+            credentialsRef: DEFAULT_CREDENTIALS,
+            schemaName: appId,
+            status: 'active',
+            isDefault: true,
+            movingSince: null,
+            moveError: null,
+            updatedAt: null
+        };
+    }
+
+    /**
+     * Start moving a store to another MySQL server (or schema)
+     * The store is marked moving (with moving_since), so this and other instances stop applying its records
+     * (they fail and can be retried or replayed), and the copy runs in the background: after one cache TTL
+     * every table of its schema is copied to the target and the placement is switched. The source schema is
+     * left in place. A failed move puts the store back on its source with move_error set; a move that never
+     * finished (the server stopped during the copy) is cleared with resetMove().
+     * @param {Object} target - { host, port, credentialsRef, schemaName }
+     * @returns {Promise<Object>} { placement (status moving), previous, target }
+     * @throws {Error} If the target is invalid or its schema name belongs to another store
+     */
+    async move(storeId, appId, { host, port = 3306, credentialsRef = DEFAULT_CREDENTIALS, schemaName = null }) {
+        const key = `${storeId}:${appId}`;
+        if (this.moving.has(key)) {
+            throw new Error(`Store ${storeId} is already being moved`);
+        }
+        if (!host) {
+            throw new Error('host is required');
+        }
+
+        const source = await this.get(storeId, appId);
+        if (source.status === 'moving') {
+            throw new Error(`Store ${storeId} is already being moved (since ${source.movingSince})`);
+        }
+        const target = {
+            storeId: String(storeId),
+            appId,
+            host,
+            port: parseInt(port) || 3306,
+            credentialsRef,
+            schemaName: schemaName || source.schemaName,
+            status: 'active'
+        };
+        if (!/^[\w$]{1,64}$/.test(target.schemaName)) {
+            throw new Error(`Invalid schema name ${target.schemaName}`);
+        }
+        if (target.host === source.host && target.port === source.port && target.schemaName === source.schemaName) {
+            throw new Error(`Store ${storeId} is already on ${host}:${target.port} in schema ${target.schemaName}`);
+        }
+        const targetServer = this.getServer(target); // unknown credentials fail before anything changes
+        // Routing is keyed by schema name, so a schema shared with another store would move that store too
+        const owners = await this.getSchemaOwners(target.schemaName, storeId, appId);
+        if (owners.length > 0) {
+            throw new Error(`Schema ${target.schemaName} is also used by ${owners.map(owner => `Store ${owner.storeId} (${owner.appId})`).join(', ')}`);
+        }
+
+        this.moving.add(key);
+        try {
+            await this.save({ ...source, status: 'moving', movingSince: new Date(), moveError: null });
+        } catch (error) {
+            this.moving.delete(key);
+            throw error;
+        }
+        this.cache.delete(key);
+        logger.info(`Moving Store ${storeId} (${appId}) from ${source.host}:${source.port}/${source.schemaName} to ${target.host}:${target.port}/${target.schemaName}`);
+
+        // Not awaited: the caller gets the moving placement now and polls it for the outcome
+        this.runMove(key, source, target, targetServer);
+        return {
+            placement: await this.get(storeId, appId),
+            previous: source,
+            target: { host: target.host, port: target.port, credentialsRef: target.credentialsRef, schemaName: target.schemaName }
+        };
+    }
+
+    // Background part of move(); never rejects, the outcome is recorded in the placement
+    async runMove(key, source, target, targetServer) {
+        try {
+            // Other instances keep their cached placement for up to one TTL
+            await sleep(this.cacheTtlMs);
+
+            const tables = await this.copySchema(source, target, targetServer);
+            await this.save({ ...target, movingSince: null, moveError: null });
+            dbManager.setPlacement(target.schemaName, this.getServer(target));
+            schemaCache.invalidate(source.schemaName);
+            schemaCache.invalidate(target.schemaName);
+            logger.info(`Moved Store ${source.storeId} (${source.appId}) to ${target.host}:${target.port}/${target.schemaName}: ${tables.length} tables, ${tables.reduce((total, table) => total + table.rows, 0)} rows`);
+        } catch (error) {
+            const moveError = `Move to ${target.host}:${target.port}/${target.schemaName} failed: ${error.message}`;
+            logger.error(`${moveError}; Store ${source.storeId} stays on ${source.host}:${source.port}/${source.schemaName}`);
+            try {
+                await this.save({ ...source, status: 'active', movingSince: null, moveError });
+            } catch (restoreError) {
+                logger.error(`Store ${source.storeId} is still marked moving, reset it with POST /api/admin/stores/${source.storeId}/apps/${source.appId}/placement/reset: ${restoreError.message}`);
+            }
+        } finally {
+            this.cache.delete(key);
+            this.moving.delete(key);
+        }
+    }
+
+    /**
+     * Put a store whose move never finished back on its source placement
+     * Only for moves no longer running: one started on this instance cannot be reset while it runs.
+     * @returns {Promise<Object>} The placement, active again
+     * @throws {Error} If the store is not marked moving or this instance is still moving it
+     */
+    async resetMove(storeId, appId) {
+        const key = `${storeId}:${appId}`;
+        if (this.moving.has(key)) {
+            throw new Error(`Store ${storeId} is being moved by this server, wait for the move to finish`);
+        }
+        const placement = await this.get(storeId, appId);
+        if (placement.status !== 'moving') {
+            throw new Error(`Store ${storeId} is not being moved`);
+        }
+        await this.save({ ...placement, status: 'active', movingSince: null, moveError: `Move started ${placement.movingSince} was reset` });
+        this.cache.delete(key);
+        logger.warn(`Reset unfinished move of Store ${storeId} (${appId}), it stays on ${placement.host}:${placement.port}/${placement.schemaName}`);
+        return await this.get(storeId, appId);
+    }
+
+    // Other stores whose schema has this name: placed there, or on the default placement (schema = appId)
+    async getSchemaOwners(schemaName, storeId, appId) {
+        await this.ensureTable();
+        const isSelf = (otherStoreId, otherAppId) => String(otherStoreId) === String(storeId) && otherAppId === appId;
+        const placed = await this.query(`SELECT store_id, app_id, schema_name FROM \`${PLACEMENTS_TABLE}\``);
+        const placedKeys = new Set(placed.map(row => `${row.store_id}:${row.app_id}`));
+        const owners = placed
+            .filter(row => row.schema_name.toLowerCase() === schemaName.toLowerCase() && !isSelf(row.store_id, row.app_id))
+            .map(row => ({ storeId: row.store_id, appId: row.app_id }));
+
+        const stores = await this.query('SELECT StoreId, AdvancedReportAppId FROM stores WHERE AdvancedReportAppId = ?', [schemaName]);
+        for (const row of stores) {
+            if (!isSelf(row.StoreId, row.AdvancedReportAppId) && !placedKeys.has(`${row.StoreId}:${row.AdvancedReportAppId}`)) {
+                owners.push({ storeId: String(row.StoreId), appId: row.AdvancedReportAppId });
+            }
+        }
+        return owners;
+    }
+
+    // Copy every base table (structure and rows) of the source schema to an empty target schema
+    async copySchema(source, target, targetServer) {
+        dbManager.setPlacement(source.schemaName, source.isDefault ? null : this.getServer(source));
+        const sourceConnection = await dbManager.getConnection(source.schemaName);
+        let targetConnection;
+        try {
+            targetConnection = await mysql.createConnection({ ...targetServer, multipleStatements: false });
+            const schema = mysql.escapeId(target.schemaName);
+            await targetConnection.query(`CREATE DATABASE IF NOT EXISTS ${schema}`);
+            await targetConnection.query(`USE ${schema}`);
+
+            const [tableRows] = await sourceConnection.execute(
+                'SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = \'BASE TABLE\' ORDER BY TABLE_NAME',
+                [source.schemaName]);
+            const tableNames = tableRows.map(row => row.TABLE_NAME);
+
+            const [existing] = await targetConnection.execute(
+                'SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ?', [target.schemaName]);
+            const existingNames = new Set(existing.map(row => row.TABLE_NAME.toLowerCase()));
+            const conflicts = tableNames.filter(name => existingNames.has(name.toLowerCase()));
+            if (conflicts.length > 0) {
+                throw new Error(`Target schema ${target.schemaName} already has table(s) ${conflicts.join(', ')}`);
+            }
+
+            const copied = [];
+            await targetConnection.query('SET FOREIGN_KEY_CHECKS = 0');
+            for (const tableName of tableNames) {
+                const rows = await this.copyTable(sourceConnection, targetConnection, source.schemaName, tableName);
+                copied.push({ tableName, rows });
+                logger.info(`Copied ${source.schemaName}.${tableName} to ${target.host}:${target.port}/${target.schemaName}: ${rows} rows`);
+            }
+            return copied;
+        } finally {
+            sourceConnection.release();
+            if (targetConnection) {
+                await targetConnection.end().catch(() => {});
+            }
+        }
+    }
+
+    async copyTable(sourceConnection, targetConnection, sourceSchema, tableName) {
+        const table = mysql.escapeId(tableName);
+        const [[created]] = await sourceConnection.query(`SHOW CREATE TABLE ${mysql.escapeId(sourceSchema)}.${table}`);
+        await targetConnection.query(created['Create Table']);
+
+        // Page on the primary key (each page starts after the last key copied); OFFSET only for tables without one
+        const [keyRows] = await sourceConnection.execute(`
+            SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_KEY = 'PRI'
+            ORDER BY ORDINAL_POSITION
+        `, [sourceSchema, tableName]);
+        const keyColumns = keyRows.map(row => row.COLUMN_NAME);
+        const keyList = keyColumns.map(column => mysql.escapeId(column)).join(', ');
+
+        let total = 0;
+        let lastKey = null;
+        for (let offset = 0; ; offset += this.copyBatchSize) {
+            let sql = `SELECT * FROM ${mysql.escapeId(sourceSchema)}.${table} LIMIT ${this.copyBatchSize} OFFSET ${offset}`;
+            let values = [];
+            if (keyColumns.length > 0) {
+                const after = lastKey ? `WHERE (${keyList}) > (${keyColumns.map(() => '?').join(', ')})` : '';
+                sql = `SELECT * FROM ${mysql.escapeId(sourceSchema)}.${table} ${after} ORDER BY ${keyList} LIMIT ${this.copyBatchSize}`;
+                values = lastKey || [];
+            }
+            // Dates and big numbers as strings, so values are written back exactly as read
+            const [rows, fields] = await sourceConnection.query({
+                sql,
+                values,
+                dateStrings: true,
+                supportBigNumbers: true,
+                bigNumberStrings: true
+            });
+            if (rows.length === 0) {
+                break;
+            }
+            const columns = fields.map(field => field.name);
+            await targetConnection.query(`INSERT INTO ${table} (${columns.map(column => mysql.escapeId(column)).join(', ')}) VALUES ?`,
+                [rows.map(row => columns.map(column => row[column]))]);
+            total += rows.length;
+            lastKey = keyColumns.map(column => rows[rows.length - 1][column]);
+            if (rows.length < this.copyBatchSize) {
+                break;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Connection settings for a placement's server
+     * @throws {Error} If the credentials reference is not configured
+     */
+    getServer(placement) {
+        return { host: placement.host, port: placement.port, ...this.getCredentials(placement.credentialsRef) };
+    }
+
+    // MYSQL_CREDENTIALS_<REF>_USER / _PASSWORD, else config/database.json credentials.<ref>
+    getCredentials(ref) {
+        if (ref === DEFAULT_CREDENTIALS) {
+            return { user: dbManager.config.user, password: dbManager.config.password };
+        }
+        const envPrefix = `MYSQL_CREDENTIALS_${String(ref).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+        if (process.env[`${envPrefix}_USER`]) {
+            return { user: process.env[`${envPrefix}_USER`], password: process.env[`${envPrefix}_PASSWORD`] || '' };
+        }
+        const configured = (dbConfig.credentials || {})[ref];
+        if (!configured) {
+            throw new Error(`Unknown credentials reference ${ref}`);
+        }
+        return { user: configured.user, password: configured.password };
+    }
+
+    async save(placement) {
+        await this.ensureTable();
+        await this.query(`
+            INSERT INTO \`${PLACEMENTS_TABLE}\` (store_id, app_id, host, port, credentials_ref, schema_name, status, moving_since, move_error)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                host = VALUES(host),
+                port = VALUES(port),
+                credentials_ref = VALUES(credentials_ref),
+                schema_name = VALUES(schema_name),
+                status = VALUES(status),
+                moving_since = VALUES(moving_since),
+                move_error = VALUES(move_error)
+        `, [String(placement.storeId), placement.appId, placement.host, placement.port, placement.credentialsRef, placement.schemaName, placement.status,
+            placement.movingSince || null, placement.moveError || null]);
+    }
+
+    toPlacement(row) {
+        return {
+            storeId: row.store_id,
+            appId: row.app_id,
+            host: row.host,
+            port: row.port,
+            credentialsRef: row.credentials_ref,
+            schemaName: row.schema_name,
+            status: row.status,
+            isDefault: false,
+            movingSince: row.moving_since,
+            moveError: row.move_error,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Queries go to the license database; required here because licenseService itself uses this registry
+    async query(sql, parameters = []) {
+        const licenseService = require('./licenseService');
+        return await licenseService.query(sql, parameters);
+    }
+
+    async ensureTable() {
+        if (this.tableReady) {
+            return;
+        }
+        await this.query(`
+            CREATE TABLE IF NOT EXISTS \`${PLACEMENTS_TABLE}\` (
+                store_id VARCHAR(64) NOT NULL,
+                app_id VARCHAR(191) NOT NULL,
+                host VARCHAR(255) NOT NULL,
+                port INT NOT NULL DEFAULT 3306,
+                credentials_ref VARCHAR(64) NOT NULL DEFAULT 'default',
+                schema_name VARCHAR(64) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                moving_since DATETIME(3) NULL,
+                move_error TEXT NULL,
+                updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+                PRIMARY KEY (store_id, app_id)
+            )
+        `);
+        // Tables created before moves were tracked
+        const columns = await this.query(`
+            SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = 'moving_since'
+        `, [PLACEMENTS_TABLE]);
+        if (columns.length === 0) {
+            await this.query(`ALTER TABLE \`${PLACEMENTS_TABLE}\` ADD COLUMN moving_since DATETIME(3) NULL AFTER status, ADD COLUMN move_error TEXT NULL AFTER moving_since`);
+        }
+        this.tableReady = true;
+    }
+}
+
+module.exports = new StorePlacementRegistry();
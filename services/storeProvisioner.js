@@ -0,0 +1,259 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+const licenseService = require('./licenseService');
+const syncService = require('./syncService');
+const schemaCache = require('./schemaCache');
+const schemaMigrationLog = require('./schemaMigrationLog');
+const schemaDriftService = require('./schemaDriftService');
+const syncLedger = require('./syncLedger');
+const deadLetterStore = require('./deadLetterStore');
+const baselineTables = require('../config/baselineTables.json');
+const appConfig = require('../config/default.json');
+
+const provisioningConfig = appConfig.provisioning || {};
+const PROVISIONING_TABLE = 'store_provisioning';
+const BUSINESS_TYPES = ['retail', 'hospitality'];
+// Table comment of baseline tables not yet completed from the client's schema
+const BASELINE_COMMENT = 'syncdb:baseline';
+
+// Creates a store's report database and its baseline tables
+// Runs on the first successful identify of a licensed store (provisioning.onIdentify) or from the admin API.
+// Provisioning is idempotent: the database and tables that already exist are left alone.
+// State is kept per store in the license database (store_provisioning).
+class StoreProvisioner {
+    constructor() {
+        this.onIdentify = process.env.PROVISION_ON_IDENTIFY
+            ? process.env.PROVISION_ON_IDENTIFY === 'true'
+            : provisioningConfig.onIdentify !== false;
+        this.charset = process.env.PROVISION_CHARSET || provisioningConfig.charset || 'utf8mb4';
+        this.collation = process.env.PROVISION_COLLATION || provisioningConfig.collation || 'utf8mb4_unicode_ci';
+        this.defaultBusinessType = process.env.PROVISION_DEFAULT_BUSINESS_TYPE || provisioningConfig.defaultBusinessType || null;
+        this.provisioned = new Set(); // storeId:appId provisioned since start
+        this.inFlight = new Map(); // storeId:appId -> Promise of the running provisioning
+        this.tableReady = false;
+    }
+
+    isValidBusinessType(businessType) {
+        return BUSINESS_TYPES.includes(businessType);
+    }
+
+    /**
+     * Provision a store unless it already is (called on identify)
+     * A store provisioned without a business type is provisioned again once one is known.
+     * @returns {Promise<Object|null>} Provisioning state, null when provisioning on identify is off
+     */
+    async ensureProvisioned(storeId, appId, { businessType = null } = {}) {
+        const key = `${storeId}:${appId}`;
+        if (!this.onIdentify || this.provisioned.has(key)) {
+            return null;
+        }
+
+        const state = await this.getState(storeId, appId);
+        if (state && state.status === 'provisioned' && (state.businessType || !this.isValidBusinessType(businessType))) {
+            this.provisioned.add(key);
+            return state;
+        }
+        return await this.provision(storeId, appId, { businessType });
+    }
+
+    /**
+     * Create the store's database (if missing) and the baseline tables of its business type
+     * Concurrent calls for the same store share one run.
+     * @param {Object} options - { businessType: retail or hospitality; defaults to the recorded or configured one }
+     * @returns {Promise<Object>} Provisioning state
+     * @throws {Error} If the store is not licensed, the business type is invalid or a statement fails
+     */
+    async provision(storeId, appId, { businessType = null } = {}) {
+        const key = `${storeId}:${appId}`;
+        if (this.inFlight.has(key)) {
+            return await this.inFlight.get(key);
+        }
+
+        const pending = this.run(storeId, appId, businessType);
+        this.inFlight.set(key, pending);
+        try {
+            const state = await pending;
+            this.provisioned.add(key);
+            return state;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    async run(storeId, appId, requestedType) {
+        if (requestedType && !this.isValidBusinessType(requestedType)) {
+            throw new Error(`Invalid business type ${requestedType}, expected ${BUSINESS_TYPES.join(' or ')}`);
+        }
+
+        const database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
+        if (!database) {
+            throw new Error(`No database configuration found for Store ${storeId}, App ${appId}`);
+        }
+
+        const previous = await this.getState(storeId, appId);
+        const businessType = requestedType || (previous && previous.businessType) || this.defaultBusinessType;
+        const state = { storeId: String(storeId), appId, schemaName: database, businessType, charset: this.charset, collation: this.collation };
+        await this.saveState({ ...state, status: 'provisioning', tables: [], error: null });
+
+        try {
+            const existing = await dbManager.getDatabaseInfo(database);
+            if (existing) {
+                if (existing.charset !== this.charset || existing.collation !== this.collation) {
+                    logger.warn(`Database ${database} exists with ${existing.charset}/${existing.collation}, not ${this.charset}/${this.collation}; left unchanged`);
+                }
+                state.charset = existing.charset;
+                state.collation = existing.collation;
+            } else {
+                await dbManager.createDatabase(database, { charset: this.charset, collation: this.collation });
+                logger.info(`Created database ${database} (${this.charset}/${this.collation}) for Store ${storeId}`);
+            }
+            schemaCache.invalidate(database);
+
+            // Bookkeeping tables the sync path would otherwise create on first use
+            await schemaMigrationLog.ensureTable(database);
+            await deadLetterStore.ensureTable(database);
+            if (syncLedger.backend === 'mysql') {
+                await syncLedger.ensureLedgerTable(database);
+            }
+
+            const tables = businessType ? await this.createBaselineTables(storeId, appId, database, businessType) : [];
+            if (!businessType) {
+                logger.warn(`No business type for Store ${storeId}; database created without baseline tables`);
+            }
+
+            const provisioned = { ...state, status: 'provisioned', tables, error: null };
+            await this.saveState(provisioned);
+            logger.info(`Provisioned Store ${storeId} (${appId}) in ${database}${businessType ? ` as ${businessType}` : ''}`);
+            return await this.getState(storeId, appId);
+        } catch (error) {
+            await this.saveState({ ...state, status: 'failed', tables: [], error: error.message }).catch(saveError => {
+                logger.error(`Failed to record provisioning failure for Store ${storeId}: ${saveError.message}`);
+            });
+            logger.error(`Provisioning failed for Store ${storeId} (${appId}): ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Baseline tables of the business type that do not exist yet, recorded in the schema history
+    async createBaselineTables(storeId, appId, database, businessType) {
+        const tables = [];
+        for (const [tableName, schema] of Object.entries(baselineTables[businessType] || {})) {
+            if (await schemaCache.tableExists(database, tableName)) {
+                tables.push({ tableName, status: 'exists' });
+                continue;
+            }
+
+            const migration = { source: 'provisioning', storeId, appId, tableName, operation: 'CREATE_TABLE', originalSql: JSON.stringify(schema) };
+            try {
+                const result = await syncService.createTableWithSchema(database, tableName, schema, businessType, { comment: BASELINE_COMMENT });
+                await schemaMigrationLog.record(database, { ...migration, statements: result.statements, status: 'applied', warnings: result.warnings });
+            } catch (error) {
+                await schemaMigrationLog.record(database, { ...migration, statements: error.statements || [], status: 'failed', error: error.message });
+                throw error;
+            }
+            tables.push({ tableName, status: 'created' });
+        }
+        return tables;
+    }
+
+    // True for a baseline table still waiting for the client's schema
+    async isBaselineTable(database, tableName) {
+        const table = await schemaCache.getTable(database, tableName);
+        return table.exists && table.comment === BASELINE_COMMENT;
+    }
+
+    /**
+     * Complete a baseline table from the client's schema: add its other columns, align types and the
+     * primary key, drop baseline columns the client does not have, and clear the baseline mark
+     * @returns {Promise<{statements: Array<string>, warnings: Array<string>}>} Executed statements and lossy type mappings
+     */
+    async completeBaselineTable(database, tableName, schema) {
+        const statements = [];
+        try {
+            const diff = await schemaDriftService.verify(database, tableName, schema, { generateAlter: true, includeDrops: true });
+            const table = await schemaCache.getTable(database, tableName);
+            for (const statement of [...diff.statements, `ALTER TABLE \`${table.actualName}\` COMMENT = ''`]) {
+                statements.push(statement);
+                await dbManager.executeQuery(database, statement);
+            }
+            logger.info(`Completed baseline table ${database}.${tableName} from client schema (${statements.length - 1} changes)`);
+            return { statements, warnings: syncService.getTypeWarnings(schemaDriftService.getClientColumns(schema)) };
+        } catch (error) {
+            error.statements = statements;
+            throw error;
+        } finally {
+            schemaCache.invalidate(database, tableName);
+        }
+    }
+
+    /**
+     * Recorded provisioning state of a store, or null if it was never provisioned
+     */
+    async getState(storeId, appId) {
+        await this.ensureTable();
+        const rows = await licenseService.query(`SELECT * FROM \`${PROVISIONING_TABLE}\` WHERE store_id = ? AND app_id = ?`, [String(storeId), appId]);
+        if (rows.length === 0) {
+            return null;
+        }
+        const row = rows[0];
+        return {
+            storeId: row.store_id,
+            appId: row.app_id,
+            schemaName: row.schema_name,
+            businessType: row.business_type,
+            status: row.status,
+            charset: row.charset_name,
+            collation: row.collation_name,
+            tables: row.tables_json ? JSON.parse(row.tables_json) : [],
+            error: row.error_message,
+            attempts: row.attempts,
+            provisionedAt: row.provisioned_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async saveState({ storeId, appId, schemaName, businessType, status, charset, collation, tables, error }) {
+        await this.ensureTable();
+        await licenseService.query(`
+            INSERT INTO \`${PROVISIONING_TABLE}\`
+                (store_id, app_id, schema_name, business_type, status, charset_name, collation_name, tables_json, error_message, attempts, provisioned_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ${status === 'provisioned' ? 'CURRENT_TIMESTAMP(3)' : 'NULL'})
+            ON DUPLICATE KEY UPDATE
+                schema_name = VALUES(schema_name),
+                business_type = VALUES(business_type),
+                status = VALUES(status),
+                charset_name = VALUES(charset_name),
+                collation_name = VALUES(collation_name),
+                tables_json = VALUES(tables_json),
+                error_message = VALUES(error_message),
+                attempts = attempts + ${status === 'provisioning' ? 1 : 0},
+                provisioned_at = ${status === 'provisioned' ? 'CURRENT_TIMESTAMP(3)' : 'provisioned_at'}
+        `, [String(storeId), appId, schemaName, businessType || null, status, charset, collation, JSON.stringify(tables || []), error || null]);
+    }
+
+    async ensureTable() {
+        if (this.tableReady) {
+            return;
+        }
+        await licenseService.query(`
+            CREATE TABLE IF NOT EXISTS \`${PROVISIONING_TABLE}\` (
+                store_id VARCHAR(64) NOT NULL,
+                app_id VARCHAR(191) NOT NULL,
+                schema_name VARCHAR(64) NOT NULL,
+                business_type VARCHAR(20) NULL,
+                status VARCHAR(20) NOT NULL,
+                charset_name VARCHAR(64) NULL,
+                collation_name VARCHAR(64) NULL,
+                tables_json TEXT NULL,
+                error_message TEXT NULL,
+                attempts INT NOT NULL DEFAULT 1,
+                provisioned_at DATETIME(3) NULL,
+                updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+                PRIMARY KEY (store_id, app_id)
+            )
+        `);
+        this.tableReady = true;
+    }
+}
+
+module.exports = new StoreProvisioner();
@@ -0,0 +1,183 @@
+const logger = require('../utils/logger');
+const dbManager = require('../utils/database');
+const redisClient = require('../utils/redisClient');
+const appConfig = require('../config/default.json');
+
+const ledgerConfig = (appConfig.sync && appConfig.sync.ledger) || {};
+const LEDGER_TABLE = '_sync_ledger';
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// The MySQL ledger could not be read, so a record cannot be checked for a previous apply; it fails and can be resent
+function ledgerUnavailable(scope, syncId, reason) {
+    const error = new Error(`Sync ledger unavailable, syncId ${syncId} not applied: ${reason}`);
+    error.code = 'SYNC_LEDGER_UNAVAILABLE';
+    error.retryable = true;
+    return error;
+}
+
+class SyncLedger {
+    constructor() {
+        this.backend = process.env.SYNC_LEDGER_BACKEND || ledgerConfig.backend || 'redis';
+        this.retentionHours = parseInt(process.env.SYNC_LEDGER_RETENTION_HOURS) || ledgerConfig.retentionHours || 72;
+        this.inFlight = new Map(); // scope:syncId -> Promise of the first apply
+        this.preparedDatabases = new Set();
+        this.lastPurge = new Map();
+    }
+
+    /**
+     * Apply a sync record at most once per scope
+     * A syncId already in the ledger returns the stored result with duplicate=true; a concurrent
+     * resend of a syncId still being applied waits for and shares the first attempt's result.
+     * Only successful results are recorded, so failed records can be retried by the client.
+     * @param {Object} options - { database, scope, syncId }
+     * @throws {Error} SYNC_LEDGER_UNAVAILABLE (retryable) if the MySQL ledger cannot be read; nothing is applied
+     * @param {Function} apply - async () => { success, ... }
+     * @returns {Promise<Object>} Apply result
+     */
+    async execute({ database, scope, syncId }, apply) {
+        if (!syncId) {
+            return await apply();
+        }
+
+        const key = `${scope}:${syncId}`;
+        if (this.inFlight.has(key)) {
+            const result = await this.inFlight.get(key);
+            return { ...result, duplicate: true };
+        }
+
+        const stored = await this.lookup(database, scope, syncId);
+        if (stored) {
+            logger.info(`Duplicate syncId ${syncId} for ${scope}, returning recorded result`);
+            return { ...stored, duplicate: true };
+        }
+
+        const pending = apply();
+        this.inFlight.set(key, pending);
+        try {
+            const result = await pending;
+            if (result && result.success) {
+                await this.record(database, scope, syncId, result);
+            }
+            return result;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Get the recorded result for a syncId, or null if it was never applied (or has expired)
+     * Without Redis the record is applied unchecked, as before the ledger existed (record() skips it too)
+     * @throws {Error} SYNC_LEDGER_UNAVAILABLE when the MySQL ledger lookup fails
+     */
+    async lookup(database, scope, syncId) {
+        if (this.backend === 'mysql') {
+            try {
+                await this.ensureLedgerTable(database);
+                const result = await dbManager.executeQuery(database, `
+                    SELECT result FROM \`${LEDGER_TABLE}\`
+                    WHERE scope_key = ? AND sync_id = ? AND applied_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+                `, [scope, String(syncId), this.retentionHours]);
+                return result.rows.length > 0 ? JSON.parse(result.rows[0].result) : null;
+            } catch (error) {
+                logger.warn(`Sync ledger lookup failed for ${scope}:${syncId}: ${error.message}`);
+                throw ledgerUnavailable(scope, syncId, error.message);
+            }
+        }
+
+        try {
+            if (!redisClient.isReady) {
+                logger.warn(`Redis not connected, applying syncId ${syncId} for ${scope} without a duplicate check`);
+                return null;
+            }
+            const value = await redisClient.get(this.redisKey(scope, syncId));
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            logger.warn(`Sync ledger lookup failed for ${scope}:${syncId}, applying without a duplicate check: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record a successfully applied syncId; the first recorded result wins
+     */
+    async record(database, scope, syncId, result) {
+        const payload = JSON.stringify({ ...result, appliedAt: new Date().toISOString() });
+        try {
+            if (this.backend === 'mysql') {
+                await this.ensureLedgerTable(database);
+                await dbManager.executeQuery(database, `
+                    INSERT IGNORE INTO \`${LEDGER_TABLE}\` (scope_key, sync_id, result)
+                    VALUES (?, ?, ?)
+                `, [scope, String(syncId), payload], { idempotent: true });
+                await this.purgeExpired(database);
+                return;
+            }
+
+            if (!redisClient.isReady) {
+                return;
+            }
+            await redisClient.set(this.redisKey(scope, syncId), payload, {
+                EX: this.retentionHours * 3600,
+                NX: true
+            });
+        } catch (error) {
+            logger.warn(`Failed to record syncId ${scope}:${syncId} in sync ledger: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record an applied syncId on the connection of the transaction that applied it (mysql backend only),
+     * so the ledger row commits or rolls back with the change. Errors are thrown: the transaction must
+     * not commit a change the ledger does not know about. The ledger table exists, lookup() created it.
+     * @returns {Promise<boolean>} false for the Redis backend; record() the syncId after the commit instead
+     */
+    async recordInTransaction(connection, scope, syncId, result) {
+        if (this.backend !== 'mysql') {
+            return false;
+        }
+        await connection.execute(`
+            INSERT IGNORE INTO \`${LEDGER_TABLE}\` (scope_key, sync_id, result)
+            VALUES (?, ?, ?)
+        `, [scope, String(syncId), JSON.stringify({ ...result, appliedAt: new Date().toISOString() })]);
+        return true;
+    }
+
+    redisKey(scope, syncId) {
+        return `syncledger:${scope}:${syncId}`;
+    }
+
+    async ensureLedgerTable(database) {
+        if (this.preparedDatabases.has(database)) {
+            return;
+        }
+        await dbManager.executeQuery(database, `
+            CREATE TABLE IF NOT EXISTS \`${LEDGER_TABLE}\` (
+                scope_key VARCHAR(191) NOT NULL,
+                sync_id VARCHAR(191) NOT NULL,
+                result LONGTEXT NULL,
+                applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (scope_key, sync_id),
+                KEY idx_applied_at (applied_at)
+            )
+        `);
+        this.preparedDatabases.add(database);
+    }
+
+    // Delete expired ledger rows, at most once an hour per database
+    async purgeExpired(database) {
+        const lastPurge = this.lastPurge.get(database) || 0;
+        if (Date.now() - lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge.set(database, Date.now());
+
+        const result = await dbManager.executeQuery(database, `
+            DELETE FROM \`${LEDGER_TABLE}\` WHERE applied_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+        `, [this.retentionHours], { idempotent: true });
+        if (result.affectedRows > 0) {
+            logger.info(`Purged ${result.affectedRows} expired sync ledger rows from ${database}`);
+        }
+    }
+}
+
+module.exports = new SyncLedger();
@@ -3,11 +3,32 @@ const dbManager = require('../utils/database');
 const Joi = require('joi');
 const fs = require('fs').promises;
 const path = require('path');
+const tableKeyRegistry = require('./tableKeyRegistry');
+const syncLedger = require('./syncLedger');
+const deadLetterStore = require('./deadLetterStore');
+const schemaCache = require('./schemaCache');
+const indexReconciler = require('./indexReconciler');
+const importReportStore = require('./importReportStore');
+const { mapSqlServerType } = require('../utils/sqlServerTypes');
+const { sniffCSV, createCSVReadStream } = require('../utils/csvStream');
+const { resolveConversion, buildSetExpression } = require('../utils/csvConversions');
+const CSVImportReport = require('../utils/csvImportReport');
+const { pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const appConfig = require('../config/default.json');
+
+// MySQL allows at most 65535 placeholders in one prepared statement
+const MAX_STATEMENT_PLACEHOLDERS = 65535;
+// Warnings kept per bulk write; warningCount still counts them all
+const MAX_REPORTED_WARNINGS = 20;
+const CSV_FIELD_TOKEN = '__csv_field__'; // stands for the CSV field in conversion expressions of INSERT imports
+
+const csvImportConfig = appConfig.csvImport || {};
 
 // Validation schema for sync data
 const syncDataSchema = Joi.object({
     MachineName: Joi.string().required(),
-    TableName: Joi.string().valid('SalesDetail', 'StockItems', 'MenuItem', 'SubMenuLinkDetail', 'Sales', 'PaymentReceived', 'Payment', 'WorkStationId', 'StockRelatedVendor', 'Vendor').required(),
+    TableName: Joi.string().valid(...tableKeyRegistry.getTableNames()).required(),
     Operation: Joi.string().valid('INSERT', 'UPDATE', 'DELETE', 'SCHEMA_CHANGE').required(),
     Data: Joi.object().required(),
     Timestamp: Joi.date().required(),
@@ -17,41 +38,16 @@ const syncDataSchema = Joi.object({
 
 class SyncService {
     constructor() {
-        this.processingQueue = new Map();
         this.csvUploadQueue = new Map(); // Track CSV uploads per machine/table
     }
 
-    // Get WHERE fields for a specific table
-    getWhereFields(tableName, databaseType = null) {
-        // Table-specific WHERE fields mapping
-        const tableWhereFields = {
-            'SalesDetail': ['InvoiceNo', 'StockId'],
-            'StockItems': ['StockId'],
-            'Sales': ['InvoiceNo', 'TransactionDate'],
-            'MenuItem': ['ItemCode'],
-            'SubMenuLinkDetail': ['ItemCode', 'SubItemCode'],
-            'Payment': ['Payment'],
-            'WorkStationId': ['WorkStationId'],
-            'Vendor': ['VendorId'],
-            'StockRelatedVendor': ['StockId', 'VendorId']
-        };
-        
-        // PaymentReceived has different keys for retail vs hospitality
-        if (tableName === 'PaymentReceived') {
-            if (databaseType === 'hospitality') {
-                return ['OrderNo', 'Id'];
-            } else {
-                // Default to retail
-                return ['InvoiceNo', 'Id'];
-            }
-        }
-        
-        return tableWhereFields[tableName] || ['ID'];
+    // Get WHERE fields for a specific table from the table key registry (legacy MachineName keys)
+    getWhereFields(tableName, databaseType = null, data = null) {
+        return tableKeyRegistry.getWhereFields(tableName, databaseType, data, { legacy: true }) || ['ID'];
     }
 
     // Build WHERE condition based on table configuration
     buildWhereCondition(tableName, data, isOldData = false, databaseType = null) {
-        const whereFields = this.getWhereFields(tableName, databaseType);
         const whereCondition = {};
         
         // Extract data source (for UPDATE operations with new/old data)
@@ -65,6 +61,8 @@ class SyncService {
             sourceData = data.new.inserted || data.new;
         }
         
+        const whereFields = this.getWhereFields(tableName, databaseType, sourceData);
+        
         // Build WHERE condition using configured fields
         for (const field of whereFields) {
             if (sourceData[field] !== undefined && sourceData[field] !== null) {
@@ -95,25 +93,20 @@ class SyncService {
     }
 
     // Process sync data from client
-    async processSyncData(syncData) {
+    // Failed records are kept in the machine's dead-letter table unless deadLetter is false (admin replays)
+    async processSyncData(syncData, { deadLetter = true } = {}) {
+        let database = null;
         try {
             // Validate input data
             const validatedData = this.validateSyncData(syncData);
             const { MachineName, TableName, Operation, Data, SyncId, DatabaseType } = validatedData;
 
 
-            // Check if already processing this sync ID
-            if (this.processingQueue.has(SyncId)) {
-                return { success: false, error: 'Sync already in progress' };
-            }
-
-            // Add to processing queue
-            this.processingQueue.set(SyncId, true);
+            // Get database configuration for this machine
+            database = dbManager.getDatabaseByMachine(MachineName);
 
-            try {
-                // Get database configuration for this machine
-                const database = dbManager.getDatabaseByMachine(MachineName);
-                
+            // Apply each SyncId at most once; resends return the recorded result
+            return await syncLedger.execute({ database, scope: MachineName, syncId: SyncId }, async () => {
                 // Process based on operation type
                 let result;
                 switch (Operation) {
@@ -137,10 +130,7 @@ class SyncService {
 
                 logger.info(`Sync completed successfully: ${SyncId}`);
                 return { success: true, result };
-
-            } finally {
-                this.processingQueue.delete(SyncId);
-            }
+            });
 
         } catch (error) {
             // Re-throw TABLE_NOT_EXISTS errors so app.js can handle them
@@ -149,7 +139,18 @@ class SyncService {
             }
             
             logger.error(`Sync processing failed: ${error.message}`, error);
-            return { success: false, error: error.message };
+            if (database && deadLetter && deadLetterStore.shouldRecord(error)) {
+                await deadLetterStore.record(database, {
+                    source: 'legacy',
+                    scope: syncData.MachineName,
+                    syncId: syncData.SyncId,
+                    tableName: syncData.TableName,
+                    operation: syncData.Operation,
+                    payload: syncData,
+                    error: error.message
+                });
+            }
+            return { success: false, error: error.message, ...(error.retryable ? { retryable: true } : {}) };
         }
     }
 
@@ -157,7 +158,7 @@ class SyncService {
     async handleInsert(database, TableName, Data, isFullSync = false) {
         try {
             // Check if table exists
-            const tableExists = await dbManager.tableExists(database, TableName);
+            const tableExists = await schemaCache.tableExists(database, TableName);
             if (!tableExists) {
                 throw new Error(`TABLE_NOT_EXISTS:${TableName}`);
             }
@@ -207,18 +208,155 @@ class SyncService {
         }
     }
 
+    // Write many rows with multi-row INSERT statements instead of one statement per row
+    // mode 'ignore' (full sync) uses INSERT IGNORE and skips rows whose key already exists,
+    // mode 'upsert' uses INSERT ... ON DUPLICATE KEY UPDATE
+    // Values MySQL had to change (truncated, out of range, bad dates) are returned as warnings
+    // ({ row, code, message }, row counted from 1 in rows); duplicate keys are not warnings here
+    async bulkInsert(database, TableName, rows, { mode = 'ignore', batchSize = 1000 } = {}) {
+        const counts = { insertCount: 0, updateCount: 0, skipCount: 0, errorCount: 0, warningCount: 0, warnings: [] };
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return counts;
+        }
+
+        // Check if table exists (once per batch, not per row)
+        const tableExists = await schemaCache.tableExists(database, TableName);
+        if (!tableExists) {
+            throw new Error(`TABLE_NOT_EXISTS:${TableName}`);
+        }
+
+        // rowNumbers: position in rows of each chunk row, to number the chunk's warnings
+        const addCounts = (chunkCounts, rowNumbers) => {
+            counts.insertCount += chunkCounts.insertCount;
+            counts.updateCount += chunkCounts.updateCount;
+            counts.skipCount += chunkCounts.skipCount;
+            counts.warningCount += chunkCounts.warnings.length;
+            for (const warning of chunkCounts.warnings) {
+                if (counts.warnings.length < MAX_REPORTED_WARNINGS) {
+                    counts.warnings.push({ ...warning, row: rowNumbers[warning.row - 1] || null });
+                }
+            }
+        };
+
+        // Rows with the same column set share one statement
+        const groups = new Map();
+        for (const [index, row] of rows.entries()) {
+            const columns = Object.keys(row);
+            const groupKey = columns.join('\u0001');
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { columns, rows: [], rowNumbers: [] });
+            }
+            groups.get(groupKey).rows.push(row);
+            groups.get(groupKey).rowNumbers.push(index + 1);
+        }
+
+        for (const { columns, rows: groupRows, rowNumbers } of groups.values()) {
+            if (columns.length === 0) {
+                counts.errorCount += groupRows.length;
+                continue;
+            }
+
+            // Stay under MySQL's prepared statement placeholder limit
+            const chunkSize = Math.max(1, Math.min(batchSize, Math.floor(MAX_STATEMENT_PLACEHOLDERS / columns.length)));
+            for (let i = 0; i < groupRows.length; i += chunkSize) {
+                const chunk = groupRows.slice(i, i + chunkSize);
+                const chunkRowNumbers = rowNumbers.slice(i, i + chunkSize);
+                try {
+                    addCounts(await this.writeRowChunk(database, TableName, columns, chunk, mode), chunkRowNumbers);
+                } catch (error) {
+                    // One bad row fails the whole statement; retry row by row to isolate it
+                    logger.warn(`Bulk ${mode} of ${chunk.length} rows into ${TableName} failed (${error.message}), retrying row by row`);
+                    for (const [index, row] of chunk.entries()) {
+                        try {
+                            addCounts(await this.writeRowChunk(database, TableName, columns, [row], mode), [chunkRowNumbers[index]]);
+                        } catch (rowError) {
+                            logger.error(`Failed to insert row in ${TableName}: ${rowError.message}`);
+                            counts.errorCount++;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (counts.warningCount > 0) {
+            logger.warn(`Bulk ${mode} into ${database}.${TableName}: ${counts.warningCount} value(s) changed by MySQL, e.g. row ${counts.warnings[0].row}: ${counts.warnings[0].message}`);
+        }
+        logger.debug(`Bulk ${mode} into ${database}.${TableName}: ${JSON.stringify({ ...counts, warnings: undefined })}`);
+        return counts;
+    }
+
+    // Run one multi-row INSERT and work out how many rows were inserted, updated or skipped
+    // The statement's warnings are read on the same connection (row is counted from 1 in rows)
+    async writeRowChunk(database, TableName, columns, rows, mode) {
+        const columnList = `\`${columns.join('`, `')}\``;
+        const rowPlaceholders = `(${columns.map(() => '?').join(', ')})`;
+        const values = [];
+        for (const row of rows) {
+            for (const column of columns) {
+                values.push(row[column] === undefined ? null : row[column]);
+            }
+        }
+
+        const valuesClause = rows.map(() => rowPlaceholders).join(', ');
+        const query = mode === 'upsert'
+            ? `INSERT INTO \`${TableName}\` (${columnList}) VALUES ${valuesClause}
+               ON DUPLICATE KEY UPDATE ${columns.map(col => `\`${col}\` = VALUES(\`${col}\`)`).join(', ')}`
+            : `INSERT IGNORE INTO \`${TableName}\` (${columnList}) VALUES ${valuesClause}`;
+
+        const connection = await dbManager.getConnection(database);
+        let result;
+        let warnings = [];
+        try {
+            result = await dbManager.executeOnConnection(connection, query, values);
+            if (result.rows.warningStatus > 0) {
+                // SHOW WARNINGS is not supported as a prepared statement
+                const [rowsWarnings] = await connection.query('SHOW WARNINGS');
+                warnings = rowsWarnings
+                    .filter(warning => warning.Code !== 1062) // duplicate keys skipped by INSERT IGNORE
+                    .map(warning => {
+                        const atRow = /at row (\d+)/.exec(warning.Message);
+                        return { row: atRow ? parseInt(atRow[1]) : null, code: warning.Code, message: warning.Message };
+                    });
+            }
+        } finally {
+            connection.release();
+        }
+        const affectedRows = result.affectedRows;
+
+        if (mode !== 'upsert') {
+            // INSERT IGNORE only counts inserted rows; the rest were duplicates
+            return { insertCount: affectedRows, updateCount: 0, skipCount: rows.length - affectedRows, warnings };
+        }
+
+        // Multi-row statements report "Records: n  Duplicates: d  Warnings: w"; inserted rows count 1,
+        // changed rows 2 and unchanged duplicates 1 (the connection uses CLIENT_FOUND_ROWS)
+        const info = (result.rows && result.rows.info) || '';
+        const duplicatesMatch = info.match(/Duplicates:\s*(\d+)/);
+        if (!duplicatesMatch) {
+            // Single-row statement: 2 means updated, otherwise treat it as inserted
+            return affectedRows === 2
+                ? { insertCount: 0, updateCount: 1, skipCount: 0, warnings }
+                : { insertCount: 1, updateCount: 0, skipCount: 0, warnings };
+        }
+
+        const duplicates = parseInt(duplicatesMatch[1]);
+        const insertCount = rows.length - duplicates;
+        const updateCount = Math.max(0, affectedRows - insertCount - duplicates);
+        return { insertCount, updateCount, skipCount: duplicates - updateCount, warnings };
+    }
+
     // Handle UPDATE operation
     async handleUpdate(database, TableName, Data, databaseType = null) {
         try {
             // Check if table exists first
-            const tableExists = await dbManager.tableExists(database, TableName);
+            const tableExists = await schemaCache.tableExists(database, TableName);
             if (!tableExists) {
                 throw new Error(`TABLE_NOT_EXISTS:${TableName}`);
             }
 
             // Use new WHERE condition building logic
             const whereCondition = this.buildWhereCondition(TableName, Data, true, databaseType); // true for old data
-            const updateData = this.getUpdateData(TableName, Data);
+            const updateData = this.getUpdateData(TableName, Data, databaseType);
             
             if (Object.keys(whereCondition).length === 0) {
                 throw new Error(`WHERE condition is required for UPDATE operation on ${TableName}. Required fields: ${this.getWhereFields(TableName, databaseType).join(', ')}`);
@@ -255,7 +393,7 @@ class SyncService {
     }
 
     // Extract update data from the Data object
-    getUpdateData(tableName, data) {
+    getUpdateData(tableName, data, databaseType = null) {
         let updateData = {};
         
         // Handle the format from client: { new: { inserted: {...} }, old: { deleted: {...} } }
@@ -272,7 +410,7 @@ class SyncService {
         }
         
         // Remove WHERE condition fields from update data to avoid updating them
-        const whereFields = this.getWhereFields(tableName);
+        const whereFields = this.getWhereFields(tableName, databaseType, updateData);
         for (const field of whereFields) {
             delete updateData[field];
         }
@@ -284,7 +422,7 @@ class SyncService {
     async handleDelete(database, TableName, Data, databaseType = null) {
         try {
             // Check if table exists first
-            const tableExists = await dbManager.tableExists(database, TableName);
+            const tableExists = await schemaCache.tableExists(database, TableName);
             if (!tableExists) {
                 throw new Error(`TABLE_NOT_EXISTS:${TableName}`);
             }
@@ -404,7 +542,11 @@ class SyncService {
     }
 
     // Create table with provided schema - RESTORED
-    async createTableWithSchema(database, tableName, schema, databaseType = null) {
+    // Returns { statements, warnings }: every DDL statement that was executed, for the schema migration history,
+    // and the lossy column type mappings
+    // options.comment sets the table comment (provisioning uses it to mark baseline tables)
+    async createTableWithSchema(database, tableName, schema, databaseType = null, { comment = null } = {}) {
+        const statements = [];
         try {
             // Extract data from new schema format
             const columns = schema.columns || schema; // Support both old and new format
@@ -413,40 +555,16 @@ class SyncService {
             
             let columnDefinitions = [];
             let primaryKeyColumns = [];
+            const warnings = this.getTypeWarnings(columns);
             
             // Process each column from schema
             columns.forEach(column => {
-                let colDef = `\`${column.COLUMN_NAME}\` ${this.convertToMySQLType(column)}`;
-                
-                // Handle default values first
-                let hasDefault = false;
-                if (column.COLUMN_DEFAULT !== null && column.COLUMN_DEFAULT !== undefined) {
-                    const defaultValue = this.formatDefaultValue(column.COLUMN_DEFAULT, column.DATA_TYPE);
-                    if (defaultValue !== null) {
-                        colDef += ` DEFAULT ${defaultValue}`;
-                        hasDefault = true;
-                    }
-                }
-                
-                // Only enforce NOT NULL if there's a default value or it's a primary key/identity column
-                if (column.IS_NULLABLE === 'NO' && (hasDefault || column.IS_IDENTITY === 1 || column.COLUMN_KEY === 'PRI')) {
-                    colDef += ' NOT NULL';
-                } else {
-                    // For columns without defaults, allow NULL to prevent import errors
-                    colDef += ' NULL DEFAULT NULL';
-                }
-                
-                // Handle identity columns (AUTO_INCREMENT)
-                if (column.IS_IDENTITY === 1) {
-                    colDef += ' AUTO_INCREMENT';
-                }
+                columnDefinitions.push(this.buildColumnDefinition(column));
                 
                 // Collect primary key columns - ONLY based on COLUMN_KEY='PRI'
                 if (column.COLUMN_KEY === 'PRI') {
                     primaryKeyColumns.push(column.COLUMN_NAME);
                 }
-                
-                columnDefinitions.push(colDef);
             });
 
             // Add primary key constraint if any primary key columns exist
@@ -459,157 +577,84 @@ class SyncService {
             const createQuery = `
                 CREATE TABLE \`${tableName}\` (
                     ${columnDefinitions.join(',\n                    ')}
-                )
+                )${comment ? ` COMMENT='${comment.replace(/'/g, "''")}'` : ''}
             `;
 
+            statements.push(createQuery.trim());
             await dbManager.executeQuery(database, createQuery);
             logger.info(`Created table ${tableName} in database ${database} from client schema`);
             logger.debug(`Table structure: ${columnDefinitions.join(', ')}`);
+            if (warnings.length > 0) {
+                logger.warn(`Lossy type mappings in ${database}.${tableName}: ${warnings.join('; ')}`);
+            }
             
             // Create indexes if any exist
             if (indexes && indexes.length > 0) {
-                await this.createTableIndexes(database, tableName, indexes);
+                statements.push(...await this.createTableIndexes(database, tableName, indexes));
             }
             
-            // Add industry-specific indexes and constraints based on database type
-            if (databaseType === 'hospitality') {
-                await this.addHospitalitySpecificIndexes(database, tableName);
-            } else if (databaseType === 'retail') {
-                await this.addRetailSpecificIndexes(database, tableName);
+            // Add the primary key and indexes of the business type's index profile
+            if (databaseType) {
+                schemaCache.invalidate(database, tableName); // the reconciler reads the new table through the cache
+                const reconciled = await indexReconciler.reconcile(database, tableName, databaseType);
+                statements.push(...reconciled.statements);
+                // Profile entries that could not be added leave the table without its expected key or index
+                reconciled.items
+                    .filter(item => ['failed', 'conflict', 'missing_columns'].includes(item.status))
+                    .forEach(item => {
+                        const entry = item.kind === 'primaryKey' ? 'primary key' : `index ${item.name}`;
+                        warnings.push(`Index profile ${entry} (${item.columns.join(', ')}) not added: ${item.status}${item.error ? ` (${item.error})` : ''}`);
+                    });
             } else {
                 logger.info(`No database type specified for ${tableName}, skipping industry-specific indexes`);
             }
             
+            return { statements, warnings };
         } catch (error) {
             logger.error(`Failed to create table ${tableName}: ${error.message}`);
+            // Let the caller record which statement failed
+            error.statements = statements;
             throw error;
+        } finally {
+            schemaCache.invalidate(database, tableName);
         }
     }
 
-    // Add hospitality-specific indexes and constraints
-    async addHospitalitySpecificIndexes(database, tableName) {
-        try {
-            const hospitalityIndexes = {
-                'MenuItem': [
-                    'ALTER TABLE `MenuItem` ADD PRIMARY KEY (ItemCode)',  // 主键索引
-                    'ALTER TABLE `MenuItem` ADD INDEX idx_category (Category)',
-                    'ALTER TABLE `MenuItem` ADD FULLTEXT INDEX idx_desc_ngram (Description1, Description2) WITH PARSER ngram',
-                    // 删除以下冗余索引：
-                    // 'ALTER TABLE `MenuItem` ADD INDEX idx_itemcode (ItemCode)',  // 与主键重复
-                    // 'ALTER TABLE `MenuItem` ADD INDEX idx_itemcode_category (ItemCode, Category)',  // 使用率低
-                    // 'ALTER TABLE `MenuItem` ADD FULLTEXT INDEX idx_desc_default (Description1, Description2)'  // 与ngram重复
-                ],
-                'SalesDetail': [
-                    'ALTER TABLE `SalesDetail` ADD INDEX idx_item_orderno (ItemCode, OrderNo)',
-                    'ALTER TABLE `SalesDetail` ADD INDEX idx_orderno (OrderNo)'
-                    // 当前配置合理，无需修改
-                ],
-                'Sales': [
-                    'ALTER TABLE `Sales` ADD PRIMARY KEY (OrderNo)',  // 主键索引
-                    'ALTER TABLE `Sales` ADD INDEX idx_orderdate (OrderDate)',
-                    'ALTER TABLE `Sales` ADD INDEX idx_orderdate_orderno (OrderDate, OrderNo)',  // 新增复合索引
-                    // 删除以下冗余索引：
-                    // 'ALTER TABLE `Sales` ADD INDEX idx_orderdate (OrderDate)'  // 已在上方添加
-                ],
-                'PaymentReceived': [
-                    'ALTER TABLE `PaymentReceived` ADD PRIMARY KEY (OrderNo,Id)',  // 主键索引
-
-                    
-                ],
-                'Payment': [
-                    'ALTER TABLE `Payment` ADD PRIMARY KEY (Payment)',  // 主键索引
-                ]   
-            };
-            if (hospitalityIndexes[tableName]) {
-                logger.info(`Adding hospitality-specific indexes for table ${tableName}`);
-                
-                for (const indexQuery of hospitalityIndexes[tableName]) {
-                    try {
-                        await dbManager.executeQuery(database, indexQuery);
-                        logger.info(`✅ Added index: ${indexQuery}`);
-                    } catch (indexError) {
-                        // Log warning but don't fail the entire process
-                        // Some indexes might already exist or have conflicts
-                        logger.warn(`⚠️ Failed to add index for ${tableName}: ${indexError.message}`);
-                        logger.warn(`Query: ${indexQuery}`);
-                    }
-                }
-                
-                logger.info(`Completed adding hospitality indexes for ${tableName}`);
-            }
-        } catch (error) {
-            logger.warn(`Error adding hospitality indexes for ${tableName}: ${error.message}`);
-            // Don't throw error to avoid breaking table creation
+    // Build the MySQL column definition for a client schema column (also used to reconcile schema drift)
+    buildColumnDefinition(column) {
+        const mysqlType = this.convertToMySQLType(column);
+        let colDef = `\`${column.COLUMN_NAME}\` ${mysqlType}`;
+        
+        // Handle default values first; TEXT/BLOB columns only take expression defaults
+        const defaultValue = this.formatDefaultValue(column.COLUMN_DEFAULT, column.DATA_TYPE);
+        if (defaultValue !== null) {
+            colDef += /TEXT|BLOB/.test(mysqlType) && defaultValue.startsWith("'") ? ` DEFAULT (${defaultValue})` : ` DEFAULT ${defaultValue}`;
+        }
+        
+        if (this.isColumnNotNull(column)) {
+            colDef += ' NOT NULL';
+        } else {
+            // For columns without defaults, allow NULL to prevent import errors
+            colDef += ' NULL DEFAULT NULL';
         }
+        
+        // Handle identity columns (AUTO_INCREMENT)
+        if (column.IS_IDENTITY === 1) {
+            colDef += ' AUTO_INCREMENT';
+        }
+        
+        return colDef;
     }
 
-    // Add retail-specific indexes and constraints
-    async addRetailSpecificIndexes(database, tableName) {
-        try {
-            const retailIndexes = {
-               'StockItems': [
-                    'ALTER TABLE `StockItems` ADD PRIMARY KEY (StockId)',  
-                    'ALTER TABLE `StockItems` ADD INDEX idx_category (Category)',
-                    'ALTER TABLE `StockItems` ADD INDEX idx_category_stockid (Category, StockId)',
-                    'ALTER TABLE `StockItems` ADD FULLTEXT INDEX idx_desc_ngram (Description, Description1, Description2, Description3) WITH PARSER ngram',
-                    // -- 删除以下冗余索引：
-                    // -- 'ALTER TABLE `StockItems` ADD INDEX idx_stockid (StockId)',  -- 与主键重复
-                    // -- 'ALTER TABLE `StockItems` ADD FULLTEXT INDEX idx_desc_default (Description, Description1, Description2, Description3)',  -- 与ngram重复
-                    // -- 'ALTER TABLE `StockItems` ADD INDEX idx_stockid_desc (StockId, Description)',  -- 使用率低
-                    // -- 'ALTER TABLE `StockItems` ADD INDEX idx_stockid_category (StockId, Category)',  -- 与idx_category_stockid功能重叠
-                ],
-                'SalesDetail': [
-                    'ALTER TABLE `SalesDetail` ADD INDEX idx_invoiceno_stockid (InvoiceNo, StockId)',
-                    'ALTER TABLE `SalesDetail` ADD INDEX idx_stockid (StockId)',
-                    'ALTER TABLE `SalesDetail` ADD INDEX idx_invoiceno (InvoiceNo)'
-                    
-                   
-                ],
-                'Sales': [
-                    'ALTER TABLE `Sales` ADD PRIMARY KEY (InvoiceNo)', 
-                    'ALTER TABLE `Sales` ADD INDEX idx_transactiondate (TransactionDate)',
-                    'ALTER TABLE `Sales` ADD INDEX idx_transactiondate_invoiceno (TransactionDate, InvoiceNo)', 
-                    // -- 删除以下冗余索引：
-                    // -- 'ALTER TABLE `Sales` ADD INDEX idx_invoiceno (InvoiceNo)',  -- 与主键重复
-                    // -- 'ALTER TABLE `Sales` ADD INDEX idx_invoiceno_transactiondate (InvoiceNo, TransactionDate)',  -- 顺序不佳
-                ],
-                'PaymentReceived': [
-                    'ALTER TABLE `PaymentReceived` ADD PRIMARY KEY (InvoiceNo, Id)',  // 主键索引
-
-                    
-                ],
-                'Payment': [
-                    'ALTER TABLE `Payment` ADD PRIMARY KEY (Payment)',  // 主键索引
-
-                    
-                ]
-            };
-
-            if (retailIndexes[tableName]) {
-                logger.info(`Adding retail-specific indexes for table ${tableName}`);
-                
-                for (const indexQuery of retailIndexes[tableName]) {
-                    try {
-                        await dbManager.executeQuery(database, indexQuery);
-                        logger.info(`✅ Added retail index: ${indexQuery}`);
-                    } catch (indexError) {
-                        // Log warning but don't fail the entire process
-                        // Some indexes might already exist or have conflicts
-                        logger.warn(`⚠️ Failed to add retail index for ${tableName}: ${indexError.message}`);
-                        logger.warn(`Query: ${indexQuery}`);
-                    }
-                }
-                
-                logger.info(`Completed adding retail indexes for ${tableName}`);
-            }
-        } catch (error) {
-            logger.warn(`Error adding retail indexes for ${tableName}: ${error.message}`);
-            // Don't throw error to avoid breaking table creation
-        }
+    // Only enforce NOT NULL if there's a default value or it's a primary key/identity column
+    isColumnNotNull(column) {
+        const hasDefault = this.formatDefaultValue(column.COLUMN_DEFAULT, column.DATA_TYPE) !== null;
+        return column.IS_NULLABLE === 'NO' && (hasDefault || column.IS_IDENTITY === 1 || column.COLUMN_KEY === 'PRI');
     }
 
     // Create indexes for the table - RESTORED
     async createTableIndexes(database, tableName, indexes) {
+        const applied = [];
         try {
             for (const index of indexes) {
                 const indexName = index.INDEX_NAME;
@@ -635,6 +680,7 @@ class SyncService {
                 `;
                 
                 await dbManager.executeQuery(database, createIndexQuery);
+                applied.push(createIndexQuery.trim().replace(/\s+/g, ' '));
                 logger.info(`Created ${isUnique ? 'unique ' : ''}index ${indexName} on table ${tableName}`);
             }
         } catch (error) {
@@ -642,6 +688,7 @@ class SyncService {
             // Don't throw here - table creation succeeded, index creation is secondary
             logger.warn(`Continuing without some indexes for table ${tableName}`);
         }
+        return applied;
     }
 
     // Format default value for MySQL - RESTORED
@@ -688,53 +735,50 @@ class SyncService {
         return null; // Skip unknown default values
     }
 
-    // Convert SQL Server/client data types to MySQL types - RESTORED
+    // Convert SQL Server/client data types to MySQL types (see utils/sqlServerTypes.js)
     convertToMySQLType(column) {
-        const dataType = column.DATA_TYPE.toLowerCase();
-        const maxLength = column.CHARACTER_MAXIMUM_LENGTH;
-        const precision = column.NUMERIC_PRECISION;
-        const scale = column.NUMERIC_SCALE;
-        
-        switch (dataType) {
-            case 'int':
-            case 'integer':
-                return 'INT';
-            case 'bigint':
-                return 'BIGINT';
-            case 'smallint':
-                return 'SMALLINT';
-            case 'tinyint':
-                return 'TINYINT';
-            case 'decimal':
-            case 'numeric':
-                return `DECIMAL(${precision || 18},${scale || 0})`;
-            case 'float':
-                return 'FLOAT';
-            case 'real':
-                return 'DOUBLE';
-            case 'varchar':
-            case 'nvarchar':
-                return `VARCHAR(${maxLength || 255})`;
-            case 'char':
-            case 'nchar':
-                return `CHAR(${maxLength || 1})`;
-            case 'text':
-            case 'ntext':
-                return 'TEXT';
-            case 'datetime':
-            case 'datetime2':
-                return 'DATETIME';
-            case 'date':
-                return 'DATE';
-            case 'time':
-                return 'TIME';
-            case 'timestamp':
-                return 'TIMESTAMP';
-            case 'bit':
-                return 'BOOLEAN';
-            default:
-                return 'TEXT';
+        return this.mapColumnType(column).type;
+    }
+
+    /**
+     * MySQL type of a client schema column, with a warning when the mapping loses information
+     * Lengths come from CHARACTER_MAXIMUM_LENGTH (-1 for max); without it, nchar/nvarchar byte lengths
+     * (CHARACTER_OCTET_LENGTH) are halved to characters. Types without a MySQL equivalent become TEXT.
+     * @returns {{type: string, warning: string|null}}
+     */
+    mapColumnType(column) {
+        const dataType = String(column.DATA_TYPE).toLowerCase();
+        const present = value => value !== null && value !== undefined;
+        let args = [];
+
+        if (/char|binary/.test(dataType)) {
+            let length = column.CHARACTER_MAXIMUM_LENGTH;
+            if (!present(length) && present(column.CHARACTER_OCTET_LENGTH)) {
+                const octets = Number(column.CHARACTER_OCTET_LENGTH);
+                length = octets === -1 || !dataType.startsWith('n') ? octets : Math.ceil(octets / 2);
+            }
+            args = [present(length) ? length : (dataType.startsWith('var') || dataType.startsWith('nvar') ? 255 : 1)];
+        } else if (dataType === 'decimal' || dataType === 'numeric') {
+            args = [column.NUMERIC_PRECISION, column.NUMERIC_SCALE];
+        } else if (dataType === 'float') {
+            args = present(column.NUMERIC_PRECISION) ? [column.NUMERIC_PRECISION] : [];
+        } else if (['time', 'datetime2', 'datetimeoffset'].includes(dataType)) {
+            args = present(column.DATETIME_PRECISION) ? [column.DATETIME_PRECISION] : [];
         }
+
+        const mapped = mapSqlServerType(dataType, args);
+        if (!mapped) {
+            return { type: 'TEXT', warning: `${column.DATA_TYPE} has no MySQL equivalent; stored as TEXT` };
+        }
+        return { type: mapped.type, warning: mapped.warning };
+    }
+
+    // Warnings of the lossy column type mappings of a client schema, as "<column>: <warning>"
+    getTypeWarnings(columns) {
+        return columns
+            .map(column => ({ column: column.COLUMN_NAME, warning: this.mapColumnType(column).warning }))
+            .filter(entry => entry.warning)
+            .map(entry => `${entry.column}: ${entry.warning}`);
     }
 
     // Convert SQL Server ALTER TABLE commands to MySQL equivalents - DISABLED
@@ -832,19 +876,22 @@ class SyncService {
         };
     }
 
-    async processSingleCSVFile(storeId, appId, tableName, fileName, progressCallback = null) {
+    // options.expectedRows: row count the client reported for the file
+    // The import report is saved to the store database and returned as result.report ({ id, ...summary })
+    async processSingleCSVFile(storeId, appId, tableName, fileName, progressCallback = null, { expectedRows = null } = {}) {
+        let database = null;
         try {
             logger.info(`Processing single CSV file: ${fileName} for Store ${storeId}, App ${appId}/${tableName}`);
 
             // Get database for this store and app using license service
             const licenseService = require('./licenseService');
-            const database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
+            database = await licenseService.getDatabaseByStoreAndApp(storeId, appId);
             if (!database) {
                 throw new Error(`No database configuration found for Store ${storeId}, App ${appId}`);
             }
 
             // Check if table exists
-            const tableExists = await dbManager.tableExists(database, tableName);
+            const tableExists = await schemaCache.tableExists(database, tableName);
             if (!tableExists) {
                 throw new Error(`Table ${tableName} does not exist in database ${database}`);
             }
@@ -880,7 +927,9 @@ class SyncService {
 
             // Process this CSV file using LOAD DATA INFILE
             // Table already cleared above, so don't clear again
-            const processedRows = await this.importCSVFileToMySQL(database, tableName, filePath, fileName, false);
+            const importReport = await this.importCSVFileToMySQL(database, tableName, filePath, fileName, false, { expectedRows, progressCallback });
+            const processedRows = importReport.inserted;
+            const report = await this.saveImportReport(database, importReport, storeId, appId);
 
             // Send completion progress
             if (progressCallback) {
@@ -905,7 +954,8 @@ class SyncService {
                 processedRows: processedRows,
                 fileName: fileName,
                 tableName: tableName,
-                appId: appId
+                appId: appId,
+                report
             };
 
         } catch (error) {
@@ -926,7 +976,8 @@ class SyncService {
                 processedRows: 0,
                 fileName: fileName,
                 tableName: tableName,
-                appId: appId
+                appId: appId,
+                report: error.importReport ? await this.saveImportReport(database, error.importReport, storeId, appId) : null
             };
         }
     }
@@ -950,13 +1001,14 @@ class SyncService {
             }
 
             // Check if table exists
-            const tableExists = await dbManager.tableExists(database, tableName);
+            const tableExists = await schemaCache.tableExists(database, tableName);
             if (!tableExists) {
                 throw new Error(`Table ${tableName} does not exist in database ${database}`);
             }
 
             let totalProcessedRows = 0;
             let currentFileIndex = 0;
+            const reports = [];
 
             for (const fileInfo of uploadInfo.files) {
                 currentFileIndex++;
@@ -976,7 +1028,20 @@ class SyncService {
 
                 // Process this CSV file using LOAD DATA INFILE
                 // Never clear table automatically - clearing is handled by separate clear_database_tables request
-                const processedRows = await this.importCSVFileToMySQL(database, tableName, fileInfo.filePath, fileInfo.fileName, false);
+                let importReport;
+                try {
+                    importReport = await this.importCSVFileToMySQL(database, tableName, fileInfo.filePath, fileInfo.fileName, false, {
+                        expectedRows: fileInfo.rowCount,
+                        progressCallback: progressCallback && (progress => progressCallback({ ...progress, currentFile: currentFileIndex, totalFiles: uploadInfo.totalFiles }))
+                    });
+                } catch (importError) {
+                    if (importError.importReport) {
+                        await this.saveImportReport(database, importError.importReport, storeId, appId);
+                    }
+                    throw importError;
+                }
+                const processedRows = importReport.inserted;
+                reports.push(await this.saveImportReport(database, importReport, storeId, appId));
                 totalProcessedRows += processedRows;
 
                 // Send progress update after file is processed
@@ -1009,7 +1074,8 @@ class SyncService {
                 totalRows: totalProcessedRows,
                 totalFiles: uploadInfo.totalFiles,
                 tableName,
-                appId
+                appId,
+                reports
             };
 
         } catch (error) {
@@ -1031,7 +1097,24 @@ class SyncService {
         }
     }
 
-    async importCSVFileToMySQL(database, tableName, filePath, fileName, shouldClearTable = false) {
+    // Save an import report to the store database; returns the summary with its id (null if it was not saved)
+    async saveImportReport(database, report, storeId, appId) {
+        const id = database ? await importReportStore.record(database, report, { storeId, appId }) : null;
+        return { id, ...report.toSummary() };
+    }
+
+    // Import strategies, in order: LOAD DATA LOCAL INFILE, LOAD DATA INFILE from secure_file_priv, INSERT batches
+    // options.expectedRows: data rows the client reported for the file, checked against the rows streamed
+    // options.progressCallback: called after each INSERT batch ({ fileName, processedRows, message })
+    // Returns the finished CSVImportReport; a thrown error carries the failed report as error.importReport
+    async importCSVFileToMySQL(database, tableName, filePath, fileName, shouldClearTable = false, { expectedRows = null, progressCallback = null } = {}) {
+        const report = new CSVImportReport({
+            fileName,
+            tableName,
+            expectedRows,
+            sampleSize: csvImportConfig.reportSampleSize || 20,
+            maxErrors: csvImportConfig.maxReportErrors || 10000
+        });
         try {
             logger.info(`=== CSV Import Debug Start ===`);
             logger.info(`File: ${fileName}`);
@@ -1048,23 +1131,45 @@ class SyncService {
             const fileStats = fs.statSync(filePath);
             logger.info(`File size: ${fileStats.size} bytes`);
             
-            // Read first few lines to show sample data
-            const firstLines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).slice(0, 5);
-            logger.info(`First 5 lines of CSV file:`);
+            // Sniff header, line ending and encoding from the start of the file only
+            const sniffed = await sniffCSV(filePath, csvImportConfig.sniffBytes || 65536);
+            const firstLines = sniffed.sampleLines;
+            logger.info(`First ${firstLines.length} lines of CSV file:`);
             firstLines.forEach((line, index) => {
                 logger.info(`Line ${index + 1}: ${line.substring(0, 200)}${line.length > 200 ? '...' : ''}`);
             });
             
-            // Detect line endings
-            const content = fs.readFileSync(filePath, 'utf8');
-            const hasCarriageReturn = content.includes('\r\n');
+            const hasCarriageReturn = sniffed.lineEnding === '\r\n';
             const lineEnding = hasCarriageReturn ? '\\r\\n' : '\\n';
-            logger.info(`Detected line ending: ${hasCarriageReturn ? 'CRLF (\\r\\n)' : 'LF (\\n)'}`);
+            logger.info(`Detected line ending: ${hasCarriageReturn ? 'CRLF (\\r\\n)' : 'LF (\\n)'}, encoding: ${sniffed.encoding}${sniffed.bom ? ' (BOM)' : ''}`);
             
             // Get the actual table name from database
             const actualTableName = await this.getActualTableName(database, tableName);
             logger.info(`Actual table name: ${actualTableName}`);
             
+            // Map CSV headers to table columns by name; refuse to load without the key columns
+            const table = await schemaCache.getTable(database, actualTableName);
+            const columnMappings = this.buildColumnMappings(sniffed.headers, table.columns, this.getCSVColumnOverrides(actualTableName));
+            logger.info(`Column conversions: ${columnMappings.mapped.map(entry => `${entry.column}:${entry.kind}`).join(', ')}`);
+            logger.info(`CSV headers: ${sniffed.headers.join(', ')}`);
+            if (columnMappings.unmatchedHeaders.length > 0) {
+                logger.warn(`Skipping CSV columns not in table ${actualTableName}: ${columnMappings.unmatchedHeaders.join(', ')}`);
+            }
+            if (columnMappings.unmappedColumns.length > 0) {
+                logger.info(`Table columns not in ${fileName} (left at their defaults): ${columnMappings.unmappedColumns.join(', ')}`);
+            }
+            report.unmatchedHeaders = columnMappings.unmatchedHeaders;
+            report.unmappedColumns = columnMappings.unmappedColumns;
+            const mappedColumns = new Set(columnMappings.mapped.map(entry => entry.column.toLowerCase()));
+            const missingKeys = this.getCSVKeyColumns(actualTableName, table, columnMappings)
+                .filter(column => !mappedColumns.has(column.toLowerCase()));
+            if (missingKeys.length > 0) {
+                throw new Error(`CSV file ${fileName} is missing key column(s) ${missingKeys.join(', ')} of table ${actualTableName}`);
+            }
+            if (columnMappings.mapped.length === 0) {
+                throw new Error(`No CSV column of ${fileName} matches a column of table ${actualTableName}`);
+            }
+            
             // Check MySQL settings to determine the best approach
             logger.info(`Checking MySQL settings...`);
             let secureFilePrivDir = null;
@@ -1091,31 +1196,19 @@ class SyncService {
                 try {
                     const normalizedPath = filePath.replace(/\\/g, '/');
                     
-                    // Get table columns to build proper column list with conversions
-                    const tableColumns = await this.getTableColumns(database, actualTableName);
-                    logger.info(`Table columns: ${tableColumns.join(', ')}`);
-                    
-                    // Read CSV headers to map columns
-                    const csvHeaders = firstLines[0].split(',').map(header => header.replace(/['"]/g, '').trim());
-                    logger.info(`CSV headers: ${csvHeaders.join(', ')}`);
-                    
-                    // Build column mapping with data type conversions
-                    const columnMappings = this.buildColumnMappings(csvHeaders, tableColumns);
-                    logger.info(`Column mappings generated successfully`);
-                    logger.info(`CSV Variables (${columnMappings.csvColumns.length}): ${columnMappings.csvColumns.slice(0, 5).join(', ')}...`);
-                    logger.info(`SET Statements (${columnMappings.setStatements.length}): First 3 statements generated`);
-                    
                     // Clear existing data only if explicitly requested (should only happen via clear_database_tables)
                     if (shouldClearTable) {
                         logger.info(`Clearing existing data from table ${actualTableName} (explicitly requested)`);
-                        await dbManager.execute(database, `DELETE FROM \`${actualTableName}\``);
+                        await dbManager.executeQuery(database, `DELETE FROM \`${actualTableName}\``);
                     } 
                     
                     const localQuery = `
                         LOAD DATA LOCAL INFILE '${normalizedPath}'
                         INTO TABLE \`${actualTableName}\`
+                        CHARACTER SET utf8mb4
                         FIELDS TERMINATED BY ','
                         OPTIONALLY ENCLOSED BY '"'
+                        ESCAPED BY ''
                         LINES TERMINATED BY '${lineEnding}'
                         IGNORE 1 ROWS
                         (${columnMappings.csvColumns.join(', ')})
@@ -1123,48 +1216,24 @@ class SyncService {
                     `;
                     
                    
+                    // The file is streamed to MySQL (BOM stripped, UTF-16 transcoded), counting records on the way
+                    let csvStream = null;
                     const startTime = Date.now();
-                    const result = await dbManager.executeLoadDataQuery(database, localQuery);
-                    const duration = Date.now() - startTime;
-                    
-                    const affectedRows = result.affectedRows || 0;
-                    logger.info(`LOAD DATA LOCAL INFILE completed in ${duration}ms`);
-                    logger.info(`Rows imported: ${affectedRows}`);
-                    
-                    // Always check warnings to understand what happened
-                    let skippedRows = 0;
-                    let warnings = [];
-                    try {
-                        // Use regular query for SHOW WARNINGS (not supported in prepared statements)
-                        const connection = await dbManager.getConnection(database);
-                        try {
-                            const [warningRows] = await connection.query('SHOW WARNINGS');
-                            if (warningRows.length > 0) {
-                                logger.info(`MySQL warnings/info (${warningRows.length} found):`);
-                                warningRows.forEach((warning, index) => {
-                                    logger.info(`[${warning.Level}] ${warning.Code} - ${warning.Message}`);
-                                    warnings.push(warning);
-                                    
-                                    // Count skipped rows from duplicate key warnings
-                                    if (warning.Code === 1062 || warning.Message.includes('Duplicate entry')) {
-                                        skippedRows++;
-                                    }
-                                });
-                            }
-                        } finally {
-                            connection.release();
+                    const result = await dbManager.executeLoadDataQuery(database, localQuery, {
+                        infileStreamFactory: () => {
+                            csvStream = createCSVReadStream(filePath, sniffed);
+                            return csvStream;
                         }
-                    } catch (warnError) {
-                        logger.error(`Could not retrieve warnings: ${warnError.message}`);
+                    });
+                    const duration = Date.now() - startTime;
+                    if (csvStream) {
+                        report.rowsRead = this.checkStreamedRows(fileName, csvStream.stats, expectedRows);
                     }
                     
-                    if (affectedRows > 0 || skippedRows > 0) {
-                        
-                        return affectedRows;
-                    } else {
-                        logger.warn(`No rows imported and no duplicates found`);
-                        return 0;
-                    }
+                    logger.info(`LOAD DATA LOCAL INFILE completed in ${duration}ms`);
+                    report.strategy = 'load_data_local';
+                    this.addLoadDataResult(report, result, csvStream ? csvStream.stats : null);
+                    return report.finish();
                 } catch (localError) {
                     logger.warn(`LOAD DATA LOCAL INFILE failed: ${localError.message}`);
                 }
@@ -1185,26 +1254,19 @@ class SyncService {
                     const secureFilePath = path.join(secureFilePrivDir, fileName);
                     const normalizedSecurePath = secureFilePath.replace(/\\/g, '/');
                     
-                    await fs.promises.copyFile(filePath, secureFilePath);
+                    // Copy through the same decoding stream, so MySQL gets UTF-8 without BOM there too
+                    const csvStream = createCSVReadStream(filePath, sniffed);
+                    await pipelineAsync(csvStream, fs.createWriteStream(secureFilePath));
                     logger.info(`File copied to: ${secureFilePath}`);
-                    
-                    // Get table columns to build proper column list with conversions
-                    const tableColumns = await this.getTableColumns(database, actualTableName);
-                    logger.info(`Table columns: ${tableColumns.join(', ')}`);
-                    
-                    // Read CSV headers to map columns
-                    const csvHeaders = firstLines[0].split(',').map(header => header.replace(/['"]/g, '').trim());
-                    logger.info(`CSV headers: ${csvHeaders.join(', ')}`);
-                    
-                    // Build column mapping with data type conversions
-                    const columnMappings = this.buildColumnMappings(csvHeaders, tableColumns);
-                    logger.info(`Column mappings: ${JSON.stringify(columnMappings, null, 2)}`);
+                    const rowsRead = this.checkStreamedRows(fileName, csvStream.stats, expectedRows);
                     
                     const query = `
                         LOAD DATA INFILE '${normalizedSecurePath}'
                         IGNORE INTO TABLE \`${actualTableName}\`
+                        CHARACTER SET utf8mb4
                         FIELDS TERMINATED BY ','
                         OPTIONALLY ENCLOSED BY '"'
+                        ESCAPED BY ''
                         LINES TERMINATED BY '${lineEnding}'
                         IGNORE 1 ROWS
                         (${columnMappings.csvColumns.join(', ')})
@@ -1217,9 +1279,7 @@ class SyncService {
                     const result = await dbManager.executeLoadDataQuery(database, query);
                     const duration = Date.now() - startTime;
                     
-                    const affectedRows = result.affectedRows || 0;
                     logger.info(`LOAD DATA INFILE completed in ${duration}ms`);
-                    logger.info(`Rows imported: ${affectedRows}`);
                     
                     // Clean up the copied file
                     try {
@@ -1229,295 +1289,194 @@ class SyncService {
                         logger.warn(`Failed to cleanup copied file: ${cleanupError.message}`);
                     }
                     
-                    // Always check warnings to understand what happened
-                    let skippedRows = 0;
-                    let warnings = [];
-                    try {
-                        // Use regular query for SHOW WARNINGS (not supported in prepared statements)
-                        const connection = await dbManager.getConnection(database);
-                        try {
-                            const [warningRows] = await connection.query('SHOW WARNINGS');
-                            if (warningRows.length > 0) {
-                                logger.info(`MySQL warnings/info (${warningRows.length} found):`);
-                                warningRows.forEach((warning, index) => {
-                                    logger.info(`[${warning.Level}] ${warning.Code} - ${warning.Message}`);
-                                    warnings.push(warning);
-                                    
-                                    // Count skipped rows from duplicate key warnings
-                                    if (warning.Code === 1062 || warning.Message.includes('Duplicate entry')) {
-                                        skippedRows++;
-                                    }
-                                });
-                            }
-                        } finally {
-                            connection.release();
-                        }
-                    } catch (warnError) {
-                        logger.error(`Could not retrieve warnings: ${warnError.message}`);
-                    }
-                    
-                    // Also check the data load info
-                    try {
-                        const infoResult = await dbManager.executeQuery(database, 'SHOW STATUS LIKE "Com_load"');
-                        if (infoResult.rows.length > 0) {
-                            logger.info(`LOAD DATA statistics: ${JSON.stringify(infoResult.rows)}`);
-                        }
-                    } catch (infoError) {
-                        // Ignore if this fails
-                    }
-                    
-                    if (affectedRows > 0 || skippedRows > 0) {
-                        logger.info(`=== CSV Import Completed ===`);
-                        logger.info(`Rows successfully imported: ${affectedRows}`);
-                        logger.info(`Rows skipped (duplicates): ${skippedRows}`);
-                        logger.info(`Total rows in CSV: ${affectedRows + skippedRows} (estimated)`);
-                        return affectedRows;
-                    } else {
-                        logger.warn(`No rows imported and no duplicates found`);
-                        return 0;
-                    }
+                    report.strategy = 'load_data_infile';
+                    report.rowsRead = rowsRead;
+                    this.addLoadDataResult(report, result, csvStream.stats);
+                    return report.finish();
                 } catch (secureError) {
                     logger.error(`LOAD DATA INFILE with secure directory failed: ${secureError.message}`);
                 }
             }
             
-            // If we get here, both methods failed
-            logger.error(`=== All LOAD DATA methods failed ===`);
-            throw new Error(`Could not import CSV file. LOCAL INFILE disabled: ${!localInfileEnabled}, secure-file-priv: ${secureFilePrivDir || 'not set'}`);
+            // Strategy 3: multi-row INSERTs, which work on any MySQL
+            logger.info(`=== LOAD DATA unavailable (LOCAL INFILE enabled: ${localInfileEnabled}, secure-file-priv: ${secureFilePrivDir || 'not set'}), importing with INSERT batches ===`);
+            if (shouldClearTable) {
+                logger.info(`Clearing existing data from table ${actualTableName} (explicitly requested)`);
+                await dbManager.executeQuery(database, `DELETE FROM \`${actualTableName}\``);
+            }
+            report.strategy = 'insert';
+            await this.fallbackCSVImport(database, actualTableName, filePath, fileName, { sniffed, columnMappings, expectedRows, progressCallback, report });
+            return report.finish();
 
         } catch (error) {
             logger.error(`=== CSV Import Fatal Error ===`);
             logger.error(`Error in importCSVFileToMySQL: ${error.message}`);
             logger.error(`Error stack:`, error.stack);
+            error.importReport = report.finish({ status: 'failed', error: error.message });
             throw error;
         }
     }
 
+    // Counts and same-session warnings of a LOAD DATA statement; duplicates are the "Skipped" of its info line
+    addLoadDataResult(report, result, stats) {
+        const skipped = /Skipped:\s*(\d+)/.exec(result.info || '');
+        report.inserted = result.affectedRows || 0;
+        report.duplicates = skipped ? Number(skipped[1]) : 0;
+        report.addWarnings(result.warnings || [], { warningCount: result.warningCount || 0 });
+        if (stats) {
+            report.addMalformed(stats);
+        }
+        logger.info(`Rows imported: ${report.inserted}, skipped (duplicates): ${report.duplicates}, warnings: ${report.warningCount}`);
+        const summary = report.toSummary();
+        if (summary.truncated > 0 || summary.rejected > 0) {
+            logger.warn(`${report.fileName}: ${summary.truncated} rows truncated, ${summary.rejected} rows with rejected values`);
+        }
+    }
+
+    // Columns a CSV file must have: the table's primary key, else its key registry whereFields
+    // (per business type, the first type the file has every field of)
+    getCSVKeyColumns(tableName, table, columnMappings) {
+        if (table.primaryKey.length > 0) {
+            return table.primaryKey;
+        }
+        const registered = tableKeyRegistry.getTableNames().find(name => name.toLowerCase() === tableName.toLowerCase());
+        if (!registered) {
+            return [];
+        }
+        const present = {};
+        for (const entry of columnMappings.mapped) {
+            present[entry.column] = true;
+        }
+        return tableKeyRegistry.getWhereFields(registered, null, present) || [];
+    }
+
+    // Compare the records streamed from a CSV file with its header and the row count the client reported
+    checkStreamedRows(fileName, stats, expectedRows) {
+        const dataRows = Math.max(0, stats.records - 1); // without the header
+        logger.info(`Streamed ${stats.bytes} bytes, ${dataRows} data rows from ${fileName}`);
+        if (expectedRows !== null && expectedRows !== undefined && Number(expectedRows) !== dataRows) {
+            logger.warn(`Row count mismatch in ${fileName}: client reported ${expectedRows}, file has ${dataRows}`);
+        }
+        if (stats.fieldMismatches > 0) {
+            const samples = stats.mismatchSamples.map(sample => `record ${sample.record}: ${sample.fields}`).join(', ');
+            logger.warn(`${stats.fieldMismatches} rows of ${fileName} do not have the header's ${stats.headerFields} fields (${samples})`);
+        }
+        return dataRows;
+    }
+
     // Helper method to get actual table name from database
     async getActualTableName(database, tableName) {
         try {
-            const query = `
-                SELECT TABLE_NAME 
-                FROM INFORMATION_SCHEMA.TABLES 
-                WHERE TABLE_SCHEMA = ? AND UPPER(TABLE_NAME) = UPPER(?)
-                LIMIT 1
-            `;
-            
-            const result = await dbManager.executeQuery(database, query, [database, tableName]);
-            
-            if (result.rows.length === 0) {
+            const table = await schemaCache.getTable(database, tableName);
+            if (!table.exists) {
                 throw new Error(`Table ${tableName} does not exist in database ${database}`);
             }
-            
-            return result.rows[0].TABLE_NAME;
+            return table.actualName;
         } catch (error) {
             logger.error(`Failed to get actual table name for ${tableName}: ${error.message}`);
             throw error;
         }
     }
 
-    async fallbackCSVImport(database, tableName, filePath, fileName) {
-        try {
-            // Check if file exists
-            const fs = require('fs');
-            if (!fs.existsSync(filePath)) {
-                logger.error(`CSV file does not exist: ${filePath}`);
-                throw new Error(`CSV file not found: ${filePath}`);
+    /**
+     * Import strategy for servers without LOCAL INFILE or secure_file_priv (e.g. managed MySQL)
+     * Streams the file through csv-parser into multi-row INSERT IGNORE batches on one connection.
+     * Fields are converted with the same SQL expressions as the LOAD DATA SET clauses, applied to the
+     * placeholders of each row (plain VALUES, so MySQL 5.7 and MariaDB work too), and the next
+     * records are only read once the previous batch is inserted.
+     * Each batch's warnings are read on the same connection and added to the report with the batch's row offset.
+     * @param {Object} options - { sniffed, columnMappings, expectedRows, progressCallback, report }
+     * @returns {Promise<number>} Rows inserted
+     */
+    async fallbackCSVImport(database, tableName, filePath, fileName, { sniffed, columnMappings, expectedRows = null, progressCallback = null, report = null }) {
+        const csv = require('csv-parser');
+        const { mapped } = columnMappings;
+        // An expression uses its field several times; each use is a placeholder bound to the same value
+        const expressions = mapped.map(entry => buildSetExpression(CSV_FIELD_TOKEN, entry.conversion).split(CSV_FIELD_TOKEN));
+        const placeholdersPerRow = expressions.reduce((total, parts) => total + parts.length - 1, 0);
+        const batchSize = Math.max(1, Math.min(csvImportConfig.insertBatchSize || 1000, Math.floor(MAX_STATEMENT_PLACEHOLDERS / placeholdersPerRow)));
+        const columnList = mapped.map(entry => `\`${entry.column}\``).join(', ');
+        const rowSql = `(${expressions.map(parts => parts.join('?')).join(', ')})`;
+        const rowParameters = values => values.flatMap((value, index) => new Array(expressions[index].length - 1).fill(value));
+
+        // Connection first: the file is only opened once there is somewhere to insert it
+        const connection = await dbManager.getConnection(database);
+        let source = null;
+        let records = null;
+        let batch = [];
+        let rowsRead = 0;
+        let insertedRows = 0;
+        let isHeader = true;
+
+        const insertBatch = async () => {
+            const query = `INSERT IGNORE INTO \`${tableName}\` (${columnList}) VALUES ${batch.map(() => rowSql).join(', ')}`;
+            const [result] = await connection.execute(query, batch.flatMap(rowParameters));
+            if (report) {
+                report.inserted += result.affectedRows || 0;
+                report.duplicates += batch.length - (result.affectedRows || 0);
+                if (result.warningStatus > 0) {
+                    // SHOW WARNINGS is not supported as a prepared statement
+                    const [warnings] = await connection.query('SHOW WARNINGS');
+                    report.addWarnings(warnings, { rowOffset: rowsRead, warningCount: result.warningStatus });
+                }
             }
-
-            // Get actual table name
-            const actualTableName = await this.getActualTableName(database, tableName);
-            
-            const csv = require('csv-parser');
-            
-            return new Promise((resolve, reject) => {
-                let processedRows = 0;
-                const batchSize = 1000;
-                let batch = [];
-
-                fs.createReadStream(filePath)
-                    .pipe(csv())
-                    .on('data', async (row) => {
-                        batch.push(row);
-                        
-                        if (batch.length >= batchSize) {
-                            try {
-                                await this.processBatch(database, actualTableName, batch);
-                                processedRows += batch.length;
-                                batch = [];
-                            } catch (error) {
-                                logger.error(`Error processing batch in fallback: ${error.message}`);
-                                reject(error);
-                                return;
-                            }
-                        }
-                    })
-                    .on('end', async () => {
-                        try {
-                            // Process remaining rows
-                            if (batch.length > 0) {
-                                await this.processBatch(database, actualTableName, batch);
-                                processedRows += batch.length;
-                            }
-                            
-                            logger.info(`Fallback CSV import completed for ${fileName}: ${processedRows} rows`);
-                            resolve(processedRows);
-                        } catch (error) {
-                            logger.error(`Error processing final batch in fallback: ${error.message}`);
-                            reject(error);
-                        }
-                    })
-                    .on('error', (error) => {
-                        logger.error(`Fallback CSV import failed for ${fileName}: ${error.message}`);
-                        reject(error);
-                    });
-            });
-
-        } catch (error) {
-            logger.error(`Fallback CSV import error for ${fileName}: ${error.message}`);
-            throw error;
-        }
-    }
-
-    async processBatch(database, tableName, batch) {
-        if (batch.length === 0) return;
+            rowsRead += batch.length;
+            insertedRows += result.affectedRows || 0;
+            batch = [];
+            if (progressCallback) {
+                progressCallback({
+                    fileName,
+                    processedRows: insertedRows,
+                    message: `Importing ${fileName} - ${rowsRead} rows read, ${insertedRows} inserted`
+                });
+            }
+        };
 
         try {
-            // Get actual table columns from database
-            const tableColumns = await this.getTableColumns(database, tableName);
-            logger.debug(`Table ${tableName} has columns: ${tableColumns.join(', ')}`);
-            
-            // Get columns from CSV data
-            const csvColumns = Object.keys(batch[0]);
-            logger.debug(`CSV data has columns: ${csvColumns.join(', ')}`);
-            
-            // Create case-insensitive comparison sets
-            const tableColumnMap = new Map();
-            tableColumns.forEach(col => {
-                tableColumnMap.set(col.toUpperCase(), col); // Map uppercase to actual column name
-            });
-            
-            // Filter to only include columns that exist in the table (case-insensitive)
-            const validColumns = [];
-            const invalidColumns = [];
-            
-            csvColumns.forEach(csvCol => {
-                const upperCsvCol = csvCol.toUpperCase();
-                if (tableColumnMap.has(upperCsvCol)) {
-                    // Use the actual table column name (with correct case)
-                    validColumns.push(tableColumnMap.get(upperCsvCol));
-                } else {
-                    invalidColumns.push(csvCol);
+            const startTime = Date.now();
+            source = createCSVReadStream(filePath, sniffed);
+            records = pipeline(source, csv({ headers: false }), () => {});
+            for await (const record of records) {
+                if (isHeader) {
+                    isHeader = false;
+                    continue;
+                }
+                // csv-parser keys fields by position when headers is false
+                batch.push(mapped.map(entry => (record[entry.position - 1] === undefined ? null : record[entry.position - 1])));
+                if (batch.length >= batchSize) {
+                    await insertBatch();
                 }
-            });
-            
-            if (validColumns.length === 0) {
-                logger.error(`No matching columns found between CSV data and table ${tableName}`);
-                logger.error(`CSV columns: ${csvColumns.join(', ')}`);
-                logger.error(`Table columns: ${tableColumns.join(', ')}`);
-                throw new Error(`No matching columns found for table ${tableName}`);
             }
-            
-            // Log column mapping for debugging
-            if (invalidColumns.length > 0) {
-                logger.warn(`Skipping columns not found in table ${tableName}: ${invalidColumns.join(', ')}`);
+            if (batch.length > 0) {
+                await insertBatch();
             }
-            
-            logger.info(`Using columns for table ${tableName}: ${validColumns.join(', ')}`);
-            
-            const placeholders = validColumns.map(() => '?').join(', ');
-            const columnList = validColumns.map(col => `\`${col}\``).join(', ');
-            
-            const query = `INSERT IGNORE INTO \`${tableName}\` (${columnList}) VALUES (${placeholders})`;
-            
-            for (const row of batch) {
-                // Map CSV column names to table column names for data extraction
-                const values = validColumns.map(tableCol => {
-                    // Find the corresponding CSV column (case-insensitive)
-                    const csvCol = csvColumns.find(col => col.toUpperCase() === tableCol.toUpperCase());
-                    return csvCol ? (row[csvCol] === '' ? null : row[csvCol]) : null;
-                });
-                await dbManager.executeQuery(database, query, values);
+            this.checkStreamedRows(fileName, source.stats, expectedRows);
+            if (report) {
+                report.rowsRead = rowsRead;
+                report.addMalformed(source.stats);
             }
-            
+            logger.info(`INSERT import of ${fileName} completed in ${Date.now() - startTime}ms: ${rowsRead} rows read, ${insertedRows} inserted, ${rowsRead - insertedRows} skipped`);
+            return insertedRows;
         } catch (error) {
-            logger.error(`Error processing batch for ${tableName}: ${error.message}`);
+            if (records) {
+                records.destroy();
+            }
+            logger.error(`INSERT import of ${fileName} failed after ${rowsRead} rows: ${error.message}`);
             throw error;
+        } finally {
+            connection.release();
         }
     }
 
     async getTableColumns(database, tableName) {
         try {
-            logger.info(`=== getTableColumns Debug Start ===`);
-            logger.info(`Database: ${database}, TableName: ${tableName}`);
-            
-            // First, get the actual table name from the database (case-insensitive)
-            const tableExistsQuery = `
-                SELECT TABLE_NAME 
-                FROM INFORMATION_SCHEMA.TABLES 
-                WHERE TABLE_SCHEMA = ? AND UPPER(TABLE_NAME) = UPPER(?)
-                LIMIT 1
-            `;
-            
-            const tableResult = await dbManager.executeQuery(database, tableExistsQuery, [database, tableName]);
-            logger.info(`Table existence check - rows found: ${tableResult.rows.length}`);
-            
-            if (tableResult.rows.length === 0) {
+            const table = await schemaCache.getTable(database, tableName);
+            if (!table.exists) {
                 throw new Error(`Table ${tableName} does not exist in database ${database}`);
             }
-            
-            // Use the actual table name from the database
-            const actualTableName = tableResult.rows[0].TABLE_NAME;
-            logger.info(`Actual table name found: ${actualTableName}`);
-            
-            // Method 1: Try SHOW COLUMNS first (more reliable)
-            try {
-                const showColumnsQuery = `SHOW COLUMNS FROM \`${database}\`.\`${actualTableName}\``;
-                logger.info(`Executing SHOW COLUMNS query: ${showColumnsQuery}`);
-                
-                const showResult = await dbManager.executeQuery(database, showColumnsQuery);
-                logger.info(`SHOW COLUMNS returned ${showResult.rows.length} columns`);
-                
-                if (showResult.rows.length > 0) {
-                    const columns = showResult.rows.map(row => row.Field);
-                    logger.info(`Columns from SHOW COLUMNS: ${columns.join(', ')}`);
-                    logger.info(`First column: ${columns[0]}, Last column: ${columns[columns.length-1]}`);
-                    logger.info(`InvoiceNo in columns: ${columns.includes('InvoiceNo')}`);
-                    logger.info(`=== getTableColumns Debug End (using SHOW COLUMNS) ===`);
-                    return columns;
-                }
-            } catch (showError) {
-                logger.warn(`SHOW COLUMNS failed, falling back to INFORMATION_SCHEMA: ${showError.message}`);
-            }
-            
-            // Method 2: Fallback to INFORMATION_SCHEMA
-            const infoSchemaQuery = `
-                SELECT COLUMN_NAME, ORDINAL_POSITION
-                FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
-                ORDER BY ORDINAL_POSITION
-            `;
-            
-            logger.info(`Executing INFORMATION_SCHEMA query for database: ${database}, table: ${actualTableName}`);
-            const result = await dbManager.executeQuery(database, infoSchemaQuery, [database, actualTableName]);
-            
-            logger.info(`INFORMATION_SCHEMA returned ${result.rows.length} rows`);
-            if (result.rows.length > 0) {
-                logger.info(`First 3 columns from INFORMATION_SCHEMA:`, result.rows.slice(0, 3).map(r => ({name: r.COLUMN_NAME, position: r.ORDINAL_POSITION})));
-            }
-            
-            const columns = result.rows.map(row => row.COLUMN_NAME);
-            
-            logger.info(`All columns from INFORMATION_SCHEMA: ${columns.join(', ')}`);
-            logger.info(`Total columns: ${columns.length}`);
-            logger.info(`InvoiceNo in columns: ${columns.includes('InvoiceNo')}`);
-            logger.info(`=== getTableColumns Debug End (using INFORMATION_SCHEMA) ===`);
-            
-            return columns;
-            
+            return table.columnNames;
         } catch (error) {
             logger.error(`Failed to get table columns for ${tableName}: ${error.message}`);
-            logger.error(`Error stack:`, error.stack);
             throw error;
         }
     }
@@ -1525,40 +1484,12 @@ class SyncService {
     // Get column types for a table
     async getTableColumnTypes(database, tableName) {
         try {
-            // Get the actual table name from the database (case-insensitive)
-            const tableExistsQuery = `
-                SELECT TABLE_NAME 
-                FROM INFORMATION_SCHEMA.TABLES 
-                WHERE TABLE_SCHEMA = ? AND UPPER(TABLE_NAME) = UPPER(?)
-                LIMIT 1
-            `;
-            
-            const tableResult = await dbManager.executeQuery(database, tableExistsQuery, [database, tableName]);
-            if (tableResult.rows.length === 0) {
+            const table = await schemaCache.getTable(database, tableName);
+            if (!table.exists) {
                 throw new Error(`Table ${tableName} does not exist in database ${database}`);
             }
-            
-            const actualTableName = tableResult.rows[0].TABLE_NAME;
-            
-            // Get column data types
-            const query = `
-                SELECT COLUMN_NAME, DATA_TYPE, COLUMN_TYPE
-                FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
-                ORDER BY ORDINAL_POSITION
-            `;
-            
-            const result = await dbManager.executeQuery(database, query, [database, actualTableName]);
-            
-            // Build a map of column name to data type
-            const columnTypes = {};
-            result.rows.forEach(row => {
-                columnTypes[row.COLUMN_NAME] = row.COLUMN_TYPE; // Use COLUMN_TYPE (e.g., "varchar(50)")
-            });
-            
-            logger.info(`Retrieved column types for ${tableName}: ${Object.keys(columnTypes).length} columns`);
-            return columnTypes;
-            
+            // Column name -> COLUMN_TYPE (e.g. "varchar(50)")
+            return table.columnTypes;
         } catch (error) {
             logger.error(`Failed to get column types for ${tableName}: ${error.message}`);
             return null; // Return null to allow fallback to basic conversion
@@ -1566,65 +1497,59 @@ class SyncService {
     }
 
     // Helper method to build column mappings for LOAD DATA INFILE
-    buildColumnMappings(csvHeaders, tableColumns) {
+    /**
+     * Map CSV header names to table columns for LOAD DATA, case-insensitively
+     * Every CSV field is read into a user variable (@col<position>); only matched fields get a SET clause,
+     * converting the text according to the column's MySQL type (utils/csvConversions.js).
+     * @param {Array<string>} csvHeaders - Header names in file order
+     * @param {Array<Object>} tableColumns - INFORMATION_SCHEMA.COLUMNS rows of the table
+     * @param {Object} overrides - Column name -> conversion, from csvImport.columnOverrides
+     * @returns {Object} { csvColumns, setStatements, mapped: [{ header, position, column, kind, conversion }], unmatchedHeaders, unmappedColumns }
+     * @throws {Error} If two headers name the same column, or an override is invalid
+     */
+    buildColumnMappings(csvHeaders, tableColumns, overrides = {}) {
         const csvVariables = [];
         const setStatements = [];
+        const mapped = [];
+        const unmatchedHeaders = [];
+        const columnsByName = new Map(tableColumns.map(column => [column.COLUMN_NAME.toUpperCase(), column]));
+        const overridesByName = new Map(Object.entries(overrides).map(([name, override]) => [name.toUpperCase(), override]));
+        const usedColumns = new Map();
         
-        // Create variable names for CSV columns
-        csvHeaders.forEach((csvCol, index) => {
-            csvVariables.push(`@${csvCol.replace(/[^a-zA-Z0-9]/g, '_')}`);
-        });
-        
-        // Map each table column with smart value-based conversion
-        tableColumns.forEach((tableCol, index) => {
-            if (index < csvHeaders.length) {
-                const csvVar = csvVariables[index];
-                
-                // Simplified protection: directly check for StockId or ItemCode
-                const isProtectedColumn = tableCol === 'StockId' || tableCol === 'ItemCode';
-                
-                // Smart value-based type detection and conversion
-                setStatements.push(`\`${tableCol}\` = CASE 
-                    -- Handle NULL and empty values first
-                    WHEN ${csvVar} IS NULL OR TRIM(${csvVar}) = '' THEN NULL
-                    
-                    -- Handle boolean values (True/False, 1/0, etc) - but not for protected columns
-                    ${!isProtectedColumn ? `WHEN LOWER(TRIM(${csvVar})) IN ('true', 'false', 'yes', 'no', 'y', 'n', 'on', 'off') THEN
-                        CASE 
-                            WHEN LOWER(TRIM(${csvVar})) IN ('true', 'yes', 'y', 'on') THEN 1 
-                            ELSE 0 
-                        END` : ''}
-                    
-                    -- Handle SQL Server default dates and invalid dates
-                    WHEN ${csvVar} LIKE '1899-12-30%' OR ${csvVar} = '1900-01-01T00:00:00.000Z' OR ${csvVar} = '0000-00-00' THEN NULL
-                    
-                    -- Handle standard datetime format (YYYY-MM-DD HH:MM:SS) - CHECK THIS FIRST before date-only format
-                    WHEN ${csvVar} REGEXP '^[0-9]{4}-[0-9]{2}-[0-9]{2} [0-9]{2}:[0-9]{2}:[0-9]{2}' THEN 
-                        STR_TO_DATE(${csvVar}, '%Y-%m-%d %H:%i:%s')
-                    
-                    -- Handle ISO datetime format (YYYY-MM-DDTHH:MM:SS)
-                    WHEN ${csvVar} REGEXP '^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}' THEN 
-                        STR_TO_DATE(SUBSTRING(${csvVar}, 1, 19), '%Y-%m-%dT%H:%i:%s')
-                    
-                    -- Handle date only format (YYYY-MM-DD) - CHECK THIS LAST
-                    WHEN ${csvVar} REGEXP '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' THEN 
-                        STR_TO_DATE(${csvVar}, '%Y-%m-%d')
-                    
-                    ${!isProtectedColumn ? `-- Handle pure numeric values (integers and decimals) - only for non-protected columns
-                    WHEN ${csvVar} REGEXP '^-?[0-9]+$' THEN CAST(${csvVar} AS SIGNED)
-                    WHEN ${csvVar} REGEXP '^-?[0-9]+\\.[0-9]+$' THEN CAST(${csvVar} AS DECIMAL(18,4))` : ''}
-                    
-                    -- Handle text values (trim and keep as-is, preserving leading zeros for protected columns)
-                    ELSE TRIM(${csvVar})
-                END`);
+        csvHeaders.forEach((header, index) => {
+            const csvVar = `@col${index + 1}`;
+            csvVariables.push(csvVar);
+            const column = columnsByName.get(header.toUpperCase());
+            if (!column) {
+                unmatchedHeaders.push(header);
+                return;
             }
+            const tableCol = column.COLUMN_NAME;
+            if (usedColumns.has(tableCol)) {
+                throw new Error(`CSV headers "${usedColumns.get(tableCol)}" and "${header}" both map to column ${tableCol}`);
+            }
+            usedColumns.set(tableCol, header);
+            
+            const conversion = resolveConversion(column, overridesByName.get(tableCol.toUpperCase()));
+            mapped.push({ header, position: index + 1, column: tableCol, kind: conversion.kind, conversion });
+            setStatements.push(`\`${tableCol}\` = ${buildSetExpression(csvVar, conversion)}`);
         });
         
         return {
             csvColumns: csvVariables,
-            setStatements: setStatements
+            setStatements: setStatements,
+            mapped,
+            unmatchedHeaders,
+            unmappedColumns: tableColumns.map(column => column.COLUMN_NAME).filter(column => !usedColumns.has(column))
         };
     }
+
+    // Per-column CSV conversion overrides of a table (csvImport.columnOverrides), matched case-insensitively
+    getCSVColumnOverrides(tableName) {
+        const overrides = csvImportConfig.columnOverrides || {};
+        const name = Object.keys(overrides).find(table => table.toLowerCase() === String(tableName).toLowerCase());
+        return name ? overrides[name] : {};
+    }
 }
 
 module.exports = new SyncService(); 
\ No newline at end of file
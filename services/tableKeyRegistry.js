@@ -0,0 +1,165 @@
+const logger = require('../utils/logger');
+const appConfig = require('../config/default.json');
+
+const BUSINESS_TYPES = ['retail', 'hospitality'];
+const UNKNOWN_COLUMN_POLICIES = ['auto_evolve', 'drop_unknown', 'reject'];
+
+class TableKeyRegistry {
+    constructor(tablesConfig = appConfig.tables || {}) {
+        this.tables = tablesConfig;
+    }
+
+    /**
+     * Validate the registry, throwing one error that lists every problem found
+     * Called at startup so a broken key definition never reaches a sync
+     */
+    validate() {
+        const problems = [];
+        const seenNames = new Map();
+
+        for (const [tableName, entry] of Object.entries(this.tables)) {
+            const upperName = tableName.toUpperCase();
+            if (seenNames.has(upperName)) {
+                problems.push(`${tableName}: conflicts with ${seenNames.get(upperName)} (table names are case-insensitive)`);
+            } else {
+                seenNames.set(upperName, tableName);
+            }
+
+            const whereFields = entry && entry.whereFields;
+            if (!whereFields) {
+                problems.push(`${tableName}: missing whereFields`);
+            } else {
+                problems.push(...this.checkWhereFields(tableName, 'whereFields', whereFields));
+            }
+            if (entry && entry.legacyWhereFields !== undefined) {
+                problems.push(...this.checkWhereFields(tableName, 'legacyWhereFields', entry.legacyWhereFields));
+            }
+
+            if (entry && entry.unknownColumns !== undefined && !this.isValidUnknownColumnPolicy(entry.unknownColumns)) {
+                problems.push(`${tableName}: unknown column policy "${entry.unknownColumns}" (expected ${UNKNOWN_COLUMN_POLICIES.join(', ')})`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid table key registry:\n  - ${problems.join('\n  - ')}`);
+        }
+
+        logger.info(`Table key registry loaded: ${Object.keys(this.tables).length} tables`);
+        return true;
+    }
+
+    // whereFields and legacyWhereFields: one list, or an object of lists keyed by business type
+    checkWhereFields(tableName, property, whereFields) {
+        if (Array.isArray(whereFields)) {
+            return this.checkFieldList(tableName, whereFields, property);
+        }
+        if (!whereFields || typeof whereFields !== 'object') {
+            return [`${tableName}: ${property} must be an array or an object keyed by business type`];
+        }
+
+        const types = Object.keys(whereFields);
+        if (types.length === 0) {
+            return [`${tableName}: ${property} defines no business types`];
+        }
+        const problems = [];
+        for (const businessType of types) {
+            if (!BUSINESS_TYPES.includes(businessType)) {
+                problems.push(`${tableName}: unknown business type "${businessType}" in ${property} (expected ${BUSINESS_TYPES.join(' or ')})`);
+                continue;
+            }
+            problems.push(...this.checkFieldList(`${tableName} (${businessType})`, whereFields[businessType], property));
+        }
+        return problems;
+    }
+
+    checkFieldList(label, fields, property = 'whereFields') {
+        if (!Array.isArray(fields) || fields.length === 0) {
+            return [`${label}: ${property} must be a non-empty array`];
+        }
+
+        const problems = [];
+        const seen = new Set();
+        for (const field of fields) {
+            if (typeof field !== 'string' || field.trim() === '') {
+                problems.push(`${label}: invalid key field ${JSON.stringify(field)}`);
+                continue;
+            }
+            if (seen.has(field.toUpperCase())) {
+                problems.push(`${label}: key field ${field} listed more than once`);
+            }
+            seen.add(field.toUpperCase());
+        }
+        return problems;
+    }
+
+    /**
+     * Get all registered table names
+     * @returns {Array<string>}
+     */
+    getTableNames() {
+        return Object.keys(this.tables);
+    }
+
+    /**
+     * Check whether a table has a key definition
+     * @param {string} tableName
+     * @returns {boolean}
+     */
+    hasTable(tableName) {
+        return Object.prototype.hasOwnProperty.call(this.tables, tableName);
+    }
+
+    /**
+     * Get the configured policy for record fields the MySQL table does not have
+     * @param {string} tableName
+     * @returns {string|null} auto_evolve, drop_unknown or reject; null if the table sets none
+     */
+    getUnknownColumnPolicy(tableName) {
+        return this.hasTable(tableName) ? this.tables[tableName].unknownColumns || null : null;
+    }
+
+    isValidUnknownColumnPolicy(policy) {
+        return UNKNOWN_COLUMN_POLICIES.includes(policy);
+    }
+
+    /**
+     * Resolve the WHERE fields used by UPDATE/DELETE for a table
+     * When businessType is unknown and the table is keyed per business type, the first
+     * type whose fields are all present in data (plain or old_ prefixed) wins
+     * The legacy MachineName path uses a table's legacyWhereFields when it has them; its keys never
+     * depended on the business type, so a type without a definition falls back to the others.
+     * @param {string} tableName - Table name
+     * @param {string|null} businessType - retail or hospitality
+     * @param {Object|null} data - Row data used to pick a business type when none is given
+     * @param {Object} options - { legacy: resolve for the legacy MachineName path }
+     * @returns {Array<string>|null} Key fields, or null if the table/business type has no definition
+     */
+    getWhereFields(tableName, businessType = null, data = null, { legacy = false } = {}) {
+        if (!this.hasTable(tableName)) {
+            return null;
+        }
+
+        const entry = this.tables[tableName];
+        const whereFields = (legacy && entry.legacyWhereFields) || entry.whereFields;
+        if (Array.isArray(whereFields)) {
+            return [...whereFields];
+        }
+
+        if (businessType && (whereFields[businessType] || !legacy)) {
+            return whereFields[businessType] ? [...whereFields[businessType]] : null;
+        }
+
+        const candidates = Object.values(whereFields);
+        if (data) {
+            const match = candidates.find(fields => fields.every(field =>
+                data[field] !== undefined || data[`old_${field}`] !== undefined
+            ));
+            if (match) {
+                return [...match];
+            }
+        }
+        return [...candidates[0]];
+    }
+}
+
+module.exports = new TableKeyRegistry();
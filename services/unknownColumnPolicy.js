@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+const tableKeyRegistry = require('./tableKeyRegistry');
+const schemaCache = require('./schemaCache');
+const appConfig = require('../config/default.json');
+
+const unknownColumnsConfig = (appConfig.sync && appConfig.sync.unknownColumns) || {};
+
+class UnknownColumnPolicy {
+    constructor() {
+        const defaultPolicy = process.env.SYNC_UNKNOWN_COLUMN_POLICY || unknownColumnsConfig.defaultPolicy || 'reject';
+        if (!tableKeyRegistry.isValidUnknownColumnPolicy(defaultPolicy)) {
+            logger.warn(`Invalid default unknown column policy "${defaultPolicy}", using reject`);
+        }
+        this.defaultPolicy = tableKeyRegistry.isValidUnknownColumnPolicy(defaultPolicy) ? defaultPolicy : 'reject';
+        this.schemaTimeoutMs = parseInt(process.env.SYNC_SCHEMA_REQUEST_TIMEOUT_MS) || unknownColumnsConfig.schemaTimeoutMs || 30000;
+        this.evolving = new Map(); // database:table -> Promise of the running column add
+    }
+
+    getPolicy(tableName) {
+        return tableKeyRegistry.getUnknownColumnPolicy(tableName) || this.defaultPolicy;
+    }
+
+    isUnknownColumnError(error) {
+        return !!error && (error.code === 'ER_BAD_FIELD_ERROR' || error.errno === 1054);
+    }
+
+    /**
+     * Handle a record that failed because the MySQL table lacks some of its fields
+     * @param {Object} options
+     * @param {string} options.database - Store database
+     * @param {string} options.tableName - Table name
+     * @param {Object} options.data - Parsed record data (old_ prefixed fields included)
+     * @param {string|null} options.businessType - retail or hospitality
+     * @param {boolean} options.inTransaction - True inside an atomic batch, where DDL would commit the transaction
+     * @param {Function|null} options.addColumns - async (columnNames) => void; adds the columns from the client's schema
+     * @returns {Promise<Object>} Record data to retry with
+     * @throws {Error} When the policy rejects the record or the columns cannot be added
+     */
+    async resolve({ database, tableName, data, businessType = null, inTransaction = false, addColumns = null }) {
+        const policy = this.getPolicy(tableName);
+        // MySQL just rejected a field, so cached columns of the table may be stale
+        schemaCache.invalidate(database, tableName, { broadcast: false });
+        let unknown = await this.findUnknownColumns(database, tableName, data);
+        if (unknown.length === 0) {
+            // Another record added the columns in the meantime
+            return data;
+        }
+
+        if (policy === 'drop_unknown') {
+            const keyFields = tableKeyRegistry.getWhereFields(tableName, businessType, data) || [];
+            const droppedKeys = unknown.filter(column => keyFields.some(field => field.toLowerCase() === column.toLowerCase()));
+            if (droppedKeys.length > 0) {
+                throw new Error(`Key column(s) ${droppedKeys.join(', ')} missing from ${tableName}; record cannot be applied without them`);
+            }
+            logger.warn(`Dropping unknown field(s) ${unknown.join(', ')} from ${tableName} record (policy drop_unknown)`);
+            return this.dropColumns(data, unknown);
+        }
+
+        if (policy === 'auto_evolve') {
+            if (inTransaction) {
+                throw new Error(`Unknown column(s) ${unknown.join(', ')} in ${tableName}: columns cannot be added inside an atomic batch`);
+            }
+            if (!addColumns) {
+                throw new Error(`Unknown column(s) ${unknown.join(', ')} in ${tableName}: no client connection to ask for their definition`);
+            }
+
+            // Records failing together for the same table share one schema request and ALTER
+            const key = `${database}:${tableName}`;
+            if (this.evolving.has(key)) {
+                await this.evolving.get(key).catch(() => {});
+                unknown = await this.findUnknownColumns(database, tableName, data);
+                if (unknown.length === 0) {
+                    return data;
+                }
+            }
+
+            const pending = addColumns(unknown);
+            this.evolving.set(key, pending);
+            try {
+                await pending;
+            } finally {
+                this.evolving.delete(key);
+            }
+            logger.info(`Added column(s) ${unknown.join(', ')} to ${database}.${tableName} (policy auto_evolve)`);
+            return data;
+        }
+
+        throw new Error(`Unknown column(s) ${unknown.join(', ')} in ${tableName} (policy reject)`);
+    }
+
+    // Record fields (old_ prefix stripped) that the MySQL table does not have
+    async findUnknownColumns(database, tableName, data) {
+        const { columnNames } = await schemaCache.getTable(database, tableName);
+        const known = new Set(columnNames.map(column => column.toLowerCase()));
+        const fields = new Set(Object.keys(data).map(key => (key.startsWith('old_') ? key.slice(4) : key)));
+        return [...fields].filter(field => !known.has(field.toLowerCase()));
+    }
+
+    dropColumns(data, columns) {
+        const dropped = new Set(columns.map(column => column.toLowerCase()));
+        return Object.keys(data).reduce((acc, key) => {
+            const field = key.startsWith('old_') ? key.slice(4) : key;
+            if (!dropped.has(field.toLowerCase())) {
+                acc[key] = data[key];
+            }
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Pick the requested column definitions out of a client table schema
+     * @throws {Error} If the client schema does not define one of them
+     */
+    pickColumns(schema, columnNames) {
+        const columns = (schema && (schema.columns || schema)) || [];
+        const byName = new Map((Array.isArray(columns) ? columns : [])
+            .filter(column => column && column.COLUMN_NAME)
+            .map(column => [column.COLUMN_NAME.toLowerCase(), column]));
+
+        const missing = columnNames.filter(name => !byName.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            throw new Error(`Client schema does not define column(s) ${missing.join(', ')}`);
+        }
+        return columnNames.map(name => byName.get(name.toLowerCase()));
+    }
+
+    /**
+     * Build T-SQL that adds client schema columns, for translation by convertSqlServerDDLToMySQL
+     * Columns are added as NULL so rows already in the table stay valid. Type arguments are taken as
+     * in SyncService.mapColumnType, so an added column gets the type a created table would have.
+     */
+    buildAddColumnsTSql(tableName, columns) {
+        const present = value => value !== null && value !== undefined;
+        const definitions = columns.map(column => {
+            const dataType = String(column.DATA_TYPE).toLowerCase();
+            const length = column.CHARACTER_MAXIMUM_LENGTH;
+            let type = `[${dataType}]`;
+            if (length !== null && length !== undefined && /char|binary/.test(dataType)) {
+                type += `(${length === -1 ? 'max' : length})`;
+            } else if ((dataType === 'decimal' || dataType === 'numeric') && column.NUMERIC_PRECISION) {
+                type += `(${column.NUMERIC_PRECISION}, ${column.NUMERIC_SCALE || 0})`;
+            } else if (dataType === 'float' && present(column.NUMERIC_PRECISION)) {
+                type += `(${column.NUMERIC_PRECISION})`;
+            } else if (['time', 'datetime2', 'datetimeoffset'].includes(dataType) && present(column.DATETIME_PRECISION)) {
+                type += `(${column.DATETIME_PRECISION})`;
+            }
+            return `[${column.COLUMN_NAME.replace(/]/g, ']]')}] ${type} NULL`;
+        });
+        return `ALTER TABLE [${tableName.replace(/]/g, ']]')}] ADD ${definitions.join(', ')}`;
+    }
+}
+
+module.exports = new UnknownColumnPolicy();
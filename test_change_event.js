@@ -0,0 +1,9 @@
+const { toSyncRecord } = require('./utils/changeEvent');
+const { expectOutcome } = require('./test_runner');
+const fixtures = require('./test_fixtures/change_event.json');
+
+module.exports = {
+    title: 'Change Event',
+    cases: fixtures,
+    run: fixture => expectOutcome(fixture, () => toSyncRecord(fixture.event, fixture.tableName))
+};
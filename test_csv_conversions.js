@@ -0,0 +1,191 @@
+const assert = require('assert');
+const { resolveConversion, buildSetExpression } = require('./utils/csvConversions');
+const { expectOutcome } = require('./test_runner');
+const fixtures = require('./test_fixtures/csv_conversions.json');
+
+const VARIABLE = '@field';
+
+// Evaluates the SET expressions buildSetExpression emits (CASE/IF, OR, IS NULL, =, LIKE, REGEXP, IN and the
+// string, date and binary functions it uses) the way MySQL would, so fixtures can state the loaded value.
+// STR_TO_DATE returns 'YYYY-MM-DD', or 'YYYY-MM-DD HH:MM:SS[.ffffff]' when the format has a time part.
+function evaluate(sql, value) {
+    const tokens = [];
+    const pattern = /\s+|'((?:[^'\\]|''|\\.)*)'|(@\w+)|(\d+)|([A-Za-z_][A-Za-z_0-9]*)|([(),=])/y;
+    while (pattern.lastIndex < sql.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(sql);
+        if (!match) {
+            throw new Error(`Cannot tokenize expression at: ${sql.slice(start, start + 20)}`);
+        }
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'string', value: match[1].replace(/''/g, "'").replace(/\\(.)/g, '$1') });
+        } else if (match[2]) {
+            tokens.push({ type: 'variable', value: match[2] });
+        } else if (match[3]) {
+            tokens.push({ type: 'number', value: Number(match[3]) });
+        } else if (match[4]) {
+            tokens.push({ type: 'word', value: match[4].toUpperCase() });
+        } else if (match[5]) {
+            tokens.push({ type: 'punct', value: match[5] });
+        }
+    }
+
+    let position = 0;
+    const peek = () => tokens[position] || {};
+    const accept = word => (peek().value === word ? (position++, true) : false);
+    const expect = word => {
+        if (!accept(word)) {
+            throw new Error(`Expected ${word} at token ${position}, got ${peek().value}`);
+        }
+    };
+
+    const functions = {
+        TRIM: text => (text === null ? null : text.trim()),
+        LOWER: text => (text === null ? null : text.toLowerCase()),
+        NULLIF: (a, b) => (a === b ? null : a),
+        IFNULL: (a, b) => (a === null ? b : a),
+        IF: (condition, a, b) => (condition ? a : b),
+        LEFT: (text, length) => (text === null ? null : text.slice(0, length)),
+        REPLACE: (text, from, to) => (text === null ? null : text.split(from).join(to)),
+        STR_TO_DATE: strToDate,
+        FROM_BASE64: text => (text === null ? null : Buffer.from(text, 'base64')),
+        UNHEX: text => (text === null ? null : Buffer.from(text, 'hex'))
+    };
+
+    function parseCondition() {
+        let result = parseComparison();
+        while (accept('OR')) {
+            const next = parseComparison();
+            result = result === true || next === true ? true : (result === null || next === null ? null : false);
+        }
+        return result;
+    }
+
+    function parseComparison() {
+        const left = parsePrimary();
+        if (accept('IS')) {
+            expect('NULL');
+            return left === null;
+        }
+        if (accept('=')) {
+            const right = parsePrimary();
+            return left === null || right === null ? null : left === right;
+        }
+        if (accept('LIKE')) {
+            const like = parsePrimary();
+            const regex = new RegExp(`^${like.split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            return left === null ? null : regex.test(left);
+        }
+        if (accept('REGEXP')) {
+            const regex = new RegExp(parsePrimary(), 'i');
+            return left === null ? null : regex.test(left);
+        }
+        if (accept('IN')) {
+            const list = parseArguments();
+            return left === null ? null : list.includes(left);
+        }
+        return left;
+    }
+
+    function parseArguments() {
+        expect('(');
+        const args = [parseCondition()];
+        while (accept(',')) {
+            args.push(parseCondition());
+        }
+        expect(')');
+        return args;
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token.type === 'string' || token.type === 'number') {
+            return token.value;
+        }
+        if (token.type === 'variable') {
+            return value;
+        }
+        if (token.value === 'NULL') {
+            return null;
+        }
+        if (token.value === 'CASE') {
+            let result;
+            let matched = false;
+            while (accept('WHEN')) {
+                const condition = parseCondition();
+                expect('THEN');
+                const branch = parseCondition();
+                if (!matched && condition === true) {
+                    matched = true;
+                    result = branch;
+                }
+            }
+            expect('ELSE');
+            const otherwise = parseCondition();
+            expect('END');
+            return matched ? result : otherwise;
+        }
+        if (functions[token.value] && peek().value === '(') {
+            return functions[token.value](...parseArguments());
+        }
+        throw new Error(`Unexpected token ${token.value}`);
+    }
+
+    const result = parseCondition();
+    if (position !== tokens.length) {
+        throw new Error(`Unparsed tokens from ${peek().value}`);
+    }
+    return result;
+}
+
+function strToDate(text, format) {
+    if (text === null) {
+        return null;
+    }
+    const parts = { '%Y': '(\\d{4})', '%m': '(\\d{1,2})', '%d': '(\\d{1,2})', '%H': '(\\d{1,2})', '%i': '(\\d{1,2})', '%s': '(\\d{1,2})', '%f': '(\\d{1,6})' };
+    const order = [];
+    const source = format.replace(/%[a-zA-Z]|[^%]+/g, part => {
+        if (parts[part]) {
+            order.push(part);
+            return parts[part];
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    const match = new RegExp(`^${source}$`).exec(text);
+    if (!match) {
+        return null;
+    }
+    const field = (name, width) => (order.includes(name) ? match[order.indexOf(name) + 1] : '0').padStart(width, '0');
+    const date = `${field('%Y', 4)}-${field('%m', 2)}-${field('%d', 2)}`;
+    if (!order.includes('%H')) {
+        return date;
+    }
+    const time = `${field('%H', 2)}:${field('%i', 2)}:${field('%s', 2)}`;
+    return `${date} ${time}${order.includes('%f') ? `.${match[order.indexOf('%f') + 1].padEnd(6, '0')}` : ''}`;
+}
+
+// Buffers compare as { $buffer: hex } so binary fixtures can be written in JSON
+const normalize = result => (Buffer.isBuffer(result) ? { $buffer: result.toString('hex') } : result);
+
+async function run(fixture) {
+    if (fixture.errorContains) {
+        await expectOutcome(fixture, () => resolveConversion(fixture.column, fixture.override));
+        return;
+    }
+
+    const conversion = resolveConversion(fixture.column, fixture.override);
+    assert.deepStrictEqual({ kind: conversion.kind, format: conversion.format }, { kind: fixture.kind, format: fixture.format || null });
+    const expression = buildSetExpression(VARIABLE, conversion);
+    for (const [input, expected] of fixture.values || []) {
+        assert.deepStrictEqual(normalize(evaluate(expression, input)), expected, `value ${JSON.stringify(input)}`);
+    }
+}
+
+module.exports = {
+    title: 'CSV Conversions',
+    cases: fixtures,
+    run
+};
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const CSVImportReport = require('./utils/csvImportReport');
+const fixtures = require('./test_fixtures/csv_import_report.json');
+
+function run(fixture) {
+    const report = new CSVImportReport({ fileName: 'Sales.csv', tableName: 'Sales', ...fixture.options });
+    // One entry per statement: its SHOW WARNINGS rows and the data rows loaded before it
+    for (const statement of fixture.statements || []) {
+        report.addWarnings(statement.warnings, { rowOffset: statement.rowOffset, warningCount: statement.warningCount });
+    }
+    if (fixture.malformed) {
+        report.addMalformed(fixture.malformed);
+    }
+
+    // Compare only the summary fields the fixture names
+    const summary = report.finish().toSummary();
+    const actual = Object.keys(fixture.expect).reduce((acc, key) => {
+        acc[key] = summary[key];
+        return acc;
+    }, {});
+    assert.deepStrictEqual(actual, fixture.expect);
+}
+
+module.exports = {
+    title: 'CSV Import Report',
+    cases: fixtures,
+    run
+};
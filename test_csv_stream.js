@@ -0,0 +1,62 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffCSV, createCSVReadStream } = require('./utils/csvStream');
+const { expectOutcome } = require('./test_runner');
+const fixtures = require('./test_fixtures/csv_stream.json');
+
+// Fixture content is text; file.encoding says how it is written to disk
+function encode(content, encoding) {
+    switch (encoding) {
+        case 'utf8bom':
+            return Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(content, 'utf8')]);
+        case 'utf16le':
+            return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(content, 'utf16le')]);
+        case 'utf16be':
+            return Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(content, 'utf16le').swap16()]);
+        case 'latin1':
+            return Buffer.from(content, 'latin1');
+        default:
+            return Buffer.from(content, 'utf8');
+    }
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Writes the fixture to a temporary file, sniffs it and streams it; expect holds the sniffed header and the stats
+async function run(fixture) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-stream-test-'));
+    const filePath = path.join(directory, 'fixture.csv');
+    try {
+        fs.writeFileSync(filePath, encode(fixture.content, fixture.encoding));
+        await expectOutcome(fixture, async () => {
+            const sniffed = await sniffCSV(filePath, fixture.sniffBytes);
+            const { encoding, bom, lineEnding, headers } = sniffed;
+
+            // The stream is the same text as UTF-8 without BOM
+            const stream = createCSVReadStream(filePath, sniffed);
+            const output = await readAll(stream);
+            assert.strictEqual(output.toString('utf8'), fixture.content);
+            const { records, headerFields, fieldMismatches, mismatchSamples } = stream.stats;
+            return {
+                sniffed: { encoding, bom, lineEnding, headers },
+                stats: { records, headerFields, fieldMismatches, mismatchSamples }
+            };
+        });
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    title: 'CSV Stream',
+    cases: fixtures,
+    run
+};
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const ddlTranslator = require('./services/ddlTranslator');
+const fixtures = require('./test_fixtures/ddl_translator.json');
+
+module.exports = {
+    title: 'DDL Translator',
+    cases: fixtures,
+    run(fixture) {
+        const result = ddlTranslator.translate(fixture.tsql);
+        const expect = fixture.expect;
+
+        try {
+            assert.strictEqual(result.status, expect.status, `status (reason: ${result.reason})`);
+            assert.deepStrictEqual(result.statements, expect.statements);
+            if (expect.warnings) {
+                assert.deepStrictEqual(result.warnings, expect.warnings);
+            }
+            for (const text of expect.warningsContain || []) {
+                assert.ok(result.warnings.some(warning => warning.includes(text)), `warning containing "${text}" in ${JSON.stringify(result.warnings)}`);
+            }
+            if (expect.reasonContains) {
+                assert.ok(result.reason && result.reason.includes(expect.reasonContains), `reason containing "${expect.reasonContains}", got "${result.reason}"`);
+            }
+        } catch (error) {
+            error.message += `\n      Got: ${JSON.stringify(result)}`;
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,156 @@
+const assert = require('assert');
+
+// The queue keeps the last applied sequence in Redis; the tests use an in-memory stand-in
+const fakeRedis = {
+    isReady: true,
+    values: new Map(),
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    },
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+};
+require.cache[require.resolve('./utils/redisClient')] = { id: 'redisClient', loaded: true, exports: fakeRedis };
+
+const orderedApplyQueue = require('./services/orderedApplyQueue');
+
+const SCOPE = 'store1:app1';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// An apply that records its sequence and finishes when the test lets it (or right away)
+function recorder(applied) {
+    const gates = new Map();
+    return {
+        apply(seq, { hold = false } = {}) {
+            let open;
+            const gate = new Promise(resolve => { open = resolve; });
+            gates.set(seq, open);
+            if (!hold) {
+                open();
+            }
+            return async () => {
+                await gate;
+                applied.push(seq);
+                return { success: true, seq };
+            };
+        },
+        finish(seq) {
+            gates.get(seq)();
+        }
+    };
+}
+
+const scenarios = [
+    {
+        name: 'A new scope waits for the first sequence when 2 arrives before 1',
+        async run({ queue, applied, records }) {
+            const second = queue.submit(SCOPE, 2, records.apply(2));
+            await sleep(0);
+            assert.deepStrictEqual(applied, []);
+            const first = queue.submit(SCOPE, 1, records.apply(1));
+            await Promise.all([first, second]);
+            assert.deepStrictEqual(applied, [1, 2]);
+        }
+    },
+    {
+        name: 'A new scope starts from the sequence set by sync_sequence_reset',
+        async run({ queue, applied, records }) {
+            await queue.reset(SCOPE, 40);
+            await queue.submit(SCOPE, 40, records.apply(40));
+            assert.deepStrictEqual(applied, [40]);
+            assert.strictEqual(fakeRedis.values.get(`syncseq:${SCOPE}`), '40');
+        }
+    },
+    {
+        name: 'A new scope continues after the last sequence applied before a restart',
+        async run({ queue, applied, records }) {
+            fakeRedis.values.set(`syncseq:${SCOPE}`, '7');
+            await queue.submit(SCOPE, 8, records.apply(8));
+            assert.deepStrictEqual(applied, [8]);
+        }
+    },
+    {
+        name: 'A resend of the sequence being applied is a replay and is not held',
+        async run({ queue, applied, records }) {
+            const first = queue.submit(SCOPE, 1, records.apply(1, { hold: true }));
+            await sleep(0);
+            const resend = queue.submit(SCOPE, 1, records.apply('1 again'));
+            await sleep(0);
+            assert.strictEqual(queue.scopes.get(SCOPE).pending.size, 0);
+
+            records.finish(1);
+            assert.deepStrictEqual(await resend, { success: true, seq: '1 again' });
+            await first;
+            assert.deepStrictEqual(applied, [1, '1 again']);
+        }
+    },
+    {
+        name: 'A resend below the expected sequence is applied as a replay',
+        async run({ queue, applied, records }) {
+            await queue.submit(SCOPE, 1, records.apply(1));
+            await queue.submit(SCOPE, 2, records.apply(2));
+            await queue.submit(SCOPE, 1, records.apply('1 again'));
+            assert.deepStrictEqual(applied, [1, 2, '1 again']);
+            assert.strictEqual(queue.scopes.get(SCOPE).nextSequence, 3);
+        }
+    },
+    {
+        name: 'A disconnect fails the held records and drops the scope',
+        async run({ queue, applied, records }) {
+            const held = queue.submit(SCOPE, 3, records.apply(3), { socketId: 'socket-a' });
+            await sleep(0);
+            queue.release('socket-a');
+            assert.deepStrictEqual(await held, { success: false, retryable: true, error: 'Client disconnected before sequence 3 was applied' });
+            assert.strictEqual(queue.scopes.has(SCOPE), false);
+            assert.deepStrictEqual(applied, []);
+        }
+    },
+    {
+        name: 'A disconnect while applying drops the scope once the record is done',
+        async run({ queue, applied, records }) {
+            const first = queue.submit(SCOPE, 1, records.apply(1, { hold: true }), { socketId: 'socket-a' });
+            await sleep(0);
+            queue.release('socket-a');
+            assert.strictEqual(queue.scopes.has(SCOPE), true);
+
+            records.finish(1);
+            await first;
+            await sleep(0);
+            assert.strictEqual(queue.scopes.has(SCOPE), false);
+            await queue.submit(SCOPE, 2, records.apply(2), { socketId: 'socket-b' });
+            assert.deepStrictEqual(applied, [1, 2]);
+        }
+    },
+    {
+        name: 'Without Redis a reconnecting client continues from the last sequence applied',
+        async run({ queue, applied, records }) {
+            fakeRedis.isReady = false;
+            await queue.submit(SCOPE, 1, records.apply(1), { socketId: 'socket-a' });
+            queue.release('socket-a');
+            await queue.submit(SCOPE, 2, records.apply(2), { socketId: 'socket-b' });
+            assert.deepStrictEqual(applied, [1, 2]);
+        }
+    }
+];
+
+// Each scenario gets its own queue and an empty Redis
+async function run(scenario) {
+    fakeRedis.isReady = true;
+    fakeRedis.values.clear();
+    const queue = new orderedApplyQueue.constructor();
+    const applied = [];
+    try {
+        await scenario.run({ queue, applied, records: recorder(applied) });
+    } finally {
+        for (const state of queue.scopes.values()) {
+            clearTimeout(state.gapTimer);
+        }
+    }
+}
+
+module.exports = {
+    title: 'Ordered Apply Queue',
+    cases: scenarios,
+    run
+};
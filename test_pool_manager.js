@@ -0,0 +1,183 @@
+const assert = require('assert');
+const mysql = require('mysql2/promise');
+const PoolManager = require('./utils/poolManager');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory stand-in for a mysql2 pool with one connection. Like MySQL, a prepared statement resolves its
+// tables in the schema that was current when it was prepared, and like mysql2 it is cached by SQL text.
+// Every pool created is added to pools, with its config and whether it was ended.
+function createFakePool(config, writes, pools) {
+    const core = { schema: config.database || null, statements: new Map() };
+    const connection = {
+        connection: core,
+        async query(sql) {
+            const use = /^USE `(.+)`$/.exec(sql);
+            if (use) {
+                core.schema = use[1];
+            }
+            return [[], []];
+        },
+        async execute(sql, parameters) {
+            if (!core.statements.has(sql)) {
+                core.statements.set(sql, { schema: core.schema });
+            }
+            writes.push({ schema: core.statements.get(sql).schema, sql, parameters });
+            return [{ affectedRows: 1 }, []];
+        },
+        unprepare(sql) {
+            core.statements.delete(sql);
+        },
+        release() {}
+    };
+    const pool = {
+        config,
+        core,
+        ended: false,
+        async getConnection() {
+            return { ...connection };
+        },
+        async execute(sql, parameters) {
+            return connection.execute(sql, parameters);
+        },
+        async query() {
+            return [[], []];
+        },
+        async end() {
+            pool.ended = true;
+        }
+    };
+    pools.push(pool);
+    return pool;
+}
+
+const scenarios = [
+    {
+        name: 'Shared: same INSERT on store A then store B goes to each store',
+        options: { mode: 'shared' },
+        async run({ manager, writes }) {
+            await manager.execute('store_a', 'INSERT INTO `Sales` (Id) VALUES (?)', [1]);
+            await manager.execute('store_b', 'INSERT INTO `Sales` (Id) VALUES (?)', [2]);
+            assert.deepStrictEqual(writes.map(write => write.schema), ['store_a', 'store_b']);
+        }
+    },
+    {
+        name: 'Shared: switching back reprepares in the original store',
+        options: { mode: 'shared' },
+        async run({ manager, writes }) {
+            await manager.execute('store_a', 'UPDATE `Sales` SET Total = ? WHERE Id = ?', [5, 1]);
+            await manager.execute('store_b', 'UPDATE `Sales` SET Total = ? WHERE Id = ?', [6, 1]);
+            await manager.execute('store_a', 'UPDATE `Sales` SET Total = ? WHERE Id = ?', [7, 1]);
+            assert.deepStrictEqual(writes.map(write => write.schema), ['store_a', 'store_b', 'store_a']);
+        }
+    },
+    {
+        name: 'Shared: statements run on a checked-out connection are closed on the next switch',
+        options: { mode: 'shared' },
+        async run({ manager, writes }) {
+            const first = await manager.getConnection('store_a');
+            await first.execute('DELETE FROM `Sales` WHERE Id = ?', [1]);
+            first.release();
+            const second = await manager.getConnection('store_b');
+            await second.execute('DELETE FROM `Sales` WHERE Id = ?', [1]);
+            second.release();
+            assert.deepStrictEqual(writes.map(write => write.schema), ['store_a', 'store_b']);
+        }
+    },
+    {
+        name: 'Shared: cached statements are reused while the schema stays the same',
+        options: { mode: 'shared' },
+        async run({ manager, writes, pools }) {
+            await manager.execute('store_a', 'SELECT * FROM `Sales` WHERE Id = ?', [1]);
+            await manager.execute('store_a', 'SELECT * FROM `Sales` WHERE Id = ?', [2]);
+            assert.strictEqual(pools[0].core.statements.size, 1);
+            assert.deepStrictEqual(writes.map(write => write.schema), ['store_a', 'store_a']);
+        }
+    },
+    {
+        name: 'Per database: the least recently used idle pool makes room for a new one',
+        async run({ manager, pools }) {
+            await manager.execute('store_a', 'SELECT 1');
+            await manager.execute('store_b', 'SELECT 1');
+            await manager.execute('store_a', 'SELECT 1');
+            await manager.execute('store_c', 'SELECT 1');
+            assert.deepStrictEqual(pools.filter(pool => pool.ended).map(pool => pool.config.database), ['store_b']);
+            assert.deepStrictEqual([...manager.pools.keys()], ['store_a', 'store_c']);
+            assert.strictEqual(manager.evictions, 1);
+        }
+    },
+    {
+        name: 'Per database: a new pool fails when every pool within the budget is busy',
+        async run({ manager }) {
+            const a = await manager.getConnection('store_a');
+            const b = await manager.getConnection('store_b');
+            await assert.rejects(manager.execute('store_c', 'SELECT 1'), { code: 'POOL_BUDGET_EXHAUSTED' });
+            a.release();
+            b.release();
+            await manager.execute('store_c', 'SELECT 1');
+            assert.strictEqual(manager.getReservedConnections(), 10);
+        }
+    },
+    {
+        name: 'Per database: a retired pool counts against the budget until its connections are back',
+        async run({ manager, pools, placement }) {
+            const held = await manager.getConnection('store_a');
+            placement.store_a = { shard: 'server2', config: { host: 'server2' } };
+            const moved = await manager.getConnection('store_a'); // new pool on server2, the old one is retired
+            assert.strictEqual(manager.getReservedConnections(), 10);
+            await assert.rejects(manager.execute('store_b', 'SELECT 1'), { code: 'POOL_BUDGET_EXHAUSTED' });
+
+            held.release();
+            await sleep(0);
+            assert.strictEqual(pools[0].ended, true);
+            assert.strictEqual(manager.retiring.size, 0);
+            moved.release();
+            await manager.execute('store_b', 'SELECT 1');
+            assert.deepStrictEqual([...manager.pools.keys()], ['store_a', 'store_b']);
+        }
+    },
+    {
+        name: 'Per database: idle pools are closed by the background pass, busy ones are kept',
+        options: { idleTimeoutMs: 20 },
+        async run({ manager, pools }) {
+            await manager.execute('store_a', 'SELECT 1');
+            const held = await manager.getConnection('store_b');
+            await sleep(30);
+            await manager.maintain();
+            assert.deepStrictEqual(pools.map(pool => [pool.config.database, pool.ended]), [['store_a', true], ['store_b', false]]);
+            assert.deepStrictEqual([...manager.pools.keys()], ['store_b']);
+            held.release();
+        }
+    }
+];
+
+// Each scenario gets its own manager: a budget of 10, two pools of 5 in per_database mode
+async function run(scenario) {
+    const writes = [];
+    const pools = [];
+    const placement = {};
+    const createPool = mysql.createPool;
+    mysql.createPool = config => createFakePool(config, writes, pools);
+    const manager = new PoolManager({}, {
+        mode: 'per_database',
+        maxTotalConnections: 10,
+        connectionsPerPool: 5,
+        idleTimeoutMs: 60000,
+        healthCheckIntervalMs: 60000,
+        acquireTimeoutMs: 100,
+        resolveTarget: database => placement[database] || null,
+        ...scenario.options
+    });
+    try {
+        await scenario.run({ manager, writes, pools, placement });
+    } finally {
+        await manager.closeAll();
+        mysql.createPool = createPool;
+    }
+}
+
+module.exports = {
+    title: 'Pool Manager',
+    cases: scenarios,
+    run
+};
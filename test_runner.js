@@ -0,0 +1,78 @@
+// Runs the test suites: node test_runner.js [suite ...] (default: all of SUITES)
+//
+// A suite module exports { title, cases, run }: run(testCase) is awaited for every case and throws
+// (an assert error) when the case fails. Cases are fixtures or scenarios with a name.
+
+const assert = require('assert');
+
+const SUITES = [
+    'test_ddl_translator',
+    'test_xml_record_parser',
+    'test_change_event',
+    'test_pool_manager',
+    'test_csv_conversions',
+    'test_csv_stream',
+    'test_csv_import_report',
+    'test_table_key_registry',
+    'test_ordered_apply_queue'
+];
+
+async function runSuite({ title, cases, run }) {
+    console.log(`🧪 Testing ${title}...\n`);
+
+    let failed = 0;
+    for (const [index, testCase] of cases.entries()) {
+        try {
+            await run(testCase);
+            console.log(`   ${index + 1}. ✅ ${testCase.name}`);
+        } catch (error) {
+            failed++;
+            console.log(`   ${index + 1}. ❌ ${testCase.name}`);
+            console.log(`      ${error.message}`);
+        }
+    }
+
+    console.log(`\n${cases.length - failed}/${cases.length} passed\n`);
+    return failed;
+}
+
+/**
+ * Check the outcome of a fixture: fixture.errorContains expects action to throw an error whose
+ * message contains it, otherwise the (normalized) result must deep-equal fixture.expect
+ */
+async function expectOutcome(fixture, action, normalize = result => result) {
+    let result;
+    let error;
+    try {
+        result = await action();
+    } catch (actionError) {
+        error = actionError;
+    }
+
+    if (fixture.errorContains) {
+        assert.ok(error, `expected an error, got ${JSON.stringify(result)}`);
+        assert.ok(error.message.includes(fixture.errorContains), `error containing "${fixture.errorContains}", got "${error.message}"`);
+        return;
+    }
+    assert.ifError(error);
+    assert.deepStrictEqual(normalize(result), fixture.expect);
+}
+
+async function main(names) {
+    let failed = 0;
+    for (const name of names) {
+        failed += await runSuite(require(`./${name.replace(/\.js$/, '')}`));
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+// Exported before the suites load: they require this module while it is still running as main
+module.exports = {
+    expectOutcome
+};
+
+if (require.main === module) {
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+    const names = process.argv.slice(2);
+    main(names.length > 0 ? names : SUITES);
+}
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const tableKeyRegistry = require('./services/tableKeyRegistry');
+const fixtures = require('./test_fixtures/table_key_registry.json');
+
+// validate fixtures check their "tables" (or config/default.json); the others resolve keys from config/default.json
+function run(fixture) {
+    if (fixture.validate) {
+        const registry = fixture.tables ? new tableKeyRegistry.constructor(fixture.tables) : tableKeyRegistry;
+        if (fixture.errorContains) {
+            assert.throws(() => registry.validate(), error => error.message.includes(fixture.errorContains));
+        } else {
+            assert.strictEqual(registry.validate(), true);
+        }
+        return;
+    }
+    const fields = tableKeyRegistry.getWhereFields(fixture.tableName, fixture.businessType || null, fixture.data || null, { legacy: !!fixture.legacy });
+    assert.deepStrictEqual(fields, fixture.expect);
+}
+
+module.exports = {
+    title: 'Table Key Registry',
+    cases: fixtures,
+    run
+};
@@ -0,0 +1,17 @@
+const { parseRecordXml } = require('./utils/xmlRecordParser');
+const { expectOutcome } = require('./test_runner');
+const fixtures = require('./test_fixtures/xml_record_parser.json');
+
+// Buffers compare as { $buffer: hex } so binary fixtures can be written in JSON
+function normalize(record) {
+    return Object.keys(record).reduce((acc, key) => {
+        acc[key] = Buffer.isBuffer(record[key]) ? { $buffer: record[key].toString('hex') } : record[key];
+        return acc;
+    }, {});
+}
+
+module.exports = {
+    title: 'XML Record Parser',
+    cases: fixtures,
+    run: fixture => expectOutcome(fixture, () => parseRecordXml(fixture.xml, fixture.options), normalize)
+};
@@ -0,0 +1,28 @@
+/**
+ * Create an HTTP Basic authentication middleware
+ * @param {Object} options - { realm, username, password }
+ * @returns {Function} Express middleware
+ */
+function createBasicAuth({ realm, username, password }) {
+    return (req, res, next) => {
+        const authHeader = req.headers.authorization;
+        
+        if (!authHeader || !authHeader.startsWith('Basic ')) {
+            res.set('WWW-Authenticate', `Basic realm="${realm}"`);
+            return res.status(401).json({ error: '需要认证' });
+        }
+        
+        const base64Credentials = authHeader.split(' ')[1];
+        const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
+        const [user, pass] = credentials.split(':');
+        
+        if (user === username && pass === password) {
+            next();
+        } else {
+            res.set('WWW-Authenticate', `Basic realm="${realm}"`);
+            return res.status(401).json({ error: '认证失败' });
+        }
+    };
+}
+
+module.exports = createBasicAuth;
@@ -0,0 +1,95 @@
+// JSON change event format for advanced sync records, an alternative to XML recordData
+//
+//   {
+//     "version": 1,
+//     "op": "insert" | "update" | "delete",
+//     "table": "SalesDetail",
+//     "key": { "InvoiceNo": "INV-1", "StockId": "88" },      row identity before the change
+//     "before": { ... },                                      row image before the change (update/delete)
+//     "after": { ... },                                       row image after the change (insert/update)
+//     "columns": ["Quantity", "Price"]                        optional: only these after fields are written
+//   }
+//
+// Events are converted to the flat record the apply engine uses for XML payloads,
+// with the before image and key as old_<field> values.
+
+const Joi = require('joi');
+
+const CHANGE_EVENT_VERSIONS = [1];
+
+const scalar = Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null);
+const rowImage = Joi.object().pattern(Joi.string().min(1).max(128), scalar);
+
+const changeEventSchema = Joi.object({
+    version: Joi.number().integer().valid(...CHANGE_EVENT_VERSIONS).required(),
+    op: Joi.string().lowercase().valid('insert', 'update', 'delete').required(),
+    table: Joi.string().pattern(/^[A-Za-z_][\w$#@]*$/).max(128).required(),
+    key: rowImage.min(1),
+    before: rowImage.allow(null),
+    after: rowImage.min(1),
+    columns: Joi.array().items(Joi.string().min(1)).min(1).unique()
+})
+    .when(Joi.object({ op: Joi.string().lowercase().valid('insert', 'update') }).unknown(), {
+        then: Joi.object({ after: Joi.required() })
+    })
+    .when(Joi.object({ op: Joi.string().lowercase().valid('update', 'delete') }).unknown(), {
+        then: Joi.object().or('key', 'before')
+    })
+    .label('changeEvent');
+
+/**
+ * Validate a change event
+ * @param {string} tableName - The record's tableName, if it has one; the event's table must name the same table
+ * @returns {{ error: Error|null, value: Object }} value has op lower-cased
+ */
+function validateChangeEvent(event, tableName = null) {
+    const { error, value } = changeEventSchema.validate(event, { abortEarly: false, convert: true });
+    if (error) {
+        return { error: new Error(`Invalid change event: ${error.details.map(detail => detail.message).join('; ')}`), value };
+    }
+
+    const missing = (value.columns || []).filter(column => !value.after || !(column in value.after));
+    if (missing.length > 0) {
+        return { error: new Error(`Invalid change event: columns ${missing.join(', ')} not in after`), value };
+    }
+    if (tableName && value.table.toLowerCase() !== String(tableName).toLowerCase()) {
+        return { error: new Error(`Invalid change event: table ${value.table} does not match the record's tableName ${tableName}`), value };
+    }
+    return { error: null, value };
+}
+
+/**
+ * Convert a change event to the { tableName, operation, data } form of the apply engine
+ * @param {string} tableName - The record's tableName, if it has one
+ * @throws {Error} If the event is invalid or names another table
+ */
+function toSyncRecord(event, tableName = null) {
+    const { error, value } = validateChangeEvent(event, tableName);
+    if (error) {
+        throw error;
+    }
+
+    const { op, table, key = {}, before, after, columns } = value;
+    const written = columns
+        ? columns.reduce((acc, column) => ({ ...acc, [column]: after[column] }), {})
+        : { ...(after || {}) };
+
+    let data;
+    if (op === 'insert') {
+        data = written;
+    } else if (op === 'update') {
+        // WHERE uses old_ values, so the row is found even when its key changes
+        const old = { ...(before || {}), ...key };
+        data = Object.keys(old).reduce((acc, field) => ({ ...acc, [`old_${field}`]: old[field] }), written);
+    } else {
+        data = { ...(before || {}), ...key };
+    }
+
+    return { tableName: table, operation: op.toUpperCase(), data };
+}
+
+module.exports = {
+    CHANGE_EVENT_VERSIONS,
+    validateChangeEvent,
+    toSyncRecord
+};
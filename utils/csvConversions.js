@@ -0,0 +1,141 @@
+// CSV field conversions for bulk imports, chosen from the target MySQL column type
+//
+// Every CSV field arrives as text. A conversion kind is picked per column from its DATA_TYPE/COLUMN_TYPE,
+// or from a per-table override in config (csvImport.columnOverrides), and turned into the LOAD DATA
+// SET expression for that column. Values a kind cannot parse are handed to MySQL unchanged, so they show
+// up as conversion warnings instead of being silently replaced.
+//
+//   text      char/varchar/text/binary/json/enum/...: verbatim (not trimmed); empty is NULL if the column is nullable
+//   integer   tinyint (except tinyint(1)), smallint, mediumint, int, bigint, bit(n > 1)
+//   decimal   decimal/numeric; MySQL rounds to the column's scale
+//   float     float/double
+//   boolean   tinyint(1) and bit(1) only: true/yes/y/on -> 1, false/no/n/off -> 0
+//   date      date; ISO dates (the time part of an ISO datetime is dropped)
+//   datetime  datetime/timestamp; ISO dates and datetimes, "T" separator and up to 6 fractional digits
+//   time      time
+//   base64    binary data sent as base64 (override only)
+//   hex       binary data sent as hex (override only)
+// date and datetime accept an override format (STR_TO_DATE syntax, e.g. "%d/%m/%Y %H:%i") instead of ISO.
+// Expressions only use functions MySQL 5.7 and MariaDB also have.
+
+const KINDS = ['text', 'integer', 'decimal', 'float', 'boolean', 'date', 'datetime', 'time', 'base64', 'hex'];
+const INTEGER_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'integer', 'bigint'];
+const FLOAT_TYPES = ['float', 'double', 'real'];
+const TRUE_VALUES = ['true', 'yes', 'y', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', 'off', '0'];
+// SQL Server placeholders for "no date" that are loaded as NULL
+const NULL_DATE_PREFIXES = ['1899-12-30', '1900-01-01T00:00:00.000Z', '0000-00-00'];
+
+const ISO_DATE = '[0-9]{4}-[0-9]{2}-[0-9]{2}';
+const ISO_TIME = '[0-9]{2}:[0-9]{2}:[0-9]{2}';
+
+const sqlString = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+const sqlList = values => values.map(sqlString).join(', ');
+
+/**
+ * Conversion for a table column
+ * @param {Object} column - INFORMATION_SCHEMA.COLUMNS row (COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, IS_NULLABLE)
+ * @param {string|Object} override - Kind, or { type: kind, format } from csvImport.columnOverrides
+ * @returns {{column: string, kind: string, format: string|null, nullable: boolean}}
+ * @throws {Error} If the override names an unknown kind
+ */
+function resolveConversion(column, override = null) {
+    const nullable = column.IS_NULLABLE !== 'NO';
+    if (override) {
+        const kind = typeof override === 'string' ? override : override.type;
+        if (!KINDS.includes(kind)) {
+            throw new Error(`Unknown CSV conversion "${kind}" for column ${column.COLUMN_NAME}, expected one of ${KINDS.join(', ')}`);
+        }
+        return { column: column.COLUMN_NAME, kind, format: (typeof override === 'object' && override.format) || null, nullable };
+    }
+
+    const dataType = String(column.DATA_TYPE).toLowerCase();
+    const columnType = String(column.COLUMN_TYPE || dataType).toLowerCase();
+    let kind = 'text';
+    if (columnType.startsWith('tinyint(1)') || columnType === 'bit(1)') {
+        kind = 'boolean';
+    } else if (INTEGER_TYPES.includes(dataType) || dataType === 'bit') {
+        kind = 'integer';
+    } else if (dataType === 'decimal' || dataType === 'numeric') {
+        kind = 'decimal';
+    } else if (FLOAT_TYPES.includes(dataType)) {
+        kind = 'float';
+    } else if (dataType === 'date') {
+        kind = 'date';
+    } else if (dataType === 'datetime' || dataType === 'timestamp') {
+        kind = 'datetime';
+    } else if (dataType === 'time') {
+        kind = 'time';
+    }
+    return { column: column.COLUMN_NAME, kind, format: null, nullable };
+}
+
+/**
+ * LOAD DATA SET expression that converts a user variable holding the CSV field
+ */
+function buildSetExpression(variable, conversion) {
+    const trimmed = `TRIM(${variable})`;
+    const empty = `${variable} IS NULL OR ${trimmed} = ''`;
+
+    switch (conversion.kind) {
+        case 'integer':
+        case 'decimal':
+        case 'float':
+        case 'time':
+            return `NULLIF(${trimmed}, '')`;
+        case 'boolean':
+            return `CASE
+                WHEN ${empty} THEN NULL
+                WHEN LOWER(${trimmed}) IN (${sqlList(TRUE_VALUES)}) THEN 1
+                WHEN LOWER(${trimmed}) IN (${sqlList(FALSE_VALUES)}) THEN 0
+                ELSE ${trimmed}
+            END`;
+        case 'date':
+        case 'datetime':
+            return buildDateExpression(variable, conversion);
+        case 'base64':
+            return `IF(${empty}, NULL, FROM_BASE64(${trimmed}))`;
+        case 'hex':
+            return `IF(${empty}, NULL, UNHEX(${trimmed}))`;
+        default:
+            return conversion.nullable ? `NULLIF(${variable}, '')` : `IFNULL(${variable}, '')`;
+    }
+}
+
+function buildDateExpression(variable, conversion) {
+    const value = `TRIM(${variable})`;
+    const nullDates = NULL_DATE_PREFIXES.map(prefix => `${value} LIKE ${sqlString(`${prefix}%`)}`).join(' OR ');
+    const head = `WHEN ${variable} IS NULL OR ${value} = '' OR ${nullDates} THEN NULL`;
+
+    if (conversion.format) {
+        return `CASE
+                ${head}
+                ELSE STR_TO_DATE(${value}, ${sqlString(conversion.format)})
+            END`;
+    }
+    if (conversion.kind === 'date') {
+        return `CASE
+                ${head}
+                WHEN ${value} REGEXP ${sqlString(`^${ISO_DATE}`)} THEN STR_TO_DATE(LEFT(${value}, 10), '%Y-%m-%d')
+                ELSE ${value}
+            END`;
+    }
+    // One branch per fractional digit count, longest first; REGEXP_SUBSTR would need MySQL 8.0
+    const fractions = [6, 5, 4, 3, 2, 1].map(digits => `WHEN ${value} REGEXP ${sqlString(`^${ISO_DATE}[ T]${ISO_TIME}\\.[0-9]{${digits}}`)} THEN
+                    STR_TO_DATE(REPLACE(LEFT(${value}, ${20 + digits}), 'T', ' '), '%Y-%m-%d %H:%i:%s.%f')`).join(`
+                `);
+    return `CASE
+                ${head}
+                ${fractions}
+                WHEN ${value} REGEXP ${sqlString(`^${ISO_DATE}[ T]${ISO_TIME}`)} THEN
+                    STR_TO_DATE(REPLACE(LEFT(${value}, 19), 'T', ' '), '%Y-%m-%d %H:%i:%s')
+                WHEN ${value} REGEXP ${sqlString(`^${ISO_DATE}$`)} THEN STR_TO_DATE(${value}, '%Y-%m-%d')
+                ELSE ${value}
+            END`;
+}
+
+module.exports = {
+    KINDS,
+    resolveConversion,
+    buildSetExpression
+};
@@ -0,0 +1,132 @@
+// Outcome of one CSV file import: row counts and the MySQL warnings of the rows that did not load cleanly
+//
+// Lines are CSV records counted from the header (line 1), so MySQL's "row N" is line N + 1.
+// MySQL keeps at most max_error_count warnings per statement; when it reported more than it listed,
+// warningsComplete is false and the truncated/rejected counts are lower bounds.
+
+const WARNING_CATEGORIES = {
+    1062: 'duplicate', // Duplicate entry
+    1265: 'truncated', // Data truncated for column
+    1406: 'truncated', // Data too long for column
+    1262: 'truncated', // Row was truncated; it contained more data than there were input columns
+    1366: 'rejected', // Incorrect integer/decimal/string value
+    1292: 'rejected', // Incorrect / truncated incorrect datetime or number value
+    1264: 'rejected', // Out of range value
+    1411: 'rejected', // Incorrect datetime value for function str_to_date
+    1367: 'rejected', // Illegal value during parsing
+    1048: 'rejected' // Column cannot be null
+};
+
+class CSVImportReport {
+    /**
+     * @param {Object} options - { fileName, tableName, expectedRows, sampleSize, maxErrors }
+     */
+    constructor({ fileName, tableName, expectedRows = null, sampleSize = 20, maxErrors = 10000 }) {
+        this.fileName = fileName;
+        this.tableName = tableName;
+        this.expectedRows = expectedRows !== null && expectedRows !== undefined ? Number(expectedRows) : null;
+        this.sampleSize = sampleSize;
+        this.maxErrors = maxErrors;
+        this.strategy = null;
+        this.status = 'running';
+        this.error = null;
+        this.startedAt = Date.now();
+        this.durationMs = null;
+        this.rowsRead = 0;
+        this.inserted = 0;
+        this.duplicates = 0;
+        this.warningCount = 0;
+        this.warningsComplete = true;
+        this.malformed = 0;
+        this.unmatchedHeaders = []; // CSV columns with no table column, not loaded
+        this.unmappedColumns = []; // table columns missing from the file, left at their defaults
+        this.errors = []; // { line, category, level, code, column, message }, up to maxErrors
+        this.errorsDropped = 0;
+        this.lines = { truncated: new Set(), rejected: new Set(), other: new Set() };
+    }
+
+    /**
+     * Add the SHOW WARNINGS rows of one statement
+     * @param {Array<Object>} warnings - { Level, Code, Message }
+     * @param {Object} options - { rowOffset: data rows before the statement's first row, warningCount: the statement's total }
+     */
+    addWarnings(warnings, { rowOffset = 0, warningCount = warnings.length } = {}) {
+        this.warningCount += warningCount;
+        if (warningCount > warnings.length) {
+            this.warningsComplete = false;
+        }
+        for (const warning of warnings) {
+            const code = Number(warning.Code);
+            const category = WARNING_CATEGORIES[code] || 'other';
+            const rowMatch = /\bat row (\d+)/.exec(warning.Message) || /^Row (\d+)\b/.exec(warning.Message);
+            const line = rowMatch ? rowOffset + Number(rowMatch[1]) + 1 : null;
+            const columnMatch = /column '([^']+)'/.exec(warning.Message);
+            if (line !== null && this.lines[category]) {
+                this.lines[category].add(line);
+            }
+            this.addError({ line, category, level: warning.Level, code, column: columnMatch ? columnMatch[1] : null, message: warning.Message });
+        }
+    }
+
+    /**
+     * Add the records whose field count differs from the header (csvStream record counter stats)
+     */
+    addMalformed(stats) {
+        this.malformed += stats.fieldMismatches;
+        for (const sample of stats.mismatchSamples) {
+            this.addError({
+                line: sample.record,
+                category: 'malformed',
+                level: 'Warning',
+                code: null,
+                column: null,
+                message: `Record has ${sample.fields} fields, the header has ${stats.headerFields}`
+            });
+        }
+    }
+
+    addError(error) {
+        if (this.errors.length < this.maxErrors) {
+            this.errors.push(error);
+        } else {
+            this.errorsDropped++;
+        }
+    }
+
+    finish({ status = 'completed', error = null } = {}) {
+        this.status = status;
+        this.error = error;
+        this.durationMs = Date.now() - this.startedAt;
+        return this;
+    }
+
+    /**
+     * Counts and a sample of offending lines, as persisted and sent in csv_file_import_complete
+     */
+    toSummary() {
+        return {
+            fileName: this.fileName,
+            tableName: this.tableName,
+            status: this.status,
+            strategy: this.strategy,
+            error: this.error,
+            expectedRows: this.expectedRows,
+            rowsRead: this.rowsRead,
+            inserted: this.inserted,
+            duplicates: this.duplicates,
+            truncated: this.lines.truncated.size,
+            rejected: this.lines.rejected.size,
+            malformed: this.malformed,
+            unmatchedHeaders: this.unmatchedHeaders,
+            unmappedColumns: this.unmappedColumns,
+            otherWarnings: this.lines.other.size,
+            warningCount: this.warningCount,
+            warningsComplete: this.warningsComplete,
+            errorCount: this.errors.length + this.errorsDropped,
+            durationMs: this.durationMs,
+            sample: this.errors.filter(error => error.category !== 'duplicate').slice(0, this.sampleSize)
+        };
+    }
+}
+
+module.exports = CSVImportReport;
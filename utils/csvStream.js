@@ -0,0 +1,204 @@
+// Streaming helpers for CSV bulk imports
+//
+// The start of a file is sniffed for its encoding, line ending and header record; the file itself is
+// then streamed to MySQL (or copied for LOAD DATA INFILE) without ever being read into memory.
+// The stream is always UTF-8 without BOM: UTF-16 files (BOM required) are transcoded, since LOAD DATA
+// cannot read UTF-16, and files that are not valid UTF-8 are read as latin1 and transcoded too.
+// While the data streams through, records are counted (quoted line breaks do not end a record) and
+// records whose field count differs from the header's are noted.
+
+const fs = require('fs');
+const { Transform, pipeline } = require('stream');
+
+const BOMS = [
+    { encoding: 'utf8', bytes: Buffer.from([0xef, 0xbb, 0xbf]) },
+    { encoding: 'utf-16le', bytes: Buffer.from([0xff, 0xfe]) },
+    { encoding: 'utf-16be', bytes: Buffer.from([0xfe, 0xff]) }
+];
+const QUOTE = 0x22;
+const COMMA = 0x2c;
+const LF = 0x0a;
+const MAX_MISMATCH_SAMPLES = 20;
+
+/**
+ * Read the first sampleBytes of a CSV file
+ * @returns {Promise<Object>} { sizeBytes, encoding, bom, lineEnding, headers, sampleLines }
+ * @throws {Error} If the header record of a larger file does not end within the sample
+ */
+async function sniffCSV(filePath, sampleBytes = 65536) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let sizeBytes;
+    let sample;
+    try {
+        sizeBytes = (await handle.stat()).size;
+        const buffer = Buffer.alloc(Math.min(sampleBytes, sizeBytes));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        sample = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const bom = BOMS.find(candidate => sample.subarray(0, candidate.bytes.length).equals(candidate.bytes));
+    let encoding = bom ? bom.encoding : 'utf8';
+    let text;
+    try {
+        // stream: true so a multi-byte character cut off at the end of the sample is not an error
+        text = new TextDecoder(encoding === 'utf8' ? 'utf-8' : encoding, { fatal: true, ignoreBOM: false })
+            .decode(sample, { stream: true });
+    } catch (error) {
+        encoding = 'latin1';
+        text = sample.toString('latin1');
+    }
+
+    const newline = text.indexOf('\n');
+    const header = parseCSVRecord(text);
+    if (!header.complete && sample.length < sizeBytes) {
+        throw new Error(`Header of ${filePath} does not end within the first ${sample.length} bytes`);
+    }
+    const lines = text.split(/\r?\n/);
+
+    return {
+        sizeBytes,
+        encoding,
+        bom: Boolean(bom),
+        lineEnding: newline > 0 && text[newline - 1] === '\r' ? '\r\n' : '\n',
+        headers: header.fields.map(field => field.trim()),
+        sampleLines: lines.slice(0, 5)
+    };
+}
+
+/**
+ * Parse the first record of CSV text (RFC 4180: quoted fields may hold commas, line breaks and "" for a quote)
+ * @returns {{fields: Array<string>, complete: boolean}} complete is false when the text ends before the record does
+ */
+function parseCSVRecord(text) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char !== '"') {
+                field += char;
+            } else if (text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n') {
+            fields.push(field);
+            return { fields, complete: true };
+        } else if (char !== '\r' || text[i + 1] !== '\n') {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return { fields, complete: false };
+}
+
+// Strip a UTF-8 BOM or transcode UTF-16/latin1 to UTF-8; null when the bytes can pass through unchanged
+function createDecoder(sniffed) {
+    if (sniffed.encoding === 'latin1') {
+        // Single-byte, so a chunk boundary never splits a character
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                callback(null, Buffer.from(chunk.toString('latin1'), 'utf8'));
+            }
+        });
+    }
+    if (sniffed.encoding === 'utf-16le' || sniffed.encoding === 'utf-16be') {
+        const decoder = new TextDecoder(sniffed.encoding);
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+            },
+            flush(callback) {
+                callback(null, Buffer.from(decoder.decode(), 'utf8'));
+            }
+        });
+    }
+    if (sniffed.bom) {
+        let skip = 3;
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                const rest = skip > 0 ? chunk.subarray(skip) : chunk;
+                skip = Math.max(0, skip - chunk.length);
+                callback(null, rest);
+            }
+        });
+    }
+    return null;
+}
+
+// Pass-through that counts records and fields on the way to MySQL; results are in .stats
+function createRecordCounter() {
+    const stats = { bytes: 0, records: 0, headerFields: null, fieldMismatches: 0, mismatchSamples: [] };
+    let inQuotes = false;
+    let fields = 1;
+    let pending = false; // bytes of a record not yet ended by a line break
+
+    const endRecord = () => {
+        stats.records++;
+        if (stats.headerFields === null) {
+            stats.headerFields = fields;
+        } else if (fields !== stats.headerFields) {
+            stats.fieldMismatches++;
+            if (stats.mismatchSamples.length < MAX_MISMATCH_SAMPLES) {
+                stats.mismatchSamples.push({ record: stats.records, fields });
+            }
+        }
+        fields = 1;
+        pending = false;
+    };
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            stats.bytes += chunk.length;
+            for (let i = 0; i < chunk.length; i++) {
+                const byte = chunk[i];
+                if (byte === QUOTE) {
+                    inQuotes = !inQuotes; // an escaped "" toggles twice
+                } else if (!inQuotes && byte === COMMA) {
+                    fields++;
+                } else if (!inQuotes && byte === LF) {
+                    endRecord();
+                    continue;
+                }
+                pending = true;
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (pending) {
+                endRecord();
+            }
+            callback();
+        }
+    });
+    counter.stats = stats;
+    return counter;
+}
+
+/**
+ * Readable UTF-8 stream of a sniffed CSV file that counts records as it is consumed
+ * @returns {Transform} Stream with .stats: { bytes, records (header included), headerFields, fieldMismatches, mismatchSamples }
+ */
+function createCSVReadStream(filePath, sniffed) {
+    const counter = createRecordCounter();
+    const decoder = createDecoder(sniffed);
+    // pipeline destroys every stream on error, so the consumer of counter sees the failure
+    pipeline(...[fs.createReadStream(filePath), decoder, counter].filter(Boolean), () => {});
+    return counter;
+}
+
+module.exports = {
+    sniffCSV,
+    parseCSVRecord,
+    createCSVReadStream
+};
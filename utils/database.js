@@ -1,10 +1,43 @@
 const mysql = require('mysql2/promise');
 const logger = require('./logger');
+const PoolManager = require('./poolManager');
 const dbConfig = require('../config/database.json');
+const appConfig = require('../config/default.json');
+
+const syncConfig = appConfig.sync || {};
+const poolConfig = appConfig.database || {};
+
+// MySQL errors worth retrying: the statement was rolled back or never reached the server
+const TRANSIENT_ERROR_CODES = [
+    'ER_LOCK_DEADLOCK',           // 1213
+    'ER_LOCK_WAIT_TIMEOUT',       // 1205
+    'ER_CON_COUNT_ERROR',         // 1040 too many connections
+    'ER_SERVER_SHUTDOWN',         // 1053
+    'ER_CLIENT_INTERACTION_TIMEOUT',
+    'POOL_BUDGET_EXHAUSTED',      // every pool busy, see PoolManager
+    'PROTOCOL_CONNECTION_LOST',
+    'PROTOCOL_SEQUENCE_TIMEOUT',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE'
+];
+const TRANSIENT_ERRNOS = [1213, 1205, 1040, 1053, 4031];
+// Connection dropped mid-statement: the server may have committed it before the client heard back
+const CONNECTION_LOST_CODES = [
+    'PROTOCOL_CONNECTION_LOST',
+    'PROTOCOL_SEQUENCE_TIMEOUT',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EPIPE'
+];
+// Statements that can run twice with the same outcome
+const REPEATABLE_STATEMENT = /^\s*(?:SELECT|SHOW|DESCRIBE|DESC|EXPLAIN|CREATE\s+(?:TABLE|DATABASE|SCHEMA)\s+IF\s+NOT\s+EXISTS)\b/i;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 class DatabaseManager {
     constructor() {
-        this.pools = new Map();
         // 基础配置（可被环境变量覆盖）
         this.config = {
             host: process.env.MYSQL_HOST || dbConfig.mysql.host,
@@ -14,43 +47,84 @@ class DatabaseManager {
             connectionLimit: process.env.MYSQL_CONNECTION_LIMIT ? Number(process.env.MYSQL_CONNECTION_LIMIT) : (dbConfig.mysql.connectionLimit || 10),
             multipleStatements: process.env.MYSQL_MULTIPLE_STATEMENTS ? (process.env.MYSQL_MULTIPLE_STATEMENTS === 'true') : (dbConfig.mysql.multipleStatements === true),
         };
+        // 分片：店铺库所在的 MySQL 服务器（由 storePlacementRegistry 登记），未登记的库使用上面的默认服务器
+        this.placements = new Map(); // schema name -> { shard, config: { host, port, user, password } }
+        // 连接池：按库建池（LRU回收）或共享一个池（USE切换库），总连接数受预算限制
+        const { connectionLimit, ...connectionConfig } = this.config;
+        this.poolManager = new PoolManager(connectionConfig, {
+            resolveTarget: database => this.placements.get(database) || null,
+            mode: process.env.MYSQL_POOL_MODE || poolConfig.poolMode || 'per_database',
+            maxTotalConnections: Number(process.env.MYSQL_MAX_TOTAL_CONNECTIONS) || poolConfig.maxTotalConnections || 100,
+            connectionsPerPool: connectionLimit,
+            idleTimeoutMs: Number(process.env.MYSQL_POOL_IDLE_TIMEOUT_MS) || poolConfig.idleTimeoutMs || 600000,
+            healthCheckIntervalMs: Number(process.env.MYSQL_POOL_HEALTH_CHECK_MS) || poolConfig.healthCheckIntervalMs || 60000,
+            acquireTimeoutMs: Number(process.env.MYSQL_POOL_ACQUIRE_TIMEOUT_MS) || poolConfig.acquireTimeoutMs || 10000
+        });
+        // executeQuery 遇到死锁/断线等临时错误时按指数退避重试
+        this.retryConfig = {
+            maxRetries: this.parseRetryCount(process.env.SYNC_MAX_RETRIES, syncConfig.maxRetries),
+            retryDelay: Number(process.env.SYNC_RETRY_DELAY_MS) || syncConfig.retryDelay || 1000,
+            maxRetryDelay: Number(process.env.SYNC_MAX_RETRY_DELAY_MS) || syncConfig.maxRetryDelay || 10000
+        };
+        this.retryStats = {
+            retries: 0,       // retry attempts made
+            recovered: 0,     // queries that succeeded after retrying
+            exhausted: 0,     // queries that still failed after maxRetries
+            byCode: {}        // retry attempts per error code
+        };
     }
 
-    // Get or create connection pool for specific database
-    async getPool(database) {
-        if (this.pools.has(database)) {
-            const pool = this.pools.get(database);
-            try {
-                // Test the connection
-                const connection = await pool.getConnection();
-                connection.release();
-                return pool;
-            } catch (error) {
-                // Pool is invalid, remove it
-                this.pools.delete(database);
-            }
+    // SYNC_MAX_RETRIES if it is a non-negative integer, else sync.maxRetries (default 3)
+    parseRetryCount(envValue, configValue) {
+        const fallback = Number.isInteger(configValue) && configValue >= 0 ? configValue : 3;
+        if (envValue === undefined || envValue === '') {
+            return fallback;
+        }
+        const value = Number(envValue);
+        if (!Number.isInteger(value) || value < 0) {
+            logger.warn(`Ignoring SYNC_MAX_RETRIES=${envValue} (not a non-negative integer), using ${fallback}`);
+            return fallback;
         }
+        return value;
+    }
 
-        try {
-            const poolConfig = {
-                ...this.config,
-                database: database
-            };
+    // Deadlocks, lock wait timeouts and lost or refused connections are transient; anything else is permanent
+    isTransientError(error) {
+        if (!error) {
+            return false;
+        }
+        return TRANSIENT_ERROR_CODES.includes(error.code) || TRANSIENT_ERRNOS.includes(error.errno) || error.fatal === true;
+    }
 
-            const pool = mysql.createPool(poolConfig);
-            
-            // Test the connection
-            const connection = await pool.getConnection();
-            connection.release();
-            
-            this.pools.set(database, pool);
-            logger.info(`Connected to MySQL database: ${database}`);
-            
-            return pool;
-        } catch (error) {
-            logger.error(`Failed to connect to MySQL database ${database}:`, error);
-            throw error;
+    // Lost connection while a statement was running; errors before it was sent (refused, too many connections) are not
+    isConnectionLost(error) {
+        if (CONNECTION_LOST_CODES.includes(error.code)) {
+            return true;
+        }
+        return error.fatal === true && !TRANSIENT_ERROR_CODES.includes(error.code) && !TRANSIENT_ERRNOS.includes(error.errno);
+    }
+
+    // A lost connection is only retried for reads and for statements the caller marks idempotent,
+    // since a write the server committed before the connection dropped would be applied twice
+    isRetryable(error, query, idempotent) {
+        if (!this.isTransientError(error)) {
+            return false;
         }
+        return !this.isConnectionLost(error) || idempotent || REPEATABLE_STATEMENT.test(query);
+    }
+
+    // Exponential backoff with equal jitter: half the delay is fixed, half random
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.retryConfig.maxRetryDelay, this.retryConfig.retryDelay * 2 ** (attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    getRetryStats() {
+        return {
+            ...this.retryStats,
+            byCode: { ...this.retryStats.byCode },
+            config: { ...this.retryConfig }
+        };
     }
 
     // Get database name by app ID (previously machine name)
@@ -72,29 +146,64 @@ class DatabaseManager {
     }
 
     // Execute SQL query
-    async executeQuery(database, query, parameters = []) {
-        try {
-            const pool = await this.getPool(database);
-            const [rows, fields] = await pool.execute(query, parameters);
-            
-            return {
-                rows: rows,
-                fields: fields,
-                affectedRows: rows.affectedRows || 0,
-                insertId: rows.insertId || 0
-            };
-        } catch (error) {
-            logger.error(`Query execution failed for database ${database}:`, error);
-            throw error;
+    // Transient errors are retried up to retryConfig.maxRetries times with exponential backoff
+    // options.idempotent: the statement may be repeated after a lost connection (e.g. INSERT IGNORE of a ledger row)
+    async executeQuery(database, query, parameters = [], { idempotent = false } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const [rows, fields] = await this.poolManager.execute(database, query, parameters);
+
+                if (attempt > 1) {
+                    this.retryStats.recovered++;
+                    logger.info(`Query on ${database} succeeded after ${attempt - 1} retr${attempt === 2 ? 'y' : 'ies'}`);
+                }
+                return {
+                    rows: rows,
+                    fields: fields,
+                    affectedRows: rows.affectedRows || 0,
+                    insertId: rows.insertId || 0
+                };
+            } catch (error) {
+                const transient = this.isRetryable(error, query, idempotent);
+                if (!transient || attempt > this.retryConfig.maxRetries) {
+                    if (transient && attempt > 1) {
+                        this.retryStats.exhausted++;
+                        error.attempts = attempt;
+                    }
+                    if (!transient && this.isTransientError(error)) {
+                        logger.warn(`Connection lost during a write on ${database}; not retried, the server may have applied it`);
+                    }
+                    logger.error(`Query execution failed for database ${database}${attempt > 1 ? ` after ${attempt} attempts` : ''}:`, error);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                const code = error.code || String(error.errno);
+                this.retryStats.retries++;
+                this.retryStats.byCode[code] = (this.retryStats.byCode[code] || 0) + 1;
+                logger.warn(`Transient MySQL error ${code} on ${database} (attempt ${attempt} of ${this.retryConfig.maxRetries + 1}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
         }
     }
 
-    // Get a connection from the pool
+    // Execute SQL query on a connection the caller holds (e.g. inside a transaction)
+    // Not retried: a deadlock rolls back the caller's whole transaction, so only the caller can retry
+    async executeOnConnection(connection, query, parameters = []) {
+        const [rows, fields] = await connection.execute(query, parameters);
+
+        return {
+            rows: rows,
+            fields: fields,
+            affectedRows: rows.affectedRows || 0,
+            insertId: rows.insertId || 0
+        };
+    }
+
+    // Get a connection from the pool; the caller must release it
     async getConnection(database) {
         try {
-            const pool = await this.getPool(database);
-            const connection = await pool.getConnection();
-            return connection;
+            return await this.poolManager.getConnection(database);
         } catch (error) {
             logger.error(`Failed to get connection for database ${database}:`, error);
             throw error;
@@ -102,16 +211,14 @@ class DatabaseManager {
     }
 
     // Execute LOAD DATA INFILE query (not supported in prepared statements)
-    async executeLoadDataQuery(database, query) {
+    // options.infileStreamFactory supplies the data of a LOCAL INFILE query (default: read the file in the query)
+    async executeLoadDataQuery(database, query, { infileStreamFactory = null } = {}) {
         try {
             logger.info(`=== executeLoadDataQuery Debug Start ===`);
             logger.info(`Database: ${database}`);
             logger.info(`Query length: ${query.length} characters`);
             
-            const pool = await this.getPool(database);
-            logger.info(`Got connection pool for database: ${database}`);
-            
-            const connection = await pool.getConnection();
+            const connection = await this.poolManager.getConnection(database);
             logger.info(`Got database connection`);
             
             try {
@@ -157,10 +264,10 @@ class DatabaseManager {
                     // Execute with streamFactory
                     const [rows, fields] = await connection.query({
                         sql: query,
-                        infileStreamFactory: () => {
+                        infileStreamFactory: infileStreamFactory || (() => {
                             logger.info(`Creating read stream for file: ${filePath}`);
                             return fs.createReadStream(filePath);
-                        }
+                        })
                     });
                     
                     result = [rows, fields];
@@ -177,14 +284,27 @@ class DatabaseManager {
                 logger.info(`Rows result:`, JSON.stringify(result[0], null, 2));
                 logger.info(`Fields count: ${result[1] ? result[1].length : 'N/A'}`);
                 
+                // Warnings belong to this session, so read them before the connection goes back to the pool
+                let warnings = [];
+                if (result[0].warningStatus > 0) {
+                    try {
+                        [warnings] = await connection.query('SHOW WARNINGS');
+                    } catch (warnError) {
+                        logger.warn(`Could not retrieve LOAD DATA warnings: ${warnError.message}`);
+                    }
+                }
+                
                 const finalResult = {
                     rows: result[0],
                     fields: result[1],
                     affectedRows: result[0].affectedRows || 0,
-                    insertId: result[0].insertId || 0
+                    insertId: result[0].insertId || 0,
+                    info: result[0].info || '',
+                    warningCount: result[0].warningStatus || 0,
+                    warnings
                 };
                 
-                logger.info(`Final result object:`, JSON.stringify(finalResult, null, 2));
+                logger.info(`Final result: ${finalResult.affectedRows} rows affected, ${finalResult.warningCount} warnings (${finalResult.info})`);
                 logger.info(`=== executeLoadDataQuery Debug End ===`);
                 
                 return finalResult;
@@ -205,17 +325,30 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Route a database to the MySQL server it is placed on
+     * @param {string} database - Schema name
+     * @param {Object|null} server - { host, port, user, password }, or null for the default server
+     */
+    setPlacement(database, server) {
+        if (!server) {
+            this.placements.delete(database);
+            return;
+        }
+        this.placements.set(database, {
+            shard: `${server.user}@${server.host}:${server.port}`,
+            config: { host: server.host, port: server.port, user: server.user, password: server.password }
+        });
+    }
+
+    // Per-pool usage, health and the connection budget
+    getPoolStats() {
+        return this.poolManager.getStats();
+    }
+
     // Close all connections
     async closeAll() {
-        for (const [database, pool] of this.pools) {
-            try {
-                await pool.end();
-                logger.info(`Closed connection to MySQL database: ${database}`);
-            } catch (error) {
-                logger.error(`Error closing connection to ${database}:`, error);
-            }
-        }
-        this.pools.clear();
+        await this.poolManager.closeAll();
     }
 
     // Check if table exists
@@ -229,12 +362,34 @@ class DatabaseManager {
         return result.rows[0].count > 0;
     }
 
+    // Character set and collation of a database, or null if it does not exist
+    async getDatabaseInfo(database) {
+        const [rows] = await this.poolManager.executeOnServer(database, `
+            SELECT DEFAULT_CHARACTER_SET_NAME AS charset, DEFAULT_COLLATION_NAME AS collation
+            FROM INFORMATION_SCHEMA.SCHEMATA
+            WHERE SCHEMA_NAME = ?
+        `, [database]);
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    // Create a database on the server it is placed on (a no-op if it exists)
+    async createDatabase(database, { charset, collation }) {
+        if (!/^\w+$/.test(charset) || !/^\w+$/.test(collation)) {
+            throw new Error(`Invalid character set ${charset} or collation ${collation}`);
+        }
+        await this.poolManager.executeOnServer(database,
+            `CREATE DATABASE IF NOT EXISTS \`${String(database).replace(/`/g, '``')}\` CHARACTER SET ${charset} COLLATE ${collation}`);
+    }
+
     // Get table schema
     async getTableSchema(database, tableName) {
         const query = `
             SELECT 
                 COLUMN_NAME,
                 DATA_TYPE,
+                COLUMN_TYPE,
+                COLUMN_KEY,
+                EXTRA,
                 IS_NULLABLE,
                 COLUMN_DEFAULT,
                 CHARACTER_MAXIMUM_LENGTH,
@@ -0,0 +1,383 @@
+const mysql = require('mysql2/promise');
+const logger = require('./logger');
+
+const SHARED_POOL_KEY = '*';
+const DEFAULT_SHARD = 'default';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// MySQL connection pools for many store databases under one connection budget
+//
+// per_database mode: one small pool per database, created on first use. Pools are kept in
+// least-recently-used order; idle pools are closed by the background sweep, and the least recently
+// used idle pool is closed early when a new pool would exceed maxTotalConnections.
+// shared mode: one pool for all databases; each connection is switched to the caller's schema with
+// USE before it is handed out, so unqualified and fully qualified table names both resolve.
+// MySQL resolves a prepared statement's tables when it is prepared and mysql2 caches statements by SQL
+// text, so the statements a connection prepared are closed whenever it switches schema.
+// Databases placed on other MySQL servers (options.resolveTarget) get their own pools: per database as
+// above, or one shared pool per server, each sized maxTotalConnections / number of servers seen.
+class PoolManager {
+    /**
+     * @param {Object} connectionConfig - mysql2 options shared by every pool (host, user, password, port, ...)
+     * @param {Object} options
+     * @param {string} options.mode - per_database or shared
+     * @param {number} options.maxTotalConnections - Connection budget across all pools
+     * @param {number} options.connectionsPerPool - connectionLimit of each per-database pool
+     * @param {number} options.idleTimeoutMs - Close per-database pools unused for this long
+     * @param {number} options.healthCheckIntervalMs - How often idle eviction and health checks run
+     * @param {number} options.acquireTimeoutMs - How long a new pool waits for budget before failing
+     * @param {Function} options.resolveTarget - database => { shard, config } for databases not on the default server, else null
+     */
+    constructor(connectionConfig, options) {
+        this.connectionConfig = connectionConfig;
+        this.options = {
+            ...options,
+            connectionsPerPool: Math.min(options.connectionsPerPool, options.maxTotalConnections)
+        };
+        this.pools = new Map(); // key -> entry, least recently used first
+        this.retiring = new Set(); // entries no longer handed out whose connections are still open
+        this.schemas = new WeakMap(); // shared mode: underlying connection -> current schema
+        this.statements = new WeakMap(); // shared mode: underlying connection -> statements prepared in that schema
+        this.shards = new Set([DEFAULT_SHARD]); // servers seen, to split the budget between shared pools
+        this.evictions = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Execute a prepared statement against a database
+     */
+    async execute(database, query, parameters = []) {
+        if (this.options.mode === 'shared') {
+            // The shared pool cannot be closed while this connection is out
+            const { entry, connection } = await this.connect(database);
+            try {
+                return await this.track(entry, () => connection.execute(query, parameters));
+            } finally {
+                connection.release();
+                this.release(entry);
+            }
+        }
+
+        const entry = await this.acquire(database);
+        try {
+            return await this.track(entry, () => entry.pool.execute(query, parameters));
+        } finally {
+            this.release(entry);
+        }
+    }
+
+    async track(entry, run) {
+        try {
+            const result = await run();
+            entry.queries++;
+            return result;
+        } catch (error) {
+            entry.errors++;
+            entry.lastError = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Get a connection for a database; the caller must release it
+     * In shared mode the connection is switched to the database first (when one is given).
+     */
+    async getConnection(database) {
+        const { entry, connection } = await this.connect(database);
+
+        const release = connection.release.bind(connection);
+        let released = false;
+        connection.release = () => {
+            if (!released) {
+                released = true;
+                this.release(entry);
+            }
+            return release();
+        };
+        return connection;
+    }
+
+    // Pooled connection for a database together with its (active-counted) pool entry
+    async connect(database) {
+        const entry = await this.acquire(database);
+
+        let connection;
+        try {
+            connection = await entry.pool.getConnection();
+            if (this.options.mode === 'shared') {
+                if (database && this.schemas.get(connection.connection) !== database) {
+                    this.closeStatements(connection);
+                    await connection.query(`USE \`${String(database).replace(/`/g, '``')}\``);
+                    this.schemas.set(connection.connection, database);
+                }
+                this.trackStatements(connection);
+            }
+        } catch (error) {
+            if (connection) {
+                connection.release();
+            }
+            entry.errors++;
+            entry.lastError = error.message;
+            this.release(entry);
+            throw error;
+        }
+        return { entry, connection };
+    }
+
+    // Remember what a shared-pool connection prepares, so it can be closed on the next schema switch
+    trackStatements(connection) {
+        if (!this.statements.has(connection.connection)) {
+            this.statements.set(connection.connection, new Set());
+        }
+        const statements = this.statements.get(connection.connection);
+        const execute = connection.execute.bind(connection);
+        connection.execute = (query, ...rest) => {
+            statements.add(query);
+            return execute(query, ...rest);
+        };
+    }
+
+    // Close the cached prepared statements of a connection; they are bound to its current schema
+    closeStatements(connection) {
+        const statements = this.statements.get(connection.connection);
+        if (!statements) {
+            return;
+        }
+        for (const query of statements) {
+            connection.unprepare(query);
+        }
+        statements.clear();
+    }
+
+    /**
+     * Run a statement on the server a database is placed on, without selecting the database
+     * For statements that must work before the database exists (CREATE DATABASE); uses its own short-lived connection.
+     */
+    async executeOnServer(database, query, parameters = []) {
+        const target = this.getTarget(database);
+        const connection = await mysql.createConnection({ ...this.connectionConfig, ...target.config });
+        try {
+            return await connection.query(query, parameters);
+        } finally {
+            await connection.end().catch(() => {});
+        }
+    }
+
+    // Pool entry for a database, created on first use and moved to the most recently used end
+    // The entry comes back already counted as active so it cannot be evicted before the caller uses it
+    async acquire(database) {
+        const target = this.getTarget(database);
+        const key = this.options.mode === 'shared' ? `${SHARED_POOL_KEY}${target.shard}` : database;
+        let entry = this.pools.get(key);
+        if (entry && entry.shard !== target.shard) {
+            // The database was moved to another server since its pool was created
+            this.retire(entry, 'store moved');
+            entry = null;
+        }
+        if (!entry) {
+            entry = await this.createEntry(key, target);
+        } else {
+            this.pools.delete(key);
+            this.pools.set(key, entry);
+        }
+        entry.active++;
+        entry.lastUsedAt = Date.now();
+        return entry;
+    }
+
+    release(entry) {
+        entry.active--;
+        entry.lastUsedAt = Date.now();
+        if (entry.retired && entry.active === 0) {
+            this.closeEntry(entry, 'store moved');
+        }
+    }
+
+    // Server a database lives on; databases without a placement use the default server
+    getTarget(database) {
+        const target = (database && this.options.resolveTarget && this.options.resolveTarget(database)) || null;
+        if (!target) {
+            return { shard: DEFAULT_SHARD, config: {} };
+        }
+        this.shards.add(target.shard);
+        return target;
+    }
+
+    // Stop handing out a pool; it is closed once its last connection comes back
+    // Until then it stays in retiring, where its connections still count against the budget
+    retire(entry, reason) {
+        if (this.pools.get(entry.key) === entry) {
+            this.pools.delete(entry.key);
+        }
+        this.retiring.add(entry);
+        entry.retired = true;
+        if (entry.active === 0) {
+            this.closeEntry(entry, reason);
+        }
+    }
+
+    async createEntry(key, target) {
+        const shared = key.startsWith(SHARED_POOL_KEY);
+        const connectionLimit = shared
+            ? Math.max(1, Math.floor(this.options.maxTotalConnections / this.shards.size))
+            : this.options.connectionsPerPool;
+
+        await this.reserve(connectionLimit);
+        // Another caller may have created the pool while this one waited for budget
+        if (this.pools.has(key)) {
+            return this.pools.get(key);
+        }
+
+        // No await between reserve() and set(), so concurrent callers cannot overshoot the budget
+        const pool = mysql.createPool({
+            ...this.connectionConfig,
+            ...target.config,
+            ...(shared ? {} : { database: key }),
+            connectionLimit
+        });
+        const entry = {
+            key,
+            database: shared ? null : key,
+            shard: target.shard,
+            pool,
+            connectionLimit,
+            createdAt: Date.now(),
+            lastUsedAt: Date.now(),
+            active: 0,
+            queries: 0,
+            errors: 0,
+            lastError: null,
+            healthy: true,
+            lastHealthCheckAt: null
+        };
+        this.pools.set(key, entry);
+        this.start();
+        logger.info(shared
+            ? `Created shared MySQL pool for ${target.shard} (${connectionLimit} connections)`
+            : `Created MySQL pool for database: ${key}${target.shard === DEFAULT_SHARD ? '' : ` on ${target.shard}`}`);
+        return entry;
+    }
+
+    // Make room for a pool of the given size, closing least recently used idle pools if needed
+    async reserve(connectionLimit) {
+        const deadline = Date.now() + this.options.acquireTimeoutMs;
+        while (this.getReservedConnections() + connectionLimit > this.options.maxTotalConnections) {
+            const victim = [...this.pools.values()].find(entry => entry.active === 0);
+            if (victim) {
+                this.evictions++;
+                await this.closeEntry(victim, 'connection budget');
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                const error = new Error(`MySQL connection budget of ${this.options.maxTotalConnections} exhausted: all ${this.pools.size} pools are busy`);
+                error.code = 'POOL_BUDGET_EXHAUSTED';
+                throw error;
+            }
+            await sleep(50);
+        }
+    }
+
+    getReservedConnections() {
+        let reserved = 0;
+        for (const entry of [...this.pools.values(), ...this.retiring]) {
+            reserved += entry.connectionLimit;
+        }
+        return reserved;
+    }
+
+    // A closing pool counts against the budget until pool.end() has closed its connections
+    async closeEntry(entry, reason) {
+        if (this.pools.get(entry.key) === entry) {
+            this.pools.delete(entry.key);
+        }
+        if (entry.closed) {
+            return;
+        }
+        entry.closed = true;
+        this.retiring.add(entry);
+        try {
+            await entry.pool.end();
+            logger.info(`Closed MySQL pool ${entry.database || `shared ${entry.shard}`} (${reason})`);
+        } catch (error) {
+            logger.error(`Error closing MySQL pool ${entry.database || `shared ${entry.shard}`}: ${error.message}`);
+        } finally {
+            this.retiring.delete(entry);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.maintain().catch(error => logger.error(`MySQL pool maintenance failed: ${error.message}`));
+        }, this.options.healthCheckIntervalMs);
+        this.timer.unref();
+    }
+
+    // Background pass: close idle per-database pools, then ping the rest
+    // A pool that fails its ping is closed and recreated on next use
+    async maintain() {
+        const now = Date.now();
+        for (const entry of [...this.pools.values()]) {
+            if (entry.database && entry.active === 0 && now - entry.lastUsedAt >= this.options.idleTimeoutMs) {
+                this.evictions++;
+                await this.closeEntry(entry, 'idle');
+            }
+        }
+
+        for (const entry of [...this.pools.values()]) {
+            try {
+                await entry.pool.query('SELECT 1');
+                entry.healthy = true;
+            } catch (error) {
+                entry.healthy = false;
+                entry.errors++;
+                entry.lastError = error.message;
+                logger.warn(`Health check failed for MySQL pool ${entry.database || `shared ${entry.shard}`}: ${error.message}`);
+                if (entry.active === 0) {
+                    await this.closeEntry(entry, 'failed health check');
+                }
+            }
+            entry.lastHealthCheckAt = Date.now();
+        }
+    }
+
+    getStats() {
+        const toTime = value => (value ? new Date(value).toISOString() : null);
+        return {
+            mode: this.options.mode,
+            maxTotalConnections: this.options.maxTotalConnections,
+            reservedConnections: this.getReservedConnections(),
+            openPools: this.pools.size,
+            retiringPools: this.retiring.size,
+            evictions: this.evictions,
+            pools: [...this.pools.values()].reverse().map(entry => ({
+                database: entry.database,
+                shard: entry.shard,
+                connectionLimit: entry.connectionLimit,
+                active: entry.active,
+                queries: entry.queries,
+                errors: entry.errors,
+                lastError: entry.lastError,
+                healthy: entry.healthy,
+                createdAt: toTime(entry.createdAt),
+                lastUsedAt: toTime(entry.lastUsedAt),
+                lastHealthCheckAt: toTime(entry.lastHealthCheckAt)
+            }))
+        };
+    }
+
+    async closeAll() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        for (const entry of [...this.pools.values(), ...this.retiring]) {
+            await this.closeEntry(entry, 'shutdown');
+        }
+    }
+}
+
+module.exports = PoolManager;
@@ -0,0 +1,104 @@
+// SQL Server -> MySQL column type mapping
+
+const STRING_CHARSET = 'CHARACTER SET utf8mb4 COLLATE utf8mb4_0900_ai_ci';
+const MAX_FRACTIONAL_SECONDS = 6;
+// Longer strings become TEXT: utf8mb4 VARCHARs take up to 4 bytes a character of MySQL's 65,535-byte row limit
+const MAX_VARCHAR_LENGTH = 1000;
+
+const isMax = value => value === -1 || String(value).toUpperCase() === 'MAX';
+
+function stringType(length, fixed) {
+    if (isMax(length)) {
+        return 'LONGTEXT';
+    }
+    const size = length === undefined ? 1 : parseInt(length);
+    if (size > MAX_VARCHAR_LENGTH) {
+        return 'TEXT';
+    }
+    return fixed && size <= 255 ? `CHAR(${size})` : `VARCHAR(${size})`;
+}
+
+function binaryType(length, fixed) {
+    if (isMax(length)) {
+        return 'LONGBLOB';
+    }
+    const size = length === undefined ? 1 : parseInt(length);
+    return fixed && size <= 255 ? `BINARY(${size})` : `VARBINARY(${size})`;
+}
+
+// SQL Server keeps up to 7 fractional second digits, MySQL up to 6
+function fractionalSeconds(typeName, precision, label) {
+    const digits = precision === undefined ? 7 : parseInt(precision);
+    const mapped = Math.min(digits, MAX_FRACTIONAL_SECONDS);
+    return {
+        type: mapped > 0 ? `${typeName}(${mapped})` : typeName,
+        warning: digits > MAX_FRACTIONAL_SECONDS ? `${label}(${digits}) rounded to ${MAX_FRACTIONAL_SECONDS} fractional second digits` : null
+    };
+}
+
+// Each entry maps the type arguments to { type, warning }; string types also get the utf8mb4 charset
+const TYPE_MAP = {
+    bit: () => ({ type: 'BOOLEAN' }),
+    tinyint: () => ({ type: 'TINYINT UNSIGNED' }),
+    smallint: () => ({ type: 'SMALLINT' }),
+    int: () => ({ type: 'INT' }),
+    integer: () => ({ type: 'INT' }),
+    bigint: () => ({ type: 'BIGINT' }),
+    decimal: ([precision, scale]) => ({ type: `DECIMAL(${precision || 18},${scale || 0})` }),
+    numeric: ([precision, scale]) => ({ type: `DECIMAL(${precision || 18},${scale || 0})` }),
+    money: () => ({ type: 'DECIMAL(19,4)' }),
+    smallmoney: () => ({ type: 'DECIMAL(10,4)' }),
+    float: ([bits]) => ({ type: bits !== undefined && parseInt(bits) <= 24 ? 'FLOAT' : 'DOUBLE' }),
+    real: () => ({ type: 'FLOAT' }),
+
+    date: () => ({ type: 'DATE' }),
+    time: ([precision]) => fractionalSeconds('TIME', precision, 'time'),
+    datetime: () => ({ type: 'DATETIME(3)' }),
+    datetime2: ([precision]) => fractionalSeconds('DATETIME', precision, 'datetime2'),
+    smalldatetime: () => ({ type: 'DATETIME' }),
+    datetimeoffset: ([precision]) => {
+        const mapped = fractionalSeconds('DATETIME', precision, 'datetimeoffset');
+        return { type: mapped.type, warning: 'datetimeoffset stored as DATETIME; the UTC offset is dropped' };
+    },
+
+    char: ([length]) => ({ type: stringType(length, true), string: true }),
+    nchar: ([length]) => ({ type: stringType(length, true), string: true }),
+    varchar: ([length]) => ({ type: stringType(length, false), string: true }),
+    nvarchar: ([length]) => ({ type: stringType(length, false), string: true }),
+    text: () => ({ type: 'LONGTEXT', string: true }),
+    ntext: () => ({ type: 'LONGTEXT', string: true }),
+    sysname: () => ({ type: 'VARCHAR(128)', string: true }),
+    uniqueidentifier: () => ({ type: 'CHAR(36)', string: true }),
+    xml: () => ({ type: 'LONGTEXT', string: true }),
+    sql_variant: () => ({ type: 'TEXT', string: true, warning: 'sql_variant stored as TEXT; the base type is lost' }),
+
+    binary: ([length]) => ({ type: binaryType(length, true) }),
+    varbinary: ([length]) => ({ type: binaryType(length, false) }),
+    image: () => ({ type: 'LONGBLOB' }),
+    timestamp: () => ({ type: 'BINARY(8)', warning: 'rowversion stored as BINARY(8); it is not updated automatically' }),
+    rowversion: () => ({ type: 'BINARY(8)', warning: 'rowversion stored as BINARY(8); it is not updated automatically' })
+};
+
+/**
+ * Map a SQL Server data type to a MySQL column type
+ * @param {string} dataType - SQL Server type name, e.g. nvarchar
+ * @param {Array<number|string>} args - Type arguments (length, or precision and scale); MAX or -1 for max lengths
+ * @returns {{type: string, string: boolean, warning: string|null}|null} null if the type has no MySQL equivalent
+ */
+function mapSqlServerType(dataType, args = []) {
+    const mapper = TYPE_MAP[String(dataType).toLowerCase()];
+    if (!mapper) {
+        return null;
+    }
+    const mapped = mapper(args);
+    return {
+        type: mapped.type,
+        string: mapped.string === true,
+        warning: mapped.warning || null
+    };
+}
+
+module.exports = {
+    STRING_CHARSET,
+    mapSqlServerType
+};
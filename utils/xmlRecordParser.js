@@ -0,0 +1,214 @@
+// Parser for the XML recordData sent by the advanced sync client (SQL Server trigger payloads)
+//
+// Accepted shapes:
+//   <StockId>1</StockId><Description>A</Description>            element fragment
+//   <row><StockId>1</StockId></row>                              one row element
+//   <row StockId="1" Description="A" />                          attribute row (FOR XML RAW)
+//   <new>...</new><old>...</old>                                 UPDATE envelope, old values come back as old_<field>
+//
+// <Field xsi:nil="true" /> and <Field /> are NULL, <Field></Field> is an empty string.
+// Text is not trimmed, but a whitespace-only value is read as an empty string.
+// Values are strings unless a type hint applies: a type / xsi:type attribute on the field, or options.typeHints.
+
+const xml2js = require('xml2js');
+
+const SELF_CLOSING = '#selfClosing'; // '#' cannot start an XML attribute name, so no payload attribute collides
+const WRAPPER = 'record';
+
+const INTEGER_TYPES = ['int', 'integer', 'bigint', 'smallint', 'tinyint', 'long', 'short', 'byte'];
+const FLOAT_TYPES = ['float', 'real', 'double'];
+const DECIMAL_TYPES = ['decimal', 'numeric', 'money', 'smallmoney'];
+const BOOLEAN_TYPES = ['bit', 'bool', 'boolean'];
+const BINARY_TYPES = ['binary', 'varbinary', 'image', 'base64', 'base64binary'];
+const STRING_TYPES = ['string', 'char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext', 'date', 'time', 'datetime',
+    'datetime2', 'smalldatetime', 'datetimeoffset', 'uniqueidentifier', 'xml'];
+
+// 'xs:int', 'INT', 'decimal(18,2)' -> 'int' / 'decimal'
+function normalizeTypeName(type) {
+    return String(type).toLowerCase().replace(/^[\w-]+:/, '').replace(/\(.*\)$/, '').trim();
+}
+
+/**
+ * Convert a field's text to the hinted type
+ * Decimals stay strings so money values keep their exact digits; MySQL converts them on insert.
+ * @throws {Error} If the text is not a valid value of that type, or the type is unknown
+ */
+function convertValue(value, type, fieldName) {
+    if (value === null || type === undefined || type === null) {
+        return value;
+    }
+
+    const typeName = normalizeTypeName(type);
+    const text = value.trim();
+    const invalid = () => new Error(`Field ${fieldName}: "${value}" is not a valid ${typeName}`);
+
+    if (INTEGER_TYPES.includes(typeName)) {
+        if (!/^[-+]?\d+$/.test(text)) {
+            throw invalid();
+        }
+        const number = Number(text);
+        // bigint values beyond 2^53 stay strings so no digits are lost
+        return Number.isSafeInteger(number) ? number : text;
+    }
+    if (FLOAT_TYPES.includes(typeName)) {
+        const number = Number(text);
+        if (text === '' || Number.isNaN(number)) {
+            throw invalid();
+        }
+        return number;
+    }
+    if (DECIMAL_TYPES.includes(typeName)) {
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+            throw invalid();
+        }
+        return text;
+    }
+    if (BOOLEAN_TYPES.includes(typeName)) {
+        const lower = text.toLowerCase();
+        if (lower === '1' || lower === 'true') {
+            return true;
+        }
+        if (lower === '0' || lower === 'false') {
+            return false;
+        }
+        throw invalid();
+    }
+    if (BINARY_TYPES.includes(typeName)) {
+        // FOR XML returns binary columns base64 encoded
+        if (!/^[A-Za-z0-9+/\s]*={0,2}$/.test(text)) {
+            throw invalid();
+        }
+        return Buffer.from(text, 'base64');
+    }
+    if (STRING_TYPES.includes(typeName)) {
+        return value;
+    }
+    throw new Error(`Field ${fieldName}: unknown type hint "${type}"`);
+}
+
+// Attribute lookup by local name, so xsi:nil and nil (or any other prefix) both match
+function getAttribute(node, localName) {
+    const attributes = node.$ || {};
+    const key = Object.keys(attributes).find(name => name.replace(/^[\w-]+:/, '') === localName);
+    return key === undefined ? undefined : attributes[key];
+}
+
+// Namespace declarations and parser markers are not data
+function isDataAttribute(name) {
+    return name !== SELF_CLOSING && name !== 'xmlns' && !name.includes(':');
+}
+
+const childElements = node => node.$$ || [];
+
+function readField(node, typeHints) {
+    const name = node['#name'];
+    if (childElements(node).length > 0) {
+        throw new Error(`Field ${name} contains nested elements`);
+    }
+
+    const nil = getAttribute(node, 'nil');
+    let value;
+    if (nil === 'true' || nil === '1' || (node.$ && node.$[SELF_CLOSING])) {
+        value = null;
+    } else {
+        value = node._ === undefined ? '' : node._;
+    }
+
+    const hint = getAttribute(node, 'type');
+    return convertValue(value, hint !== undefined ? hint : typeHints[name], name);
+}
+
+// Fields of a row: its data attributes, then its child elements
+function readRow(node, typeHints, prefix = '') {
+    const fields = {};
+    const assign = (name, value) => {
+        const key = `${prefix}${name}`;
+        if (Object.prototype.hasOwnProperty.call(fields, key)) {
+            throw new Error(`Duplicate field ${name}`);
+        }
+        fields[key] = value;
+    };
+
+    Object.keys(node.$ || {}).filter(isDataAttribute).forEach(name => {
+        assign(name, convertValue(node.$[name], typeHints[name], name));
+    });
+    childElements(node).forEach(child => assign(child['#name'], readField(child, typeHints)));
+    return fields;
+}
+
+// A single top-level element is a row element, not a field, when it has child elements,
+// or when it has no text but data attributes other than a type hint
+function isRowElement(node) {
+    if (childElements(node).length > 0) {
+        return true;
+    }
+    const hasText = node._ !== undefined && node._ !== '';
+    return !hasText && Object.keys(node.$ || {}).some(name => isDataAttribute(name) && name !== 'type');
+}
+
+function parseXml(xml) {
+    const parser = new xml2js.Parser({
+        explicitRoot: false,
+        explicitChildren: true,
+        preserveChildrenOrder: true,
+        explicitCharkey: true,
+        trim: false,
+        normalize: false
+    });
+
+    // xml2js does not tell <a/> from <a></a>; mark self-closing elements through the underlying sax parser
+    const onopentag = parser.saxParser.onopentag;
+    parser.saxParser.onopentag = (node) => {
+        if (node.isSelfClosing) {
+            node.attributes[SELF_CLOSING] = 'true';
+        }
+        return onopentag(node);
+    };
+
+    // Trigger payloads are often fragments (<new/><old/> or bare fields), so give them a single root
+    const body = String(xml).replace(/^\uFEFF/, '').trim().replace(/^<\?xml[^>]*\?>/, '');
+    return parser.parseStringPromise(`<${WRAPPER}>${body}</${WRAPPER}>`);
+}
+
+/**
+ * Parse recordData XML into a flat field object
+ * @param {string} xml - Record XML
+ * @param {Object} options - { typeHints: { field: 'int' | 'decimal' | 'bit' | 'float' | 'varbinary' | 'string' ... } }
+ * @returns {Promise<Object>} Field values; for the <new>/<old> envelope old values are keyed old_<field>
+ * @throws {Error} On malformed XML, nested field elements, duplicate fields or values that do not match their type
+ */
+async function parseRecordXml(xml, { typeHints = {} } = {}) {
+    let root;
+    try {
+        root = await parseXml(xml);
+    } catch (error) {
+        throw new Error(`Invalid record XML: ${error.message.split('\n')[0]}`);
+    }
+
+    let children = childElements(root || {});
+    // <row>...</row> (or <root><new/><old/></root>) around the data
+    if (children.length === 1 && isRowElement(children[0]) && !['new', 'old'].includes(children[0]['#name'])) {
+        root = children[0];
+        children = childElements(root);
+    }
+
+    const newNode = children.find(child => child['#name'] === 'new');
+    const oldNode = children.find(child => child['#name'] === 'old');
+    if (newNode && oldNode) {
+        return {
+            ...readRow(newNode, typeHints),
+            ...readRow(oldNode, typeHints, 'old_')
+        };
+    }
+
+    // A lone <new> or <old> is the row itself
+    if (children.length === 1 && (newNode || oldNode)) {
+        return readRow(children[0], typeHints);
+    }
+    return readRow(root, typeHints);
+}
+
+module.exports = {
+    parseRecordXml,
+    convertValue
+};